@@ -55,7 +55,7 @@ export const getBottleCategories = async (req, res) => {
 // Create bottle category
 export const createBottleCategory = async (req, res) => {
   try {
-    const { categoryName, price, companySetupId } = req.body;
+    const { categoryName, price, depositAmount = 0, companySetupId } = req.body;
 
     // Validate required fields
     if (!categoryName || price === undefined || !companySetupId) {
@@ -74,6 +74,15 @@ export const createBottleCategory = async (req, res) => {
       });
     }
 
+    // Validate deposit per bottle
+    const depositNum = parseFloat(depositAmount);
+    if (isNaN(depositNum) || depositNum < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deposit amount must be a valid positive number'
+      });
+    }
+
     // Check if company setup exists
     const companySetup = await prisma.company_setups.findUnique({
       where: { id: companySetupId }
@@ -92,6 +101,7 @@ export const createBottleCategory = async (req, res) => {
         id: randomUUID(),
         categoryName,
         price: priceNum,
+        depositAmount: depositNum,
         companySetupId,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -118,7 +128,7 @@ export const createBottleCategory = async (req, res) => {
 export const updateBottleCategory = async (req, res) => {
   try {
     const { id } = req.params;
-    const { categoryName, price } = req.body;
+    const { categoryName, price, depositAmount } = req.body;
 
     // Check if category exists
     const existing = await prisma.bottle_categories.findUnique({
@@ -148,6 +158,16 @@ export const updateBottleCategory = async (req, res) => {
       }
       updateData.price = priceNum;
     }
+    if (depositAmount !== undefined) {
+      const depositNum = parseFloat(depositAmount);
+      if (isNaN(depositNum) || depositNum < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Deposit amount must be a valid positive number'
+        });
+      }
+      updateData.depositAmount = depositNum;
+    }
 
     // Update category
     const updated = await prisma.bottle_categories.update({
@@ -1,8 +1,71 @@
 import { PrismaClient } from '@prisma/client';
 import { randomUUID } from 'crypto';
+import { DomainError } from '../utils/errors.js';
+import { sendDomainError } from '../middleware/errorHandler.js';
+import { parseCreditLimit } from '../services/creditLimitService.js';
+import { parseLocation } from '../utils/geo.js';
 
 const prisma = new PrismaClient();
 
+const REMINDER_CHANNELS = ['SMS', 'WHATSAPP'];
+
+// Validate the overdue payment reminder rules; returns { data } or { error }
+const parseReminderSettings = (body) => {
+  const data = {};
+
+  if (body.overdueRemindersEnabled !== undefined) {
+    data.overdueRemindersEnabled = !!body.overdueRemindersEnabled;
+  }
+
+  if (body.overdueBalanceThreshold !== undefined) {
+    if (body.overdueBalanceThreshold === null || body.overdueBalanceThreshold === '') {
+      data.overdueBalanceThreshold = null;
+    } else {
+      const threshold = parseFloat(body.overdueBalanceThreshold);
+      if (isNaN(threshold) || threshold < 0) {
+        return { error: 'overdueBalanceThreshold must be zero or a positive amount' };
+      }
+      data.overdueBalanceThreshold = threshold;
+    }
+  }
+
+  if (body.overdueAfterDays !== undefined) {
+    if (body.overdueAfterDays === null || body.overdueAfterDays === '') {
+      data.overdueAfterDays = null;
+    } else {
+      const days = Number(body.overdueAfterDays);
+      if (!Number.isInteger(days) || days < 1) {
+        return { error: 'overdueAfterDays must be a whole number of 1 or more' };
+      }
+      data.overdueAfterDays = days;
+    }
+  }
+
+  if (body.reminderCooldownDays !== undefined) {
+    const days = Number(body.reminderCooldownDays);
+    if (!Number.isInteger(days) || days < 1) {
+      return { error: 'reminderCooldownDays must be a whole number of 1 or more' };
+    }
+    data.reminderCooldownDays = days;
+  }
+
+  if (body.reminderChannel !== undefined) {
+    const channel = body.reminderChannel ? String(body.reminderChannel).toUpperCase() : null;
+    if (channel && !REMINDER_CHANNELS.includes(channel)) {
+      return { error: `reminderChannel must be one of ${REMINDER_CHANNELS.join(', ')}` };
+    }
+    data.reminderChannel = channel;
+  }
+
+  return { data };
+};
+
+// Map position of the agency, where riders' routes start from
+const agencyLocation = (latitude, longitude) => {
+  const location = parseLocation(latitude, longitude);
+  return location ? { agencyLatitude: location.latitude, agencyLongitude: location.longitude } : {};
+};
+
 // Get company setup
 export const getCompanySetup = async (req, res) => {
   try {
@@ -42,7 +105,7 @@ export const getCompanySetup = async (req, res) => {
 // Create company setup
 export const createCompanySetup = async (req, res) => {
   try {
-    const { agencyName, agencyAddress, agencyPhoneNumber, agencyLogo, areasOperated } = req.body;
+    const { agencyName, agencyAddress, agencyPhoneNumber, agencyLogo, areasOperated, autoAssignRiders, defaultCreditLimit, agencyLatitude, agencyLongitude } = req.body;
 
     // Validate required fields
     if (!agencyName || !agencyAddress || !agencyPhoneNumber) {
@@ -60,6 +123,14 @@ export const createCompanySetup = async (req, res) => {
       });
     }
 
+    const reminderSettings = parseReminderSettings(req.body);
+    if (reminderSettings.error) {
+      return res.status(400).json({
+        success: false,
+        message: reminderSettings.error
+      });
+    }
+
     // Check if company setup already exists
     const existing = await prisma.company_setups.findFirst();
     if (existing) {
@@ -78,6 +149,10 @@ export const createCompanySetup = async (req, res) => {
         agencyPhoneNumber,
         agencyLogo: agencyLogo || '',
         areasOperated: areasOperated, // Store as JSON
+        autoAssignRiders: !!autoAssignRiders,
+        defaultCreditLimit: parseCreditLimit(defaultCreditLimit) ?? null,
+        ...agencyLocation(agencyLatitude, agencyLongitude),
+        ...reminderSettings.data,
         createdAt: new Date(),
         updatedAt: new Date()
       }
@@ -90,6 +165,7 @@ export const createCompanySetup = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Create company setup error:', error);
     res.status(500).json({
       success: false,
@@ -103,7 +179,7 @@ export const createCompanySetup = async (req, res) => {
 export const updateCompanySetup = async (req, res) => {
   try {
     const { id } = req.params;
-    const { agencyName, agencyAddress, agencyPhoneNumber, agencyLogo, areasOperated } = req.body;
+    const { agencyName, agencyAddress, agencyPhoneNumber, agencyLogo, areasOperated, autoAssignRiders, defaultCreditLimit, agencyLatitude, agencyLongitude } = req.body;
 
     // Check if company setup exists
     const existing = await prisma.company_setups.findUnique({
@@ -135,6 +211,18 @@ export const updateCompanySetup = async (req, res) => {
       }
       updateData.areasOperated = areasOperated;
     }
+    if (autoAssignRiders !== undefined) updateData.autoAssignRiders = !!autoAssignRiders;
+    if (defaultCreditLimit !== undefined) updateData.defaultCreditLimit = parseCreditLimit(defaultCreditLimit);
+    Object.assign(updateData, agencyLocation(agencyLatitude, agencyLongitude));
+
+    const reminderSettings = parseReminderSettings(req.body);
+    if (reminderSettings.error) {
+      return res.status(400).json({
+        success: false,
+        message: reminderSettings.error
+      });
+    }
+    Object.assign(updateData, reminderSettings.data);
 
     // Update company setup
     const updated = await prisma.company_setups.update({
@@ -156,6 +244,7 @@ export const updateCompanySetup = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Update company setup error:', error);
     res.status(500).json({
       success: false,
@@ -1,9 +1,37 @@
 import { PrismaClient } from '@prisma/client';
-import { handleDatabaseError } from '../middleware/errorHandler.js';
-import { formatPktDate } from '../utils/timezone.js';
+import { handleDatabaseError, sendDomainError } from '../middleware/errorHandler.js';
+import { DomainError } from '../utils/errors.js';
+import { formatPktDate, getPktDayStartUtc, getPktDayEndUtc } from '../utils/timezone.js';
+import { verifyCustomerBalance, getBalanceAt } from '../services/ledgerService.js';
+import { buildCustomerStatement, renderStatementCsv, renderStatementPdf } from '../services/statementService.js';
+import { sendCsv } from '../utils/csv.js';
+import { formatAddress } from '../utils/address.js';
+import { findCustomersOverBottleLimit } from '../services/bottleCustodyService.js';
+import { getDueCustomers as findDueCustomers } from '../services/refillService.js';
+import { getCreditStatus, getDefaultCreditLimit, parseCreditLimit } from '../services/creditLimitService.js';
+import { parseLocation } from '../utils/geo.js';
+import {
+  getDepositHoldings,
+  listDepositMovements,
+  takeDeposit,
+  refundDeposit
+} from '../services/depositService.js';
 
 const prisma = new PrismaClient();
 
+const formatDepositMovement = (movement) => ({
+  id: movement.id,
+  type: movement.type,
+  bottleCategoryId: movement.bottleCategoryId,
+  categoryName: movement.categoryName,
+  quantity: movement.quantity,
+  amount: parseFloat(movement.amount),
+  paymentMethod: movement.paymentMethod,
+  notes: movement.notes,
+  actor: movement.actor ? { email: movement.actor.email, role: movement.actor.role } : null,
+  date: formatPktDate(movement.createdAt)
+});
+
 // Get all customers
 export const getAllCustomers = async (req, res) => {
   try {
@@ -60,7 +88,11 @@ export const getAllCustomers = async (req, res) => {
       streetNo: customer.streetNo,
       area: customer.area,
       city: customer.city,
+      latitude: customer.latitude,
+      longitude: customer.longitude,
       bottleCount: customer.bottleCount,
+      bottlesInHand: customer.bottlesInHand,
+      overBottleLimit: customer.bottlesInHand > customer.bottleCount,
       avgDaysToRefill: customer.avgDaysToRefill,
       address: `${customer.houseNo || ''} ${customer.streetNo || ''} ${customer.area || ''} ${customer.city || ''}`.trim(),
       currentBalance: parseFloat(customer.currentBalance),
@@ -110,6 +142,10 @@ export const getCustomerById = async (req, res) => {
       });
     }
 
+    // Deposits are held money, kept apart from currentBalance
+    const deposits = await getDepositHoldings(id);
+    const credit = getCreditStatus(customer, await getDefaultCreditLimit());
+
     // Format the customer data with order statistics
     const formattedCustomer = {
       id: customer.id,
@@ -120,10 +156,16 @@ export const getCustomerById = async (req, res) => {
       streetNo: customer.streetNo,
       area: customer.area,
       city: customer.city,
+      latitude: customer.latitude,
+      longitude: customer.longitude,
       bottleCount: customer.bottleCount,
+      bottlesInHand: customer.bottlesInHand,
+      overBottleLimit: customer.bottlesInHand > customer.bottleCount,
       avgDaysToRefill: customer.avgDaysToRefill,
       address: `${customer.houseNo || ''} ${customer.streetNo || ''} ${customer.area || ''} ${customer.city || ''}`.trim(),
       currentBalance: parseFloat(customer.currentBalance),
+      ...credit,
+      deposits,
       isActive: customer.isActive,
       createdAt: formatPktDate(customer.createdAt),
       updatedAt: formatPktDate(customer.updatedAt),
@@ -134,6 +176,8 @@ export const getCustomerById = async (req, res) => {
         priority: order.priority.toLowerCase(),
         totalAmount: parseFloat(order.totalAmount),
         paidAmount: parseFloat(order.paidAmount),
+        numberOfBottles: order.numberOfBottles,
+        emptiesReturned: order.emptiesReturned,
         paymentStatus: order.paymentStatus.toLowerCase(),
         paymentMethod: order.paymentMethod.toLowerCase(),
         rider: order.rider ? {
@@ -163,10 +207,58 @@ export const getCustomerById = async (req, res) => {
   }
 };
 
+// Get customers holding more bottles than they are allowed
+export const getCustomersOverBottleLimit = async (req, res) => {
+  try {
+    const customers = await findCustomersOverBottleLimit();
+
+    res.json({
+      success: true,
+      data: customers.map(customer => ({
+        id: customer.id,
+        name: customer.name,
+        phone: customer.phone,
+        address: formatAddress(customer),
+        bottleCount: customer.bottleCount,
+        bottlesInHand: customer.bottlesInHand,
+        excessBottles: customer.excessBottles,
+        currentBalance: parseFloat(customer.currentBalance)
+      })),
+      totalExcessBottles: customers.reduce((sum, customer) => sum + customer.excessBottles, 0)
+    });
+  } catch (error) {
+    return handleDatabaseError(error, req, res);
+  }
+};
+
+// Get customers due or overdue for a refill on a PKT date (defaults to today)
+export const getDueCustomers = async (req, res) => {
+  try {
+    const { date } = req.query;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const customers = await findDueCustomers(date || undefined);
+
+    res.json({
+      success: true,
+      data: customers,
+      total: customers.length
+    });
+  } catch (error) {
+    return handleDatabaseError(error, req, res);
+  }
+};
+
 // Create new customer
 export const createCustomer = async (req, res) => {
   try {
-    const { name, phone, whatsapp, houseNo, streetNo, area, city, bottleCount, avgDaysToRefill } = req.body;
+    const { name, phone, whatsapp, houseNo, streetNo, area, city, bottleCount, bottlesInHand, avgDaysToRefill, creditLimit, latitude, longitude } = req.body;
 
     const customer = await prisma.customer.create({
       data: {
@@ -178,7 +270,13 @@ export const createCustomer = async (req, res) => {
         area,
         city,
         bottleCount: bottleCount || 0,
-        avgDaysToRefill: avgDaysToRefill || null
+        // Opening custody; afterwards it only moves with deliveries and returns
+        bottlesInHand: bottlesInHand || 0,
+        avgDaysToRefill: avgDaysToRefill || null,
+        // Without its own limit the customer falls back to the company default
+        creditLimit: parseCreditLimit(creditLimit) ?? null,
+        // Optional map position, used to plan delivery routes
+        ...parseLocation(latitude, longitude)
       }
     });
 
@@ -188,6 +286,7 @@ export const createCustomer = async (req, res) => {
       message: 'Customer created successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.log('Customer creation error:', error);
     console.log('Error code:', error.code);
     console.log('Error message:', error.message);
@@ -220,7 +319,7 @@ export const updateCustomerStatus = async (req, res) => {
 export const updateCustomer = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone, whatsapp, houseNo, streetNo, area, city, bottleCount, avgDaysToRefill } = req.body;
+    const { name, phone, whatsapp, houseNo, streetNo, area, city, bottleCount, avgDaysToRefill, creditLimit, latitude, longitude } = req.body;
 
     const customer = await prisma.customer.update({
       where: { id },
@@ -233,7 +332,9 @@ export const updateCustomer = async (req, res) => {
         area,
         city,
         bottleCount: bottleCount || 0,
-        avgDaysToRefill: avgDaysToRefill || null
+        avgDaysToRefill: avgDaysToRefill || null,
+        creditLimit: parseCreditLimit(creditLimit),
+        ...parseLocation(latitude, longitude)
       }
     });
 
@@ -243,6 +344,215 @@ export const updateCustomer = async (req, res) => {
       message: 'Customer updated successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    return handleDatabaseError(error, req, res);
+  }
+};
+
+// Get customer ledger (optionally filtered by PKT date range)
+export const getCustomerLedger = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const customer = await prisma.customer.findUnique({
+      where: { id },
+      select: { id: true, name: true, phone: true }
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const createdAt = {};
+    if (startDate) createdAt.gte = getPktDayStartUtc(startDate);
+    if (endDate) createdAt.lte = getPktDayEndUtc(endDate);
+
+    const entries = await prisma.customerLedgerEntry.findMany({
+      where: {
+        customerId: id,
+        ...(startDate || endDate ? { createdAt } : {})
+      },
+      include: {
+        order: {
+          select: { id: true, orderType: true }
+        },
+        actor: {
+          select: { email: true, role: true }
+        }
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }]
+    });
+
+    const openingBalance = startDate ? await getBalanceAt(id, createdAt.gte) : 0;
+    const closingBalance = entries.length > 0
+      ? parseFloat(entries[entries.length - 1].balanceAfter)
+      : openingBalance;
+    const { currentBalance, ledgerBalance, inSync } = await verifyCustomerBalance(id);
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        openingBalance,
+        closingBalance,
+        currentBalance,
+        ledgerBalance,
+        inSync,
+        entries: entries.map(entry => ({
+          id: entry.id,
+          entryType: entry.entryType,
+          source: entry.source,
+          amount: parseFloat(entry.amount),
+          balanceAfter: parseFloat(entry.balanceAfter),
+          description: entry.description,
+          order: entry.order ? {
+            id: entry.order.id,
+            orderId: `#${entry.order.id.slice(-4)}`,
+            orderType: entry.order.orderType
+          } : null,
+          actor: entry.actor ? {
+            email: entry.actor.email,
+            role: entry.actor.role
+          } : null,
+          date: formatPktDate(entry.createdAt),
+          createdAt: entry.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    return handleDatabaseError(error, req, res);
+  }
+};
+
+// Download a customer account statement as PDF or CSV
+export const getCustomerStatement = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to, format = 'pdf' } = req.query;
+
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be pdf or csv'
+      });
+    }
+
+    const statement = await buildCustomerStatement(id, { from, to });
+
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const filename = `statement-${statement.customer.name.replace(/[^a-z0-9]+/gi, '-')}-${statement.period.from}-${statement.period.to}`;
+
+    if (format === 'csv') {
+      return sendCsv(res, `${filename}.csv`, renderStatementCsv(statement));
+    }
+
+    const pdf = await renderStatementPdf(statement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    return handleDatabaseError(error, req, res);
+  }
+};
+
+// Get deposits a customer holds per bottle category, with their movements
+export const getCustomerDeposits = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const customer = await prisma.customer.findUnique({
+      where: { id },
+      select: { id: true, name: true, phone: true }
+    });
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const holdings = await getDepositHoldings(id);
+    const movements = await listDepositMovements(id, {
+      start: startDate ? getPktDayStartUtc(startDate) : undefined,
+      end: endDate ? getPktDayEndUtc(endDate) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        ...holdings,
+        movements: movements.map(formatDepositMovement)
+      }
+    });
+  } catch (error) {
+    return handleDatabaseError(error, req, res);
+  }
+};
+
+// Take a bottle security deposit from a customer
+export const takeCustomerDeposit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bottleCategoryId, quantity, amount, paymentMethod, notes } = req.body;
+
+    const deposit = await takeDeposit({
+      customerId: id,
+      bottleCategoryId,
+      quantity,
+      amount,
+      paymentMethod,
+      notes,
+      actorId: req.user?.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatDepositMovement(deposit),
+      message: 'Deposit recorded successfully'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    return handleDatabaseError(error, req, res);
+  }
+};
+
+// Refund a customer's bottle security deposit
+export const refundCustomerDeposit = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bottleCategoryId, categoryName, quantity, amount, paymentMethod, notes } = req.body;
+
+    const refund = await refundDeposit({
+      customerId: id,
+      bottleCategoryId,
+      categoryName,
+      quantity,
+      amount,
+      paymentMethod,
+      notes,
+      actorId: req.user?.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatDepositMovement(refund),
+      message: 'Deposit refunded successfully'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     return handleDatabaseError(error, req, res);
   }
 };
@@ -1,206 +1,68 @@
 import { PrismaClient } from '@prisma/client';
-import { getTodayPktDate, getPktDateRangeUtc, formatPktDate } from '../utils/timezone.js';
+import { formatPktDate } from '../utils/timezone.js';
+import { DomainError } from '../utils/errors.js';
+import { sendDomainError } from '../middleware/errorHandler.js';
+import { getRemittanceReconciliation } from '../services/remittanceService.js';
+import {
+  parseClosingDate,
+  toClosingDate,
+  countBlockingOrders,
+  buildClosingSummary,
+  closeDay,
+  reopenDay
+} from '../services/dailyClosingService.js';
+import { resolvePeriod, buildPeriodClosing, renderPeriodClosingCsv } from '../services/closingPeriodService.js';
+import { sendCsv } from '../utils/csv.js';
 
 const prisma = new PrismaClient();
 
-// Get daily closing summary for today (without saving)
+// Riders whose cash handover for the day does not match what they owe
+const findUnreconciledRiders = async (dateStr) => {
+  const reconciliation = await getRemittanceReconciliation(dateStr);
+  return reconciliation
+    .filter(rider => rider.status !== 'RECONCILED')
+    .map(rider => ({
+      riderId: rider.riderId,
+      riderName: rider.riderName,
+      status: rider.status,
+      cashCollected: rider.cashCollected,
+      cashRemitted: rider.cashRemitted,
+      closingDues: rider.closingDues
+    }));
+};
+
+// Get daily closing summary for a day (without saving), defaults to today
 export const getDailyClosingSummary = async (req, res) => {
   try {
-    const todayPktDate = getTodayPktDate();
-    const { start, end } = getPktDateRangeUtc(todayPktDate);
-
-    // Check if orders are in progress (PENDING, ASSIGNED, IN_PROGRESS, CREATED)
-    // These statuses indicate orders that are not completed and should block daily closing
-    const inProgressOrders = await prisma.order.count({
-      where: {
-        status: {
-          in: ['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'CREATED']
-        }
-      }
-    });
-
-    // Get all active customers
-    const activeCustomers = await prisma.customer.findMany({
-      where: {
-        isActive: true
-      },
-      select: {
-        currentBalance: true
-      }
-    });
-
-    // Calculate customer payable (sum of negative balances)
-    const customerPayable = activeCustomers
-      .filter(c => parseFloat(c.currentBalance) < 0)
-      .reduce((sum, c) => sum + Math.abs(parseFloat(c.currentBalance)), 0);
-
-    // Calculate customer receivable (sum of positive balances)
-    const customerReceivable = activeCustomers
-      .filter(c => parseFloat(c.currentBalance) > 0)
-      .reduce((sum, c) => sum + parseFloat(c.currentBalance), 0);
-
-    // Get today's orders (excluding cancelled) with more details
-    const todayOrders = await prisma.order.findMany({
-      where: {
-        createdAt: {
-          gte: start,
-          lte: end
-        },
-        status: {
-          not: 'CANCELLED'
-        }
-      },
-      select: {
-        paidAmount: true,
-        currentOrderAmount: true,
-        numberOfBottles: true,
-        riderId: true,
-        paymentMethod: true,
-        orderType: true
-      }
-    });
-
-    // Calculate totals
-    const totalPaidAmount = todayOrders.reduce(
-      (sum, order) => sum + parseFloat(order.paidAmount),
-      0
-    );
-
-    const totalCurrentOrderAmount = todayOrders.reduce(
-      (sum, order) => sum + parseFloat(order.currentOrderAmount),
-      0
-    );
-
-    const walkInAmount = todayOrders
-      .filter(order => order.orderType === 'WALKIN')
-      .reduce((sum, order) => sum + parseFloat(order.paidAmount), 0);
-
-    const clearBillAmount = todayOrders
-      .filter(order => order.orderType === 'CLEARBILL')
-      .reduce((sum, order) => sum + parseFloat(order.paidAmount), 0);
-
-    const enrouteAmount = todayOrders
-      .filter(order => order.orderType === 'ENROUTE')
-      .reduce((sum, order) => sum + parseFloat(order.paidAmount), 0);
-
-    const balanceClearedToday = totalCurrentOrderAmount - totalPaidAmount;
-
-    const totalBottles = todayOrders.reduce(
-      (sum, order) => sum + order.numberOfBottles,
-      0
-    );
-
-    const totalOrders = todayOrders.length;
-
-    // Group by rider for collections with payment method breakdown
-    const riderCollectionsMap = new Map();
-    todayOrders.forEach(order => {
-      if (!order.riderId) return; // Skip orders without riders
-      if (riderCollectionsMap.has(order.riderId)) {
-        const existing = riderCollectionsMap.get(order.riderId);
-        existing.amount += parseFloat(order.paidAmount);
-        existing.ordersCount += 1;
-        
-        // Track payment methods per rider
-        const paymentMethod = order.paymentMethod || 'CASH';
-        if (existing.paymentMethods.has(paymentMethod)) {
-          const pmData = existing.paymentMethods.get(paymentMethod);
-          pmData.amount += parseFloat(order.paidAmount);
-          pmData.ordersCount += 1;
-        } else {
-          existing.paymentMethods.set(paymentMethod, {
-            amount: parseFloat(order.paidAmount),
-            ordersCount: 1
-          });
-        }
-      } else {
-        const paymentMethod = order.paymentMethod || 'CASH';
-        const paymentMethodsMap = new Map();
-        paymentMethodsMap.set(paymentMethod, {
-          amount: parseFloat(order.paidAmount),
-          ordersCount: 1
-        });
-        
-        riderCollectionsMap.set(order.riderId, {
-          amount: parseFloat(order.paidAmount),
-          ordersCount: 1,
-          paymentMethods: paymentMethodsMap
-        });
-      }
-    });
-
-    // Fetch rider names
-    const riderIds = Array.from(riderCollectionsMap.keys());
-    const riders = await prisma.riderProfile.findMany({
-      where: { id: { in: riderIds } },
-      select: { id: true, name: true }
-    });
+    const dateStr = parseClosingDate(req.query.date);
 
-    const ridersMap = new Map(riders.map(r => [r.id, r.name]));
-
-    const riderCollections = Array.from(riderCollectionsMap.entries()).map(([riderId, data]) => ({
-      riderId,
-      riderName: ridersMap.get(riderId) || 'Unknown',
-      amount: data.amount,
-      ordersCount: data.ordersCount,
-      paymentMethods: Array.from(data.paymentMethods.entries()).map(([method, pmData]) => ({
-        method,
-        amount: pmData.amount,
-        ordersCount: pmData.ordersCount
-      }))
-    }));
+    // Open orders due by the day block its closing
+    const inProgressOrders = await countBlockingOrders(dateStr);
 
-    // Group by payment method (use CASH fallback for null/undefined)
-    const paymentMethodsMap = new Map();
-    todayOrders.forEach(order => {
-      const method = order.paymentMethod || 'CASH';
-      if (paymentMethodsMap.has(method)) {
-        const existing = paymentMethodsMap.get(method);
-        existing.amount += parseFloat(order.paidAmount);
-        existing.ordersCount += 1;
-      } else {
-        paymentMethodsMap.set(method, {
-          amount: parseFloat(order.paidAmount),
-          ordersCount: 1
-        });
-      }
-    });
-
-    const paymentMethods = Array.from(paymentMethodsMap.entries()).map(([method, data]) => ({
-      method,
-      amount: data.amount,
-      ordersCount: data.ordersCount
-    }));
+    const summary = await buildClosingSummary(dateStr);
+    const unreconciledRiders = await findUnreconciledRiders(dateStr);
 
-    // Check if closing already exists for today
+    // Check if closing already exists for the day
     const existingClosing = await prisma.dailyClosing.findUnique({
       where: {
-        date: new Date(todayPktDate + 'T00:00:00Z')
+        date: toClosingDate(dateStr)
       }
     });
 
     res.json({
       success: true,
       data: {
-        date: todayPktDate,
-        customerPayable: Number(customerPayable) || 0,
-        customerReceivable: Number(customerReceivable) || 0,
-        totalPaidAmount: Number(totalPaidAmount) || 0,
-        totalCurrentOrderAmount: Number(totalCurrentOrderAmount) || 0,
-        walkInAmount: Number(walkInAmount) || 0,
-        clearBillAmount: Number(clearBillAmount) || 0,
-        enrouteAmount: Number(enrouteAmount) || 0,
-        balanceClearedToday: Number(balanceClearedToday) || 0,
-        totalBottles: Number(totalBottles) || 0,
-        totalOrders: Number(totalOrders) || 0,
-        riderCollections: Array.isArray(riderCollections) ? riderCollections : [],
-        paymentMethods: Array.isArray(paymentMethods) ? paymentMethods : [],
+        ...summary,
         canClose: inProgressOrders === 0,
         inProgressOrdersCount: Number(inProgressOrders) || 0,
-        alreadyExists: !!existingClosing
+        unreconciledRiders,
+        alreadyExists: !!existingClosing,
+        status: existingClosing?.status || null,
+        version: existingClosing?.version || 0
       }
     });
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Error fetching daily closing summary:', error);
     res.status(500).json({
       success: false,
@@ -210,22 +72,13 @@ export const getDailyClosingSummary = async (req, res) => {
   }
 };
 
-// Create or update daily closing
+// Close a day (defaults to today); closing it again saves a new version
 export const saveDailyClosing = async (req, res) => {
   try {
-    const todayPktDate = getTodayPktDate();
-    const { start, end } = getPktDateRangeUtc(todayPktDate);
-
-    // Check if orders are in progress (PENDING, ASSIGNED, IN_PROGRESS, CREATED)
-    // These statuses indicate orders that are not completed and should block daily closing
-    const inProgressOrders = await prisma.order.count({
-      where: {
-        status: {
-          in: ['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'CREATED']
-        }
-      }
-    });
+    const { date, reason, counts } = req.body;
+    const dateStr = parseClosingDate(date);
 
+    const inProgressOrders = await countBlockingOrders(dateStr);
     if (inProgressOrders > 0) {
       return res.status(400).json({
         success: false,
@@ -234,249 +87,171 @@ export const saveDailyClosing = async (req, res) => {
       });
     }
 
-    // Get all active customers
-    const activeCustomers = await prisma.customer.findMany({
-      where: {
-        isActive: true
-      },
-      select: {
-        currentBalance: true
-      }
-    });
+    const completeClosing = await closeDay(dateStr, { actor: req.user, reason, counts });
 
-    // Calculate customer payable (sum of negative balances)
-    const customerPayable = activeCustomers
-      .filter(c => parseFloat(c.currentBalance) < 0)
-      .reduce((sum, c) => sum + Math.abs(parseFloat(c.currentBalance)), 0);
+    // Closing is allowed, but flag riders who have not settled their cash
+    const unreconciledRiders = await findUnreconciledRiders(dateStr);
+    const warnings = unreconciledRiders.map(rider =>
+      `${rider.riderName}: ${rider.status} (collected Rs ${rider.cashCollected}, handed over Rs ${rider.cashRemitted}, outstanding Rs ${rider.closingDues})`
+    );
+
+    res.json({
+      success: true,
+      message: warnings.length > 0
+        ? `Daily closing saved with ${warnings.length} unreconciled rider(s)`
+        : 'Daily closing saved successfully',
+      data: completeClosing,
+      unreconciledRiders,
+      warnings
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error saving daily closing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save daily closing',
+      error: error.message
+    });
+  }
+};
 
-    // Calculate customer receivable (sum of positive balances)
-    const customerReceivable = activeCustomers
-      .filter(c => parseFloat(c.currentBalance) > 0)
-      .reduce((sum, c) => sum + parseFloat(c.currentBalance), 0);
+// Get every saved version of a day's closing, newest first
+export const getDailyClosingVersions = async (req, res) => {
+  try {
+    const dateStr = parseClosingDate(req.params.date);
 
-    // Get today's orders (excluding cancelled) with more details
-    const todayOrders = await prisma.order.findMany({
-      where: {
-        createdAt: {
-          gte: start,
-          lte: end
+    const closing = await prisma.dailyClosing.findUnique({
+      where: { date: toClosingDate(dateStr) },
+      include: {
+        versions: {
+          orderBy: { version: 'desc' },
+          include: {
+            closedBy: {
+              select: { id: true, email: true }
+            }
+          }
         },
-        status: {
-          not: 'CANCELLED'
+        reopenings: {
+          orderBy: { createdAt: 'desc' },
+          include: {
+            reopenedBy: {
+              select: { id: true, email: true }
+            }
+          }
         }
-      },
-      select: {
-        paidAmount: true,
-        currentOrderAmount: true,
-        numberOfBottles: true,
-        riderId: true,
-        paymentMethod: true,
-        orderType: true
       }
     });
 
-    // Calculate totals
-    const totalPaidAmount = todayOrders.reduce(
-      (sum, order) => sum + parseFloat(order.paidAmount),
-      0
-    );
-
-    const totalCurrentOrderAmount = todayOrders.reduce(
-      (sum, order) => sum + parseFloat(order.currentOrderAmount),
-      0
-    );
-
-    const walkInAmount = todayOrders
-      .filter(order => order.orderType === 'WALKIN')
-      .reduce((sum, order) => sum + parseFloat(order.paidAmount), 0);
-
-    const clearBillAmount = todayOrders
-      .filter(order => order.orderType === 'CLEARBILL')
-      .reduce((sum, order) => sum + parseFloat(order.paidAmount), 0);
-
-    const enrouteAmount = todayOrders
-      .filter(order => order.orderType === 'ENROUTE')
-      .reduce((sum, order) => sum + parseFloat(order.paidAmount), 0);
-
-    const balanceClearedToday = totalCurrentOrderAmount - totalPaidAmount;
-
-    const totalBottles = todayOrders.reduce(
-      (sum, order) => sum + order.numberOfBottles,
-      0
-    );
-
-    const totalOrders = todayOrders.length;
+    if (!closing) {
+      return res.status(404).json({
+        success: false,
+        message: `No closing saved for ${dateStr}`
+      });
+    }
 
-    // Group by rider for collections with payment method breakdown
-    const riderCollectionsMap = new Map();
-    todayOrders.forEach(order => {
-      if (!order.riderId) return; // Skip orders without riders
-      if (riderCollectionsMap.has(order.riderId)) {
-        const existing = riderCollectionsMap.get(order.riderId);
-        existing.amount += parseFloat(order.paidAmount);
-        existing.ordersCount += 1;
-        
-        // Track payment methods per rider
-        const paymentMethod = order.paymentMethod || 'CASH';
-        if (existing.paymentMethods.has(paymentMethod)) {
-          const pmData = existing.paymentMethods.get(paymentMethod);
-          pmData.amount += parseFloat(order.paidAmount);
-          pmData.ordersCount += 1;
-        } else {
-          existing.paymentMethods.set(paymentMethod, {
-            amount: parseFloat(order.paidAmount),
-            ordersCount: 1
-          });
-        }
-      } else {
-        const paymentMethod = order.paymentMethod || 'CASH';
-        const paymentMethodsMap = new Map();
-        paymentMethodsMap.set(paymentMethod, {
-          amount: parseFloat(order.paidAmount),
-          ordersCount: 1
-        });
-        
-        riderCollectionsMap.set(order.riderId, {
-          amount: parseFloat(order.paidAmount),
-          ordersCount: 1,
-          paymentMethods: paymentMethodsMap
-        });
+    res.json({
+      success: true,
+      data: {
+        date: dateStr,
+        currentVersion: closing.version,
+        versions: closing.versions.map(version => ({
+          version: version.version,
+          reason: version.reason,
+          closedBy: version.closedBy,
+          closedAt: version.createdAt,
+          snapshot: version.snapshot
+        })),
+        status: closing.status,
+        reopenings: closing.reopenings.map(reopening => ({
+          version: reopening.version,
+          reason: reopening.reason,
+          reopenedBy: reopening.reopenedBy,
+          reopenedAt: reopening.createdAt
+        }))
       }
     });
-
-    // Group by payment method (use CASH fallback for null/undefined)
-    const paymentMethodsMap = new Map();
-    todayOrders.forEach(order => {
-      const method = order.paymentMethod || 'CASH';
-      if (paymentMethodsMap.has(method)) {
-        const existing = paymentMethodsMap.get(method);
-        existing.amount += parseFloat(order.paidAmount);
-        existing.ordersCount += 1;
-      } else {
-        paymentMethodsMap.set(method, {
-          amount: parseFloat(order.paidAmount),
-          ordersCount: 1
-        });
-      }
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error fetching daily closing versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch daily closing versions',
+      error: error.message
     });
+  }
+};
 
-    // Create or update the daily closing (use findUnique + create/update to avoid upsert quirks)
-    const closingDate = new Date(todayPktDate + 'T00:00:00Z');
-    const createData = {
-      date: closingDate,
-      customerPayable,
-      customerReceivable,
-      totalPaidAmount,
-      totalCurrentOrderAmount,
-      walkInAmount,
-      clearBillAmount,
-      enrouteAmount,
-      balanceClearedToday,
-      totalBottles,
-      totalOrders
-    };
-
-    let dailyClosing;
-    const existing = await prisma.dailyClosing.findUnique({
-      where: { date: closingDate }
-    });
+// Roll saved daily closings up into a week, month or custom range (JSON or CSV)
+export const getPeriodClosing = async (req, res) => {
+  try {
+    const { period, date, month, from, to, format = 'json' } = req.query;
 
-    if (existing) {
-      await prisma.dailyClosingRider.deleteMany({ where: { dailyClosingId: existing.id } });
-      await prisma.dailyClosingPayment.deleteMany({ where: { dailyClosingId: existing.id } });
-      dailyClosing = await prisma.dailyClosing.update({
-        where: { id: existing.id },
-        data: {
-          customerPayable: createData.customerPayable,
-          customerReceivable: createData.customerReceivable,
-          totalPaidAmount: createData.totalPaidAmount,
-          totalCurrentOrderAmount: createData.totalCurrentOrderAmount,
-          walkInAmount: createData.walkInAmount,
-          clearBillAmount: createData.clearBillAmount,
-          enrouteAmount: createData.enrouteAmount,
-          balanceClearedToday: createData.balanceClearedToday,
-          totalBottles: createData.totalBottles,
-          totalOrders: createData.totalOrders
-        }
-      });
-    } else {
-      dailyClosing = await prisma.dailyClosing.create({
-        data: createData
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json or csv'
       });
     }
 
-    // Create rider collections with payment method breakdowns
-    const riderCollectionsData = Array.from(riderCollectionsMap.entries()).map(([riderId, data]) => ({
-      dailyClosingId: dailyClosing.id,
-      riderId: riderId,
-      amount: data.amount,
-      ordersCount: data.ordersCount,
-      paymentMethods: {
-        create: Array.from(data.paymentMethods.entries()).map(([method, pmData]) => ({
-          paymentMethod: method,
-          amount: pmData.amount,
-          ordersCount: pmData.ordersCount
-        }))
-      }
-    }));
+    const range = resolvePeriod({ period, date, month, from, to });
+    const periodClosing = await buildPeriodClosing(range);
 
-    if (riderCollectionsData.length > 0) {
-      for (const riderData of riderCollectionsData) {
-        await prisma.dailyClosingRider.create({
-          data: riderData
-        });
-      }
+    if (format === 'csv') {
+      return sendCsv(res, `closing-${range.type}-${range.from}-${range.to}.csv`, renderPeriodClosingCsv(periodClosing));
     }
 
-    // Create payment method breakdowns
-    const paymentMethods = Array.from(paymentMethodsMap.entries()).map(([method, data]) => ({
-      dailyClosingId: dailyClosing.id,
-      paymentMethod: method,
-      amount: data.amount,
-      ordersCount: data.ordersCount
-    }));
+    res.json({
+      success: true,
+      data: periodClosing
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error fetching period closing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch period closing',
+      error: error.message
+    });
+  }
+};
 
-    if (paymentMethods.length > 0) {
-      await prisma.dailyClosingPayment.createMany({
-        data: paymentMethods
-      });
-    }
+// Reopen a closed day so its orders can be corrected; it must be closed again afterwards
+export const reopenDailyClosing = async (req, res) => {
+  try {
+    const dateStr = parseClosingDate(req.params.date);
+    const { reason } = req.body;
 
-    // Fetch the complete closing with relations
-    const completeClosing = await prisma.dailyClosing.findUnique({
-      where: { id: dailyClosing.id },
-      include: {
-        riderCollections: {
-          include: {
-            rider: {
-              select: { name: true }
-            },
-            paymentMethods: true
-          }
-        },
-        paymentMethods: true
-      }
-    });
+    const closing = await reopenDay(dateStr, { actor: req.user, reason });
 
     res.json({
       success: true,
-      message: 'Daily closing saved successfully',
-      data: completeClosing
+      data: {
+        date: dateStr,
+        status: closing.status,
+        version: closing.version
+      },
+      message: `${dateStr} reopened. Close the day again once corrections are done.`
     });
   } catch (error) {
-    console.error('Error saving daily closing:', error);
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error reopening daily closing:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to save daily closing',
+      message: 'Failed to reopen day',
       error: error.message
     });
   }
 };
 
-// Get all daily closings
+// Get all daily closings (variance=nonzero lists only days where counted money differed)
 export const getAllDailyClosings = async (req, res) => {
   try {
+    const { variance } = req.query;
+
     const dailyClosings = await prisma.dailyClosing.findMany({
+      where: variance === 'nonzero'
+        ? { paymentMethods: { some: { variance: { not: 0 } } } }
+        : {},
       orderBy: {
         date: 'desc'
       },
@@ -489,7 +264,10 @@ export const getAllDailyClosings = async (req, res) => {
             paymentMethods: true
           }
         },
-        paymentMethods: true
+        paymentMethods: true,
+        closedBy: {
+          select: { id: true, email: true }
+        }
       }
     });
 
@@ -503,8 +281,15 @@ export const getAllDailyClosings = async (req, res) => {
       walkInAmount: parseFloat(closing.walkInAmount) || 0,
       clearBillAmount: parseFloat(closing.clearBillAmount) || 0,
       enrouteAmount: parseFloat(closing.enrouteAmount) || 0,
+      paymentsVoided: parseFloat(closing.paymentsVoided) || 0,
+      refundsPaid: parseFloat(closing.refundsPaid) || 0,
       balanceClearedToday: parseFloat(closing.balanceClearedToday) || 0,
       totalBottles: Number(closing.totalBottles) || 0,
+      bottlesDelivered: Number(closing.bottlesDelivered) || 0,
+      emptiesReturned: Number(closing.emptiesReturned) || 0,
+      netBottlesOut: (Number(closing.bottlesDelivered) || 0) - (Number(closing.emptiesReturned) || 0),
+      depositsTaken: parseFloat(closing.depositsTaken) || 0,
+      depositsRefunded: parseFloat(closing.depositsRefunded) || 0,
       totalOrders: Number(closing.totalOrders) || 0,
       riderCollections: (closing.riderCollections || []).map(rc => ({
         riderName: rc.rider?.name || 'Unknown',
@@ -519,8 +304,17 @@ export const getAllDailyClosings = async (req, res) => {
       paymentMethods: (closing.paymentMethods || []).map(pm => ({
         method: pm.paymentMethod,
         amount: parseFloat(pm.amount) || 0,
-        ordersCount: Number(pm.ordersCount) || 0
+        depositAmount: parseFloat(pm.depositAmount) || 0,
+        ordersCount: Number(pm.ordersCount) || 0,
+        countedAmount: pm.countedAmount !== null ? parseFloat(pm.countedAmount) : null,
+        variance: parseFloat(pm.variance) || 0,
+        varianceReason: pm.varianceReason
       })),
+      totalVariance: parseFloat(closing.totalVariance) || 0,
+      version: closing.version,
+      status: closing.status,
+      needsReclose: closing.status === 'REOPENED',
+      closedBy: closing.closedBy,
       createdAt: closing.createdAt,
       updatedAt: closing.updatedAt
     }));
@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import { getTodayPktUtcRange, formatPktDate } from '../utils/timezone.js';
+import { getDueCustomers } from '../services/refillService.js';
 
 const prisma = new PrismaClient();
 
@@ -43,12 +44,16 @@ export const getDashboardStats = async (req, res) => {
       }
     });
 
+    // Customers due or overdue for a refill today
+    const dueCustomers = await getDueCustomers();
+
     const stats = {
       totalCustomers,
       totalRiders,
       ordersToday,
       pendingOrders,
-      pendingPayments: pendingPayments._sum.totalAmount || 0
+      pendingPayments: pendingPayments._sum.totalAmount || 0,
+      dueCustomers: dueCustomers.length
     };
 
     res.json({
@@ -0,0 +1,51 @@
+import { PrismaClient } from '@prisma/client';
+import { addClient, writeEvent } from '../services/realtimeService.js';
+
+const prisma = new PrismaClient();
+
+// Comment line sent now and then so proxies do not close an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Open a Server-Sent Events stream of order events and notifications for the logged-in user
+export const streamEvents = async (req, res) => {
+  try {
+    const unreadCount = await prisma.notification.count({
+      where: { userId: req.user.id, isRead: false }
+    });
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const removeClient = addClient(req.user, res);
+    writeEvent(res, 'ready', {
+      userId: req.user.id,
+      role: req.user.role,
+      unreadCount
+    });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      removeClient();
+    });
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open event stream',
+      error: error.message
+    });
+  }
+};
@@ -1,26 +1,43 @@
 import { PrismaClient } from '@prisma/client';
 import { getPktDateRangeUtc, getPktDayStartUtc, getPktDayEndUtc, formatPktDate } from '../utils/timezone.js';
+import { formatAddress } from '../utils/address.js';
+import { DomainError } from '../utils/errors.js';
+import { sendDomainError } from '../middleware/errorHandler.js';
+import { transitionOrder, notifyTransition, assertEditable, amendOpenOrder, getPaymentSettlement } from '../services/orderLifecycle.js';
+import { lockCustomer, postLedgerEntry } from '../services/ledgerService.js';
+import { resolveOrderItems, getOrderLines, applyQuantityChanges } from '../services/orderPricing.js';
+import { parseEmptiesReturned, recordBottleExchange } from '../services/bottleCustodyService.js';
+import { placeOrder } from '../services/orderService.js';
+import { checkCreditLimit, parseCreditOverride, recordCreditOverride } from '../services/creditLimitService.js';
+import { formatPayment, parsePaymentMethod, recordPayment, parseTenders, sumTenders, getMainTenderMethod, recordTenders } from '../services/paymentService.js';
+import { isAutoAssignEnabled } from '../services/riderAssignment.js';
+import { createNotification } from '../services/notificationService.js';
+import { publishOrderEvent } from '../services/realtimeService.js';
+import { parseDeliveryProof, storeDeliveryProofFiles, discardDeliveryProofFiles, saveDeliveryProof, formatDeliveryProof } from '../services/deliveryProofService.js';
+import { assertOrderPeriodOpen } from '../services/periodLock.js';
+import { deliveryDateWhere, formatDeliveryWindow } from '../utils/deliveryWindow.js';
 
 const prisma = new PrismaClient();
 
-// Helper function to format customer address
-const formatAddress = (customer) => {
-  const parts = [
-    customer.houseNo,
-    customer.streetNo,
-    customer.area,
-    customer.city
-  ].filter(Boolean);
-  return parts.length > 0 ? parts.join(' ') : 'No address';
+// Deliveries only go through POST /:id/deliver, where the proof of delivery is captured
+const assertNotDelivering = (targetStatus, currentStatus) => {
+  if (targetStatus === 'DELIVERED' && currentStatus !== 'DELIVERED') {
+    throw new DomainError('Use POST /api/orders/:id/deliver to mark an order delivered', {
+      status: 400,
+      code: 'USE_DELIVER_ENDPOINT'
+    });
+  }
 };
 
 // Get all orders
 export const getAllOrders = async (req, res) => {
   try {
-    const { status, date, riderId, startDate, endDate, page, limit, paymentStatus } = req.query;
+    const { status, date, riderId, startDate, endDate, page, limit, paymentStatus, deliveryDate, sortBy } = req.query;
 
     const whereClause = {
       ...(status && status !== 'all' ? { status: status.toUpperCase() } : {}),
+      // Orders due for delivery on a date (requested date, or created that day when none was requested)
+      ...(deliveryDate ? deliveryDateWhere(deliveryDate) : {}),
       ...(riderId ? { riderId } : {}),
       ...(paymentStatus && paymentStatus !== 'all' ? { paymentStatus: paymentStatus.toUpperCase() } : {}),
       ...(date
@@ -64,6 +81,15 @@ export const getAllOrders = async (req, res) => {
     // Get total count for pagination
     const total = await prisma.order.count({ where: whereClause });
 
+    // sortBy=delivery: earliest requested date and window first, orders without one last
+    const orderBy = sortBy === 'delivery'
+      ? [
+          { requestedDeliveryDate: { sort: 'asc', nulls: 'last' } },
+          { deliveryWindowStart: { sort: 'asc', nulls: 'last' } },
+          { createdAt: 'asc' }
+        ]
+      : { createdAt: 'desc' };
+
     const orders = await prisma.order.findMany({
       where: whereClause,
       include: {
@@ -72,9 +98,10 @@ export const getAllOrders = async (req, res) => {
         },
         rider: {
           select: { name: true }
-        }
+        },
+        items: true
       },
-      orderBy: { createdAt: 'desc' },
+      orderBy,
       skip: skip,
       take: pageLimit
     });
@@ -85,11 +112,17 @@ export const getAllOrders = async (req, res) => {
       customer: order.customer.name,
       phone: order.customer.phone,
       bottles: order.numberOfBottles,
+      items: getOrderLines(order).map(line => ({
+        category: line.categoryName,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice
+      })),
       amount: parseFloat(order.totalAmount),
       status: order.status.toLowerCase(),
       priority: order.priority.toLowerCase(),
       rider: order.rider?.name || 'Not assigned',
       date: formatPktDate(order.createdAt),
+      ...formatDeliveryWindow(order),
       paid: order.paymentStatus === 'PAID' || order.paymentStatus === 'REFUND',
       paidAmount: parseFloat(order.paidAmount),
       paymentStatus: order.paymentStatus.toLowerCase(),
@@ -124,7 +157,13 @@ export const getOrderById = async (req, res) => {
       where: { id },
       include: {
         customer: true,
-        rider: true
+        rider: true,
+        items: true,
+        payments: {
+          include: { allocations: true },
+          orderBy: { receivedAt: 'asc' }
+        },
+        deliveryProof: true
       }
     });
 
@@ -137,7 +176,12 @@ export const getOrderById = async (req, res) => {
 
     res.json({
       success: true,
-      data: order
+      data: {
+        ...order,
+        items: getOrderLines(order),
+        payments: order.payments.map(formatPayment),
+        deliveryProof: await formatDeliveryProof(order.deliveryProof)
+      }
     });
   } catch (error) {
     console.error('Error fetching order:', error);
@@ -152,152 +196,60 @@ export const getOrderById = async (req, res) => {
 // Create new order
 export const createOrder = async (req, res) => {
   try {
-    const { customerId, notes, priority = 'NORMAL', numberOfBottles = 1, riderId, unitPrice, orderType = 'DELIVERY' } = req.body;
+    const {
+      customerId,
+      notes,
+      priority = 'NORMAL',
+      items,
+      numberOfBottles = 1,
+      bottleCategoryId,
+      riderId,
+      autoAssign,
+      orderType = 'DELIVERY',
+      requestedDeliveryDate,
+      deliveryWindowStart,
+      deliveryWindowEnd,
+      creditOverride
+    } = req.body;
+
+    // riderId 'auto' or autoAssign asks for a rider by area; the company setting makes it the default
+    const autoAssignRider = riderId === 'auto' ||
+      (!riderId && (autoAssign === true || await isAutoAssignEnabled()));
 
     // Validate constraints based on order type
-    if (orderType === 'DELIVERY' && !riderId) {
+    if (orderType === 'DELIVERY' && !riderId && !autoAssignRider) {
       return res.status(400).json({
         success: false,
         message: 'Rider ID is required for delivery orders'
       });
     }
 
-    if (orderType === 'WALKIN' && riderId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rider ID should not be provided for walk-in orders'
-      });
-    }
-
-    // Handle walk-in customer lookup
-    let customer;
-    if (customerId === 'walkin') {
-      // Find the walk-in customer by name
-      customer = await prisma.customer.findFirst({
-        where: { name: 'Walk-in Customer' },
-        select: { id: true, currentBalance: true }
-      });
-    } else {
-      // Regular customer lookup
-      customer = await prisma.customer.findUnique({
-        where: { id: customerId },
-        select: { id: true, currentBalance: true }
-      });
-    }
-
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer not found'
-      });
-    }
-
-    const customerBalance = parseFloat(customer.currentBalance);
-    const currentOrderAmount = parseFloat(numberOfBottles) * parseFloat(unitPrice);
-    const totalAmount = customerBalance + currentOrderAmount;
-
-    const order = await prisma.$transaction(async (tx) => {
-      // Determine initial status based on order type
-      let initialStatus = 'PENDING';
-      if (orderType === 'WALKIN') {
-        initialStatus = 'CREATED';
-      } else if (orderType === 'DELIVERY' && riderId) {
-        initialStatus = 'ASSIGNED';
-      }
-
-      // Create the order with new balance tracking fields
-      const newOrder = await tx.order.create({
-        data: {
-          customerId: customer.id, // Use the actual customer ID
-          totalAmount,
-          currentOrderAmount,
-          customerBalance,
-          notes,
-          priority: priority.toUpperCase(),
-          orderType: orderType.toUpperCase(),
-          riderId: orderType === 'DELIVERY' ? riderId : null,
-          numberOfBottles: parseInt(numberOfBottles),
-          status: initialStatus
-        },
-        include: {
-          customer: true
-        }
-      });
-
-      // Update customer's current balance to the new total
-      await tx.customer.update({
-        where: { id: customer.id }, // Use the actual customer ID
-        data: { currentBalance: totalAmount }
-      });
-
-      return newOrder;
-    });
-
-    // If assigned to a rider, create a notification for the rider's user
-    if (riderId) {
-      try {
-        const riderProfile = await prisma.riderProfile.findUnique({
-          where: { id: riderId },
-          select: { userId: true, name: true }
-        });
-
-        if (riderProfile?.userId) {
-          // Get full customer details for address
-          const fullCustomer = await prisma.customer.findUnique({
-            where: { id: order.customerId },
-            select: { name: true, houseNo: true, streetNo: true, area: true, city: true }
-          });
-
-          const address = formatAddress(fullCustomer);
-          const message = `${fullCustomer.name} ka order - ${order.numberOfBottles} bottle(ain), Rs ${order.totalAmount}, ${address}`;
-
-          await prisma.notification.create({
-            data: {
-              userId: riderProfile.userId,
-              title: 'Naya order',
-              message: message,
-              type: 'ORDER_ASSIGNED',
-              data: {
-                orderId: order.id,
-                priority: order.priority,
-                totalAmount: order.totalAmount,
-                numberOfBottles: order.numberOfBottles,
-                customer: {
-                  id: order.customer.id,
-                  name: order.customer.name,
-                  phone: order.customer.phone
-                }
-              }
-            }
-          });
-
-          // Send push notification
-          try {
-            const { sendToUser } = await import('../services/pushService.js');
-            await sendToUser(riderProfile.userId, {
-              title: 'Naya order',
-              message: message,
-              data: {
-                orderId: order.id,
-                type: 'ORDER_ASSIGNED'
-              },
-              clickAction: `/rider/orders/${order.id}`
-            });
-          } catch (pushErr) {
-            console.error('Failed to send push notification:', pushErr);
-          }
-        }
-      } catch (notifyErr) {
-        console.error('Failed to create rider notification:', notifyErr);
-      }
-    }
+    const order = await placeOrder({
+      customerId,
+      items,
+      numberOfBottles,
+      bottleCategoryId,
+      riderId: autoAssignRider ? null : riderId,
+      autoAssign: autoAssignRider,
+      orderType,
+      priority,
+      notes,
+      requestedDeliveryDate,
+      deliveryWindowStart,
+      deliveryWindowEnd
+    }, { actor: req.user, creditOverride });
+
+    const unassigned = autoAssignRider && order.orderType === 'DELIVERY' && !order.riderId;
 
     res.status(201).json({
       success: true,
       data: order,
-      message: 'Order created successfully'
+      message: unassigned
+        ? 'Order created as pending: no rider available for the customer\'s area'
+        : 'Order created successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Error creating order:', error);
     res.status(500).json({
       success: false,
@@ -332,174 +284,33 @@ export const updateOrderStatus = async (req, res) => {
     }
 
     const oldRiderId = currentOrder.riderId;
-    const oldRiderUserId = currentOrder.rider?.userId;
 
     // If reassigning (riderId changes), keep status as ASSIGNED
     const isReassigning = riderId && oldRiderId && riderId !== oldRiderId;
-    const updateData = {};
-    
-    // Only update status if not reassigning
-    if (status && !isReassigning) {
-      updateData.status = status.toUpperCase();
-    } else if (isReassigning) {
-      // Keep status as ASSIGNED when reassigning
-      updateData.status = 'ASSIGNED';
+    let targetStatus = currentOrder.status;
+    if (isReassigning || (riderId && !status)) {
+      targetStatus = 'ASSIGNED';
+    } else if (status) {
+      targetStatus = status.toUpperCase();
     }
-    
+    assertNotDelivering(targetStatus, currentOrder.status);
+
+    const updateData = {};
     if (riderId) {
       updateData.riderId = riderId;
     }
 
-    const order = await prisma.order.update({
-      where: { id },
-      data: updateData,
-      include: {
-        customer: true,
-        rider: {
-          include: {
-            user: {
-              select: { id: true }
-            }
-          }
-        }
-      }
+    const order = await prisma.$transaction(async (tx) => {
+      // Orders of a closed day are frozen
+      await assertOrderPeriodOpen(tx, currentOrder);
+      return transitionOrder(tx, currentOrder, targetStatus, { data: updateData, actor: req.user });
     });
 
-    // If rider is being changed (reassigned), send notifications to both riders
-    if (isReassigning) {
-      try {
-        const address = formatAddress(order.customer);
-        
-        // Notify old rider that order is reassigned
-        if (oldRiderUserId) {
-          const oldRiderMessage = `${order.customer.name} ka order - ${order.numberOfBottles} bottle(ain), Rs ${order.totalAmount}, ab aap se hata diya gaya, ${address}`;
-          
-          await prisma.notification.create({
-            data: {
-              userId: oldRiderUserId,
-              title: 'Order reassign ho gaya',
-              message: oldRiderMessage,
-              type: 'ORDER_REASSIGNED',
-              data: {
-                orderId: id,
-                customer: {
-                  id: order.customerId,
-                  name: order.customer.name,
-                  phone: order.customer.phone
-                },
-                numberOfBottles: order.numberOfBottles
-              }
-            }
-          });
-
-          // Send push notification to old rider
-          try {
-            const { sendToUser } = await import('../services/pushService.js');
-            await sendToUser(oldRiderUserId, {
-              title: 'Order reassign ho gaya',
-              message: oldRiderMessage,
-              data: {
-                orderId: id,
-                type: 'ORDER_REASSIGNED'
-              },
-              clickAction: `/rider/orders/${id}`
-            });
-          } catch (pushErr) {
-            console.error('Failed to send push notification to old rider:', pushErr);
-          }
-        }
-
-        // Notify new rider that order is assigned
-        if (order.rider?.user?.id) {
-          const newRiderMessage = `${order.customer.name} ka order - ${order.numberOfBottles} bottle(ain), Rs ${order.totalAmount}, ${address}`;
-          
-          await prisma.notification.create({
-            data: {
-              userId: order.rider.user.id,
-              title: 'Naya order',
-              message: newRiderMessage,
-              type: 'ORDER_ASSIGNED',
-              data: {
-                orderId: id,
-                priority: order.priority,
-                totalAmount: order.totalAmount,
-                numberOfBottles: order.numberOfBottles,
-                customer: {
-                  id: order.customerId,
-                  name: order.customer.name,
-                  phone: order.customer.phone
-                }
-              }
-            }
-          });
-
-          // Send push notification to new rider
-          try {
-            const { sendToUser } = await import('../services/pushService.js');
-            await sendToUser(order.rider.user.id, {
-              title: 'Naya order',
-              message: newRiderMessage,
-              data: {
-                orderId: id,
-                type: 'ORDER_ASSIGNED'
-              },
-              clickAction: `/rider/orders/${id}`
-            });
-          } catch (pushErr) {
-            console.error('Failed to send push notification to new rider:', pushErr);
-          }
-        }
-      } catch (notifyErr) {
-        console.error('Failed to create rider notifications:', notifyErr);
-        // Continue even if notifications fail
-      }
-    } else if (riderId && !oldRiderId) {
-      // First time assignment - notify new rider
-      try {
-        if (order.rider?.user?.id) {
-          const address = formatAddress(order.customer);
-          const message = `${order.customer.name} ka order - ${order.numberOfBottles} bottle(ain), Rs ${order.totalAmount}, ${address}`;
-          
-          await prisma.notification.create({
-            data: {
-              userId: order.rider.user.id,
-              title: 'Naya order',
-              message: message,
-              type: 'ORDER_ASSIGNED',
-              data: {
-                orderId: id,
-                priority: order.priority,
-                totalAmount: order.totalAmount,
-                numberOfBottles: order.numberOfBottles,
-                customer: {
-                  id: order.customerId,
-                  name: order.customer.name,
-                  phone: order.customer.phone
-                }
-              }
-            }
-          });
-
-          // Send push notification
-          try {
-            const { sendToUser } = await import('../services/pushService.js');
-            await sendToUser(order.rider.user.id, {
-              title: 'Naya order',
-              message: message,
-              data: {
-                orderId: id,
-                type: 'ORDER_ASSIGNED'
-              },
-              clickAction: `/rider/orders/${id}`
-            });
-          } catch (pushErr) {
-            console.error('Failed to send push notification:', pushErr);
-          }
-        }
-      } catch (notifyErr) {
-        console.error('Failed to create rider notification:', notifyErr);
-      }
-    }
+    // Notify riders about assignment, reassignment, delivery or cancellation
+    await notifyTransition(order, {
+      actor: req.user,
+      previousRider: currentOrder.rider
+    });
 
     res.json({
       success: true,
@@ -507,6 +318,9 @@ export const updateOrderStatus = async (req, res) => {
       message: 'Order updated successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error updating order:', error);
     res.status(500).json({
       success: false,
@@ -520,7 +334,7 @@ export const updateOrderStatus = async (req, res) => {
 export const completeWalkInOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const { paymentAmount = 0, paymentMethod = 'CASH', notes } = req.body;
+    const { paymentAmount = 0, paymentMethod = 'CASH', paymentReference, tenders, notes, emptiesReturned } = req.body;
 
     const order = await prisma.order.findUnique({
       where: { id },
@@ -535,63 +349,21 @@ export const completeWalkInOrder = async (req, res) => {
       return res.status(400).json({ success: false, message: 'This endpoint is only for walk-in orders' });
     }
 
-    if (order.status !== 'CREATED') {
-      return res.status(400).json({ success: false, message: 'Order is not in CREATED status' });
-    }
-
-    const total = parseFloat(order.totalAmount);
-    const paid = parseFloat(paymentAmount);
-    const remaining = total - paid;
-
-    // Determine payment status
-    let paymentStatus = 'NOT_PAID';
-    if (paid === 0) paymentStatus = 'NOT_PAID';
-    else if (paid < 0) paymentStatus = 'REFUND';
-    else if (paid > 0 && paid < total) paymentStatus = 'PARTIAL';
-    else if (paid === total) paymentStatus = 'PAID';
-    else if (paid > total) paymentStatus = 'OVERPAID';
-
-    // Calculate receivable and payable
-    let receivable = 0;
-    let payable = 0;
-    if (remaining > 0) {
-      receivable = remaining;
-    } else if (remaining < 0) {
-      payable = Math.abs(remaining);
-    }
-
-    // Calculate new customer balance: current balance - paid amount
-    const newCustomerBalance = parseFloat(order.customer.currentBalance) - paid;
-
     const updated = await prisma.$transaction(async (tx) => {
-      const updatedOrder = await tx.order.update({
-        where: { id },
-        data: {
-          status: 'COMPLETED',
-          paidAmount: paid,
-          paymentStatus,
-          paymentMethod,
-          paymentNotes: notes || null,
-          receivable,
-          payable,
-          deliveredAt: new Date()
-        },
-        include: {
-          customer: true,
-          rider: true
-        }
+      // Orders of a closed day are frozen
+      await assertOrderPeriodOpen(tx, order);
+      return transitionOrder(tx, order, 'COMPLETED', {
+        payment: { tenders, amount: paymentAmount, method: paymentMethod, reference: paymentReference, notes },
+        emptiesReturned,
+        actor: req.user
       });
-
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: { currentBalance: newCustomerBalance }
-      });
-
-      return updatedOrder;
     });
 
     return res.json({ success: true, data: updated, message: 'Walk-in order completed successfully' });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error completing walk-in order:', error);
     return res.status(500).json({ success: false, message: 'Failed to complete walk-in order', error: error.message });
   }
@@ -610,12 +382,12 @@ export const createEnrouteOrder = async (req, res) => {
       });
     }
 
-    const { customerId, numberOfBottles = 1, unitPrice, notes, paymentAmount, paymentMethod = 'CASH', priority = 'NORMAL' } = req.body;
+    const { customerId, items, numberOfBottles = 1, bottleCategoryId, notes, paymentAmount, paymentMethod = 'CASH', paymentReference, tenders, priority = 'NORMAL', emptiesReturned } = req.body;
 
-    if (!customerId || !unitPrice) {
+    if (!customerId) {
       return res.status(400).json({
         success: false,
-        message: 'customerId and unitPrice are required'
+        message: 'customerId is required'
       });
     }
 
@@ -660,19 +432,20 @@ export const createEnrouteOrder = async (req, res) => {
       });
     }
 
-    const bottles = parseInt(numberOfBottles);
-    const price = parseFloat(unitPrice);
-    const orderAmount = bottles * price;
+    // Price each line from its bottle category
+    const pricing = await resolveOrderItems(prisma, { items, numberOfBottles, bottleCategoryId });
+    const bottles = pricing.numberOfBottles;
+    const orderAmount = pricing.currentOrderAmount;
+    const empties = parseEmptiesReturned(emptiesReturned);
 
     // Determine if it's walk-in generic customer
     const isWalkInGeneric = customer.name === 'Walk-in Customer';
 
-    // Payment validation based on customer type
-    const paid = paymentAmount !== undefined && paymentAmount !== null
-      ? parseFloat(paymentAmount)
-      : 0;
+    // Payment validation based on customer type; tenders split it across methods
+    const paymentTenders = parseTenders({ tenders, amount: paymentAmount, method: paymentMethod, reference: paymentReference });
+    const paid = sumTenders(paymentTenders);
 
-    if (isNaN(paid) || paid < 0) {
+    if (paid < 0) {
       return res.status(400).json({
         success: false,
         message: 'Payment amount must be a positive number'
@@ -687,28 +460,16 @@ export const createEnrouteOrder = async (req, res) => {
       });
     }
 
-    const customerBalanceSnapshot = parseFloat(customer.currentBalance);
-    const totalAmount = customerBalanceSnapshot + orderAmount;
-    const remaining = totalAmount - paid;
-
-    // Determine payment status
-    let paymentStatus = 'NOT_PAID';
-    if (paid === 0) paymentStatus = 'NOT_PAID';
-    else if (paid < 0) paymentStatus = 'REFUND';
-    else if (paid > 0 && paid < totalAmount) paymentStatus = 'PARTIAL';
-    else if (paid === totalAmount) paymentStatus = 'PAID';
-    else if (paid > totalAmount) paymentStatus = 'OVERPAID';
-
-    // Calculate receivable and payable
-    let receivable = 0;
-    let payable = 0;
-    if (remaining > 0) {
-      receivable = remaining;
-    } else if (remaining < 0) {
-      payable = Math.abs(remaining);
-    }
-
     const updatedOrder = await prisma.$transaction(async (tx) => {
+      // Lock the customer so the balance snapshot cannot change underneath us
+      const lockedCustomer = await lockCustomer(tx, customer.id);
+      const customerBalanceSnapshot = parseFloat(lockedCustomer.currentBalance);
+      const totalAmount = customerBalanceSnapshot + orderAmount;
+      const { paymentStatus, receivable, payable } = getPaymentSettlement(totalAmount, paid);
+
+      // Riders cannot override, so what is paid at the door has to keep the customer within the limit
+      await checkCreditLimit(tx, { customer: lockedCustomer, totalAmount, paidAmount: paid });
+
       // Create base ENROUTE order
       const order = await tx.order.create({
         data: {
@@ -717,46 +478,72 @@ export const createEnrouteOrder = async (req, res) => {
           orderType: 'ENROUTE',
           status: 'DELIVERED',
           numberOfBottles: bottles,
+          emptiesReturned: empties,
           currentOrderAmount: orderAmount,
           customerBalance: customerBalanceSnapshot,
           totalAmount: totalAmount,
           paidAmount: paid,
           paymentStatus,
-          paymentMethod: paymentMethod.toUpperCase(),
+          paymentMethod: getMainTenderMethod(paymentTenders, paymentMethod),
           paymentNotes: notes || null,
           receivable,
           payable,
           priority: priority.toUpperCase(),
           notes,
-          deliveredAt: new Date()
+          deliveredAt: new Date(),
+          items: {
+            create: pricing.items
+          }
         },
         include: {
           customer: true,
-          rider: true
+          rider: true,
+          items: true
         }
       });
 
-      // Update customer balance after payment
-      // For walk-in generic: balance stays 0 (no change)
-      // For known customers: newBalance = totalAmount - paid
-      if (isWalkInGeneric) {
-        // Walk-in generic customer balance remains 0
-        await tx.customer.update({
-          where: { id: customer.id },
-          data: { currentBalance: 0 }
-        });
-      } else {
-        // Known customer: update balance
-        const newCustomerBalance = totalAmount - paid;
-        await tx.customer.update({
-          where: { id: customer.id },
-          data: { currentBalance: newCustomerBalance }
-        });
-      }
+      // Debit the order and credit the payment to the customer's ledger.
+      // Walk-in generic customers always pay in full, so their balance does not move.
+      await postLedgerEntry(tx, {
+        customerId: customer.id,
+        orderId: order.id,
+        actorId: userId,
+        change: orderAmount,
+        source: 'ORDER',
+        description: `Enroute order #${order.id.slice(-4)} - ${bottles} bottle(s)`
+      });
+      const { entry, balanceBefore } = await postLedgerEntry(tx, {
+        customerId: customer.id,
+        orderId: order.id,
+        actorId: userId,
+        change: -paid,
+        source: 'PAYMENT',
+        description: `Payment received on order #${order.id.slice(-4)}`
+      });
+      await recordTenders(tx, paymentTenders, {
+        customerId: customer.id,
+        notes,
+        orderId: order.id,
+        riderId: riderProfile.id,
+        actorId: userId,
+        balanceBefore,
+        ledgerEntryId: entry?.id
+      });
+
+      // Hand over the bottles in exchange for the empties collected
+      await recordBottleExchange(tx, {
+        customerId: customer.id,
+        delivered: bottles,
+        returned: empties
+      });
 
       return order;
     });
 
+    // The enroute order is created already delivered
+    publishOrderEvent('ORDER_CREATED', updatedOrder);
+    publishOrderEvent('ORDER_DELIVERED', updatedOrder);
+
     // Notify all admins about enroute order
     try {
       const adminUsers = await prisma.user.findMany({
@@ -769,27 +556,25 @@ export const createEnrouteOrder = async (req, res) => {
 
       for (const adminUser of adminUsers) {
         adminUserIds.push(adminUser.id);
-        await prisma.notification.create({
+        await createNotification({
+          userId: adminUser.id,
+          title: 'Enroute order complete ho gaya',
+          message: message,
+          type: 'ORDER_DELIVERED',
           data: {
-            userId: adminUser.id,
-            title: 'Enroute order complete ho gaya',
-            message: message,
-            type: 'ORDER_DELIVERED',
-            data: {
-              orderId: updatedOrder.id,
-              rider: {
-                id: riderProfile.id,
-                name: riderProfile.name
-              },
-              customer: {
-                id: updatedOrder.customerId,
-                name: updatedOrder.customer.name,
-                phone: updatedOrder.customer.phone
-              },
-              paymentAmount: updatedOrder.paidAmount,
-              paymentStatus: updatedOrder.paymentStatus,
-              totalAmount: updatedOrder.totalAmount
-            }
+            orderId: updatedOrder.id,
+            rider: {
+              id: riderProfile.id,
+              name: riderProfile.name
+            },
+            customer: {
+              id: updatedOrder.customerId,
+              name: updatedOrder.customer.name,
+              phone: updatedOrder.customer.phone
+            },
+            paymentAmount: updatedOrder.paidAmount,
+            paymentStatus: updatedOrder.paymentStatus,
+            totalAmount: updatedOrder.totalAmount
           }
         });
       }
@@ -819,6 +604,7 @@ export const createEnrouteOrder = async (req, res) => {
       message: 'Enroute order created and delivered successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Error creating enroute order:', error);
     return res.status(500).json({
       success: false,
@@ -832,7 +618,7 @@ export const createEnrouteOrder = async (req, res) => {
 export const deliverOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const { paymentAmount = 0, paymentMethod = 'CASH', notes } = req.body;
+    const { paymentAmount = 0, paymentMethod = 'CASH', paymentReference, tenders, notes, emptiesReturned, proof } = req.body;
 
     const order = await prisma.order.findUnique({
       where: { id },
@@ -843,119 +629,41 @@ export const deliverOrder = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    const total = parseFloat(order.totalAmount);
-    const paid = parseFloat(paymentAmount);
-    const remaining = total - paid;
-
-    // Determine payment status
-    let paymentStatus = 'NOT_PAID';
-    if (paid === 0) paymentStatus = 'NOT_PAID';
-    else if (paid < 0) paymentStatus = 'REFUND'; // Refund given to customer
-    else if (paid > 0 && paid < total) paymentStatus = 'PARTIAL';
-    else if (paid === total) paymentStatus = 'PAID';
-    else if (paid > total) paymentStatus = 'OVERPAID';
-
-    // Calculate receivable and payable
-    let receivable = 0;
-    let payable = 0;
-    if (remaining > 0) {
-      receivable = remaining; // Customer owes us money
-    } else if (remaining < 0) {
-      payable = Math.abs(remaining); // We owe customer money
-    }
-    // If remaining = 0, both stay 0 (default values)
-
-    // Calculate new customer balance: current balance - paid amount
-    const newCustomerBalance = parseFloat(order.customer.currentBalance) - paid;
+    // Proof images are stored first and removed again if the delivery fails
+    const parsedProof = parseDeliveryProof(proof, req.user);
+    const storedProof = parsedProof ? await storeDeliveryProofFiles(order.id, parsedProof) : null;
 
-    const updated = await prisma.$transaction(async (tx) => {
-      const updatedOrder = await tx.order.update({
-        where: { id },
-        data: {
-          status: 'DELIVERED',
-          paidAmount: paid,
-          paymentStatus,
-          paymentMethod,
-          paymentNotes: notes || null,
-          receivable,
-          payable,
-          deliveredAt: new Date()
-        },
-        include: {
-          customer: true,
-          rider: true
-        }
-      });
-
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: { currentBalance: newCustomerBalance }
-      });
-
-      return updatedOrder;
-    });
-
-    // Create notification for all admin users
+    let updated;
+    let deliveryProof;
     try {
-      const adminUsers = await prisma.user.findMany({
-        where: { role: 'ADMIN', isActive: true },
-        select: { id: true }
-      });
-
-      const adminUserIds = [];
-      // Include updated order details in notification
-      const message = `${updated.customer.name} | ${updated.numberOfBottles} bottle(s) | Total Rs ${total} | Received Rs ${paid} | Payment: ${paymentStatus}`;
-
-      for (const adminUser of adminUsers) {
-        adminUserIds.push(adminUser.id);
-        await prisma.notification.create({
-          data: {
-            userId: adminUser.id,
-            title: 'Order deliver ho gaya',
-            message: message,
-            type: 'ORDER_DELIVERED',
-            data: {
-              orderId: id,
-              customer: {
-                id: order.customerId,
-                name: updated.customer.name,
-                phone: updated.customer.phone
-              },
-              rider: updated.rider ? {
-                id: updated.rider.id,
-                name: updated.rider.name
-              } : null,
-              paymentAmount: paid,
-              paymentStatus,
-              totalAmount: total,
-              numberOfBottles: updated.numberOfBottles,
-              currentOrderAmount: parseFloat(updated.currentOrderAmount)
-            }
-          }
-        });
-      }
-
-      // Send push notification to all admins
-      try {
-        const { sendToMultipleUsers } = await import('../services/pushService.js');
-        await sendToMultipleUsers(adminUserIds, {
-          title: 'Order deliver ho gaya',
-          message: message,
-          data: {
-            orderId: id,
-            type: 'ORDER_DELIVERED'
-          },
-          clickAction: `/admin/orders/${id}`
+      ({ updated, deliveryProof } = await prisma.$transaction(async (tx) => {
+        // Orders of a closed day are frozen
+        await assertOrderPeriodOpen(tx, order);
+        const delivered = await transitionOrder(tx, order, 'DELIVERED', {
+          payment: { tenders, amount: paymentAmount, method: paymentMethod, reference: paymentReference, notes },
+          emptiesReturned,
+          actor: req.user
         });
-      } catch (pushErr) {
-        console.error('Failed to send push notification:', pushErr);
-      }
-    } catch (notifyErr) {
-      console.error('Failed to create admin notification:', notifyErr);
+        const savedProof = await saveDeliveryProof(tx, order.id, storedProof, req.user);
+        return { updated: delivered, deliveryProof: savedProof };
+      }));
+    } catch (deliverError) {
+      await discardDeliveryProofFiles(storedProof);
+      throw deliverError;
     }
 
-    return res.json({ success: true, data: updated, message: 'Order delivered and balances updated' });
+    // Notify all admin users
+    await notifyTransition(updated, { actor: req.user });
+
+    return res.json({
+      success: true,
+      data: { ...updated, deliveryProof: await formatDeliveryProof(deliveryProof) },
+      message: 'Order delivered and balances updated'
+    });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error delivering order:', error);
     return res.status(500).json({ success: false, message: 'Failed to deliver order', error: error.message });
   }
@@ -965,7 +673,6 @@ export const deliverOrder = async (req, res) => {
 export const cancelOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const userRole = req.user?.role; // Get user role from authenticated request
 
     const order = await prisma.order.findUnique({
       where: { id },
@@ -981,155 +688,21 @@ export const cancelOrder = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    if (order.status === 'CANCELLED') {
-      return res.status(400).json({ success: false, message: 'Order is already cancelled' });
-    }
-
-    if (order.status === 'DELIVERED') {
-      return res.status(400).json({ success: false, message: 'Cannot cancel a delivered order' });
-    }
-
-    // Revert customer balance to the balance before this order
-    const originalCustomerBalance = parseFloat(order.customerBalance);
-
-    // Change order status to CANCELLED and revert balance (for both rider and admin)
+    // Change order status to CANCELLED and take its amount off the customer balance (for both rider and admin)
     const updated = await prisma.$transaction(async (tx) => {
-      const updatedOrder = await tx.order.update({
-        where: { id },
-        data: {
-          status: 'CANCELLED'
-        },
-        include: {
-          customer: true,
-          rider: true
-        }
-      });
-
-      // Revert customer balance to original balance before this order
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: { currentBalance: originalCustomerBalance }
-      });
-
-      return updatedOrder;
+      // Orders of a closed day are frozen
+      await assertOrderPeriodOpen(tx, order);
+      return transitionOrder(tx, order, 'CANCELLED', { actor: req.user });
     });
 
-    // If rider is canceling, notify admins about the cancellation
-    if (userRole === 'RIDER') {
-      try {
-        // Get full customer details for address
-        const fullCustomer = await prisma.customer.findUnique({
-          where: { id: order.customerId },
-          select: { name: true, houseNo: true, streetNo: true, area: true, city: true }
-        });
-
-        const address = formatAddress(fullCustomer);
-        const message = `${updated.rider?.name || 'Rider'} ne ${fullCustomer.name} ka order cancel kar diya - ${updated.numberOfBottles} bottle(ain), Rs ${updated.totalAmount}, ${address}`;
-
-        // Get all admin users
-        const adminUsers = await prisma.user.findMany({
-          where: { role: 'ADMIN', isActive: true },
-          select: { id: true }
-        });
-
-        const adminUserIds = [];
-
-        // Create notifications for all admins
-        for (const adminUser of adminUsers) {
-          adminUserIds.push(adminUser.id);
-          await prisma.notification.create({
-            data: {
-              userId: adminUser.id,
-              title: 'Order cancel ho gaya',
-              message: message,
-              type: 'RIDER_CANCELED_ORDER',
-              data: {
-                orderId: id,
-                rider: updated.rider ? {
-                  id: updated.rider.id,
-                  name: updated.rider.name
-                } : null,
-                customer: {
-                  id: order.customerId,
-                  name: fullCustomer.name,
-                  phone: updated.customer.phone
-                },
-                numberOfBottles: updated.numberOfBottles
-              }
-            }
-          });
-        }
-
-        // Send push notification to all admins
-        try {
-          const { sendToMultipleUsers } = await import('../services/pushService.js');
-          await sendToMultipleUsers(adminUserIds, {
-            title: 'Order cancel ho gaya',
-            message: message,
-            data: {
-              orderId: id,
-              type: 'RIDER_CANCELED_ORDER'
-            },
-            clickAction: `/admin/orders/${id}`
-          });
-        } catch (pushErr) {
-          console.error('Failed to send push notification:', pushErr);
-        }
-      } catch (notifyErr) {
-        console.error('Failed to create admin notification:', notifyErr);
-        // Continue even if notification fails
-      }
-    }
-
-    // If admin (or not rider) cancels, notify the assigned rider (if any)
-    if (userRole !== 'RIDER' && updated.rider?.userId) {
-      try {
-        const fullCustomer = await prisma.customer.findUnique({
-          where: { id: updated.customer.id },
-          select: { name: true, houseNo: true, streetNo: true, area: true, city: true }
-        });
-        const address = formatAddress(fullCustomer);
-        const riderMessage = `${fullCustomer.name} ka ${updated.numberOfBottles} bottle(ain) wala order cancel ho gaya, ${address}`;
-
-        await prisma.notification.create({
-          data: {
-            userId: updated.rider.userId,
-            title: 'Order cancel ho gaya',
-            message: riderMessage,
-            type: 'SYSTEM_UPDATE',
-            data: {
-              orderId: id,
-              customer: {
-                id: updated.customer.id,
-                name: fullCustomer.name,
-                phone: updated.customer.phone
-              },
-              numberOfBottles: updated.numberOfBottles
-            }
-          }
-        });
-
-        try {
-          const { sendToUser } = await import('../services/pushService.js');
-          await sendToUser(updated.rider.userId, {
-            title: 'Order cancel ho gaya',
-            message: riderMessage,
-            data: {
-              orderId: id,
-              type: 'SYSTEM_UPDATE'
-            },
-            clickAction: `/rider/orders/${id}`
-          });
-        } catch (pushErr) {
-          console.error('Failed to send push notification to rider:', pushErr);
-        }
-      } catch (notifyErr) {
-        console.error('Failed to notify rider about cancellation:', notifyErr);
-      }
-    }
+    // Rider cancelling notifies admins; admin cancelling notifies the assigned rider
+    await notifyTransition(updated, { actor: req.user });
 
     return res.json({ success: true, data: updated, message: 'Order cancelled and customer balance reverted' });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error cancelling order:', error);
     return res.status(500).json({ success: false, message: 'Failed to cancel order', error: error.message });
   }
@@ -1139,33 +712,80 @@ export const cancelOrder = async (req, res) => {
 export const updateOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const { totalAmount, notes, priority, numberOfBottles, status, riderId } = req.body;
+    const { notes, priority, status } = req.body;
+
+    // Bottles and amounts change through POST /:id/amend and the rider through PATCH /:id/status,
+    // which keep the order lines, ledger, bottle custody and rider notifications in step
+    const movedFields = ['totalAmount', 'numberOfBottles', 'riderId'].filter(field => req.body[field] !== undefined);
+    if (movedFields.length > 0) {
+      throw new DomainError('Use POST /api/orders/:id/amend to change bottles or amounts and PATCH /api/orders/:id/status to assign a rider', {
+        status: 400,
+        code: 'USE_AMEND_ENDPOINT',
+        details: { fields: movedFields }
+      });
+    }
 
     const updateData = {};
-    if (totalAmount !== undefined) updateData.totalAmount = parseFloat(totalAmount);
     if (notes !== undefined) updateData.notes = notes;
     if (priority !== undefined) updateData.priority = priority.toUpperCase();
-    if (numberOfBottles !== undefined) updateData.numberOfBottles = parseInt(numberOfBottles);
-    if (status !== undefined) updateData.status = status.toUpperCase();
-    if (riderId !== undefined) updateData.riderId = riderId;
 
-    const order = await prisma.order.update({
+    const currentOrder = await prisma.order.findUnique({
       where: { id },
-      data: updateData,
       include: {
         customer: true,
         rider: {
-          include: {
-            user: {
-              select: { id: true }
+          select: { id: true, userId: true }
+        }
+      }
+    });
+
+    if (!currentOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Status changes go through the order lifecycle so balances stay consistent
+    const targetStatus = status !== undefined ? status.toUpperCase() : currentOrder.status;
+    const statusChanged = targetStatus !== currentOrder.status;
+    assertNotDelivering(targetStatus, currentOrder.status);
+
+    const order = await prisma.$transaction(async (tx) => {
+      // Orders of a closed day are frozen
+      await assertOrderPeriodOpen(tx, currentOrder);
+
+      if (statusChanged) {
+        await transitionOrder(tx, currentOrder, targetStatus, { actor: req.user });
+      }
+
+      return tx.order.update({
+        where: { id },
+        data: updateData,
+        include: {
+          customer: true,
+          rider: {
+            include: {
+              user: {
+                select: { id: true }
+              }
             }
           }
         }
-      }
+      });
     });
 
-    // Notify rider if order is assigned and has a rider
-    if (order.rider?.user?.id) {
+    if (statusChanged) {
+      await notifyTransition(order, {
+        actor: req.user,
+        previousRider: currentOrder.rider
+      });
+    } else {
+      publishOrderEvent('ORDER_UPDATED', order);
+    }
+
+    if (!statusChanged && order.rider?.user?.id) {
+      // Notify rider if order is assigned and has a rider
       try {
         // Get full customer details for address
         const fullCustomer = await prisma.customer.findUnique({
@@ -1176,22 +796,20 @@ export const updateOrder = async (req, res) => {
         const address = formatAddress(fullCustomer);
         const message = `${fullCustomer.name} ke order mein changes - ${order.numberOfBottles} bottle(ain), amount Rs ${order.totalAmount}, ${address}`;
 
-        await prisma.notification.create({
+        await createNotification({
+          userId: order.rider.user.id,
+          title: 'Order mein changes hain',
+          message: message,
+          type: 'ORDER_UPDATED',
           data: {
-            userId: order.rider.user.id,
-            title: 'Order mein changes hain',
-            message: message,
-            type: 'ORDER_UPDATED',
-            data: {
-              orderId: id,
-              priority: order.priority,
-              totalAmount: order.totalAmount,
-              numberOfBottles: order.numberOfBottles,
-              customer: {
-                id: order.customerId,
-                name: fullCustomer.name,
-                phone: order.customer.phone
-              }
+            orderId: id,
+            priority: order.priority,
+            totalAmount: order.totalAmount,
+            numberOfBottles: order.numberOfBottles,
+            customer: {
+              id: order.customerId,
+              name: fullCustomer.name,
+              phone: order.customer.phone
             }
           }
         });
@@ -1223,6 +841,9 @@ export const updateOrder = async (req, res) => {
       message: 'Order updated successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error updating order:', error);
     res.status(500).json({
       success: false,
@@ -1232,10 +853,68 @@ export const updateOrder = async (req, res) => {
   }
 };
 
+// Work out how a clear-bill payment settles a customer's outstanding balance
+const getClearBillSettlement = (customerBalance, paid) => {
+  // Determine if it's receivable or payable
+  let receivable = 0;
+  let payable = 0;
+  let paymentStatus = 'NOT_PAID';
+  let adjustedPaid = paid;
+
+  if (customerBalance > 0) {
+    // Receivable case - customer owes us (positive balance)
+    receivable = customerBalance;
+    const remainingReceivable = receivable - paid;
+    
+    if (remainingReceivable === 0) {
+      paymentStatus = 'PAID';
+      receivable = 0;  // Fully paid, no remaining receivable
+      payable = 0;
+    } else if (remainingReceivable < 0) {
+      paymentStatus = 'OVERPAID';
+      receivable = 0;
+      payable = Math.abs(remainingReceivable);
+    } else if (paid > 0) {
+      paymentStatus = 'PARTIAL';
+      receivable = remainingReceivable;  // Set to remaining amount
+      payable = 0;
+    } else {
+      paymentStatus = 'NOT_PAID';
+      payable = 0;
+    }
+  } else {
+    // Payable case - we owe customer (negative balance)
+    payable = Math.abs(customerBalance);
+    const remainingPayable = payable - paid;
+    
+    if (remainingPayable === 0) {
+      paymentStatus = 'PAID';
+      payable = 0;  // Fully paid, no remaining payable
+      receivable = 0;
+    } else if (remainingPayable < 0) {
+      paymentStatus = 'OVERPAID';
+      payable = 0;
+      receivable = Math.abs(remainingPayable);
+    } else if (paid > 0) {
+      paymentStatus = 'PARTIAL';
+      payable = remainingPayable;  // Set to remaining amount
+      receivable = 0;
+    } else {
+      paymentStatus = 'NOT_PAID';
+      receivable = 0;
+    }
+    
+    // For payable, paidAmount should be negative
+    adjustedPaid = -paid;
+  }
+
+  return { receivable, payable, paymentStatus, adjustedPaid };
+};
+
 // Clear bill - Create CLEARBILL order and mark as completed immediately
 export const clearBill = async (req, res) => {
   try {
-    const { customerId, paidAmount, paymentMethod = 'CASH', paymentNotes, priority = 'NORMAL' } = req.body;
+    const { customerId, paidAmount, paymentMethod = 'CASH', paymentReference, paymentNotes, allocations, priority = 'NORMAL' } = req.body;
 
     if (!customerId) {
       return res.status(400).json({
@@ -1254,7 +933,7 @@ export const clearBill = async (req, res) => {
     // Fetch customer
     const customer = await prisma.customer.findUnique({
       where: { id: customerId },
-      select: { id: true, name: true, currentBalance: true }
+      select: { id: true, name: true }
     });
 
     if (!customer) {
@@ -1264,75 +943,21 @@ export const clearBill = async (req, res) => {
       });
     }
 
-    const customerBalance = parseFloat(customer.currentBalance);
     const paid = parseFloat(paidAmount);
+    const method = parsePaymentMethod(paymentMethod);
 
-    // If customer balance is zero, nothing to clear
-    if (customerBalance === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Customer balance is already zero'
-      });
-    }
+    const order = await prisma.$transaction(async (tx) => {
+      // Lock the customer so the balance being cleared cannot change underneath us
+      const lockedCustomer = await lockCustomer(tx, customer.id);
+      const customerBalance = parseFloat(lockedCustomer.currentBalance);
 
-    // Determine if it's receivable or payable
-    let receivable = 0;
-    let payable = 0;
-    let totalAmount = customerBalance;
-    let paymentStatus = 'NOT_PAID';
-    let adjustedPaid = paid;
-
-    if (customerBalance > 0) {
-      // Receivable case - customer owes us (positive balance)
-      receivable = customerBalance;
-      const remainingReceivable = receivable - paid;
-      
-      if (remainingReceivable === 0) {
-        paymentStatus = 'PAID';
-        receivable = 0;  // Fully paid, no remaining receivable
-        payable = 0;
-      } else if (remainingReceivable < 0) {
-        paymentStatus = 'OVERPAID';
-        receivable = 0;
-        payable = Math.abs(remainingReceivable);
-      } else if (paid > 0) {
-        paymentStatus = 'PARTIAL';
-        receivable = remainingReceivable;  // Set to remaining amount
-        payable = 0;
-      } else {
-        paymentStatus = 'NOT_PAID';
-        payable = 0;
-      }
-    } else {
-      // Payable case - we owe customer (negative balance)
-      payable = Math.abs(customerBalance);
-      const remainingPayable = payable - paid;
-      
-      if (remainingPayable === 0) {
-        paymentStatus = 'PAID';
-        payable = 0;  // Fully paid, no remaining payable
-        receivable = 0;
-      } else if (remainingPayable < 0) {
-        paymentStatus = 'OVERPAID';
-        payable = 0;
-        receivable = Math.abs(remainingPayable);
-      } else if (paid > 0) {
-        paymentStatus = 'PARTIAL';
-        payable = remainingPayable;  // Set to remaining amount
-        receivable = 0;
-      } else {
-        paymentStatus = 'NOT_PAID';
-        receivable = 0;
+      // If customer balance is zero, nothing to clear
+      if (customerBalance === 0) {
+        throw new DomainError('Customer balance is already zero', { code: 'ZERO_BALANCE' });
       }
-      
-      // For payable, paidAmount should be negative
-      adjustedPaid = -paid;
-    }
 
-    // Calculate new customer balance: oldBalance - paidAmount
-    const newCustomerBalance = customerBalance - adjustedPaid;
+      const { receivable, payable, paymentStatus, adjustedPaid } = getClearBillSettlement(customerBalance, paid);
 
-    const order = await prisma.$transaction(async (tx) => {
       // Create the CLEARBILL order and mark as completed immediately
       const newOrder = await tx.order.create({
         data: {
@@ -1342,10 +967,10 @@ export const clearBill = async (req, res) => {
           numberOfBottles: 0,
           currentOrderAmount: 0,
           customerBalance: customerBalance,
-          totalAmount: totalAmount,
+          totalAmount: customerBalance,
           paidAmount: adjustedPaid,
           paymentStatus,
-          paymentMethod: paymentMethod.toUpperCase(),
+          paymentMethod: method,
           paymentNotes: paymentNotes || null,
           receivable,
           payable,
@@ -1358,10 +983,27 @@ export const clearBill = async (req, res) => {
         }
       });
 
-      // Update customer's current balance
-      await tx.customer.update({
-        where: { id: customer.id },
-        data: { currentBalance: newCustomerBalance }
+      // Credit the payment to the customer's ledger: newBalance = oldBalance - paidAmount
+      const { entry } = await postLedgerEntry(tx, {
+        customerId: customer.id,
+        orderId: newOrder.id,
+        actorId: req.user?.id,
+        change: -adjustedPaid,
+        source: 'PAYMENT',
+        description: adjustedPaid < 0 ? 'Payable balance paid out to customer' : 'Bill cleared'
+      });
+      // The money settles the customer's open orders, oldest first, unless allocations are sent
+      await recordPayment(tx, {
+        customerId: customer.id,
+        amount: adjustedPaid,
+        method,
+        reference: paymentReference,
+        notes: paymentNotes,
+        orderId: newOrder.id,
+        actorId: req.user?.id,
+        allocations,
+        balanceBefore: customerBalance,
+        ledgerEntryId: entry?.id
       });
 
       return newOrder;
@@ -1373,6 +1015,9 @@ export const clearBill = async (req, res) => {
       message: 'Bill cleared successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error clearing bill:', error);
     res.status(500).json({
       success: false,
@@ -1382,71 +1027,88 @@ export const clearBill = async (req, res) => {
   }
 };
 
-// Amend an in-progress order (PENDING/ASSIGNED) by reverting customer balance to snapshot,
-// recalculating the order amount, and reapplying the provisional balance.
+// Amend an in-progress order (PENDING/ASSIGNED) by re-pricing its lines
+// and posting the difference to the customer's ledger.
 export const amendOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const { numberOfBottles, unitPrice, notes, priority, riderId } = req.body;
+    const { items, numberOfBottles, bottleCategoryId, notes, priority, riderId, creditOverride } = req.body;
+    const override = parseCreditOverride(creditOverride, req.user);
+
+    // Assigning goes through the lifecycle so the order becomes ASSIGNED and both riders are told
+    if (riderId !== undefined) {
+      throw new DomainError('Use PATCH /api/orders/:id/status with riderId to assign or reassign a rider', {
+        status: 400,
+        code: 'USE_ASSIGN_ENDPOINT'
+      });
+    }
 
     const order = await prisma.order.findUnique({
       where: { id },
-      include: { customer: true }
+      include: { customer: true, items: true }
     });
 
     if (!order) {
       return res.status(404).json({ success: false, message: 'Order not found' });
     }
 
-    // Only allow amendments for non-delivered/cancelled
-    const editableStatuses = ['PENDING', 'ASSIGNED', 'IN_PROGRESS'];
-    if (!editableStatuses.includes(order.status)) {
-      return res.status(400).json({ success: false, message: 'Only in-progress orders can be amended' });
-    }
+    // Only allow amendments while the order is still open
+    assertEditable(order);
 
     // Required inputs
-    if (numberOfBottles === undefined || unitPrice === undefined) {
-      return res.status(400).json({ success: false, message: 'numberOfBottles and unitPrice are required' });
+    if (!Array.isArray(items) && numberOfBottles === undefined) {
+      return res.status(400).json({ success: false, message: 'items or numberOfBottles is required' });
     }
 
-    // Revert: take customer back to snapshot balance recorded on the order
+    // Lines already on the order keep their price, new lines are priced from their category
+    const pricing = await resolveOrderItems(prisma, { items, numberOfBottles, bottleCategoryId }, {
+      existingLines: getOrderLines(order)
+    });
+
     const snapshotBalance = parseFloat(order.customerBalance);
-    const newCurrentOrderAmount = parseFloat(numberOfBottles) * parseFloat(unitPrice);
+    const newCurrentOrderAmount = pricing.currentOrderAmount;
     // Create uses: totalAmount = customerBalance (snapshot) + currentOrderAmount
     const newTotalAmount = snapshotBalance + newCurrentOrderAmount;
 
     const updated = await prisma.$transaction(async (tx) => {
-      // Revert customer balance to snapshot first
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: { currentBalance: snapshotBalance }
+      // Orders of a closed day are frozen
+      await assertOrderPeriodOpen(tx, order);
+
+      // A bigger order must still fit within the customer's credit limit
+      const lockedCustomer = await lockCustomer(tx, order.customerId);
+      const pendingOverride = await checkCreditLimit(tx, {
+        customer: lockedCustomer,
+        totalAmount: newTotalAmount,
+        previousTotal: parseFloat(order.totalAmount),
+        override
       });
 
-      // Update the order in place (same id)
-      const updatedOrder = await tx.order.update({
-        where: { id },
-        data: {
-          // Keep snapshot as-is (order.customerBalance)
-          numberOfBottles: parseInt(numberOfBottles),
-          totalAmount: newTotalAmount,
-          currentOrderAmount: newCurrentOrderAmount,
-          ...(notes !== undefined ? { notes } : {}),
-          ...(priority !== undefined ? { priority: String(priority).toUpperCase() } : {}),
-          ...(riderId !== undefined ? { riderId } : {})
-        },
-        include: { customer: true, rider: true }
+      // Update the order in place (same id) and apply the amount difference to the balance
+      const amended = await amendOpenOrder(tx, order, {
+        // Keep snapshot as-is (order.customerBalance)
+        numberOfBottles: pricing.numberOfBottles,
+        totalAmount: newTotalAmount,
+        currentOrderAmount: newCurrentOrderAmount,
+        ...(notes !== undefined ? { notes } : {}),
+        ...(priority !== undefined ? { priority: String(priority).toUpperCase() } : {})
+      }, {
+        actor: req.user,
+        items: pricing.items,
+        include: { customer: true, rider: true, items: true }
       });
 
-      // Reapply provisional balance after amendment
-      const finalCustomerBalance = newTotalAmount; // snapshot + currentOrderAmount
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: { currentBalance: finalCustomerBalance }
+      await recordCreditOverride(tx, pendingOverride, {
+        customerId: order.customerId,
+        orderId: order.id,
+        actor: req.user,
+        source: 'AMEND'
       });
 
-      return updatedOrder;
+      return amended;
     });
 
+    publishOrderEvent('ORDER_UPDATED', updated);
+
     // Notify assigned rider (if any) about the update
     if (updated.rider?.userId) {
       try {
@@ -1457,22 +1119,20 @@ export const amendOrder = async (req, res) => {
         const address = formatAddress(fullCustomer);
         const message = `${fullCustomer.name} ke order mein changes - ${updated.numberOfBottles} bottle(ain), amount Rs ${updated.totalAmount}, ${address}`;
 
-        await prisma.notification.create({
+        await createNotification({
+          userId: updated.rider.userId,
+          title: 'Order mein changes hain',
+          message: message,
+          type: 'ORDER_UPDATED',
           data: {
-            userId: updated.rider.userId,
-            title: 'Order mein changes hain',
-            message: message,
-            type: 'ORDER_UPDATED',
-            data: {
-              orderId: id,
-              priority: updated.priority,
-              totalAmount: updated.totalAmount,
-              numberOfBottles: updated.numberOfBottles,
-              customer: {
-                id: updated.customer.id,
-                name: fullCustomer.name,
-                phone: updated.customer.phone
-              }
+            orderId: id,
+            priority: updated.priority,
+            totalAmount: updated.totalAmount,
+            numberOfBottles: updated.numberOfBottles,
+            customer: {
+              id: updated.customer.id,
+              name: fullCustomer.name,
+              phone: updated.customer.phone
             }
           }
         });
@@ -1498,16 +1158,19 @@ export const amendOrder = async (req, res) => {
 
     return res.json({ success: true, data: updated, message: 'Order amended successfully' });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error amending order:', error);
     return res.status(500).json({ success: false, message: 'Failed to amend order', error: error.message });
   }
 };
 
-// Rider edit order - only quantity can be changed
+// Rider edit order - only quantities of the existing lines can be changed
 export const editOrderByRider = async (req, res) => {
   try {
     const { id } = req.params;
-    const { numberOfBottles } = req.body;
+    const { items, numberOfBottles } = req.body;
     const userId = req.user?.id;
     const userRole = req.user?.role;
 
@@ -1519,7 +1182,7 @@ export const editOrderByRider = async (req, res) => {
       });
     }
 
-    if (!numberOfBottles || numberOfBottles < 1) {
+    if (!Array.isArray(items) && (!numberOfBottles || numberOfBottles < 1)) {
       return res.status(400).json({
         success: false,
         message: 'numberOfBottles must be at least 1'
@@ -1541,7 +1204,7 @@ export const editOrderByRider = async (req, res) => {
     // Get order
     const order = await prisma.order.findUnique({
       where: { id },
-      include: { customer: true }
+      include: { customer: true, items: true }
     });
 
     if (!order) {
@@ -1556,54 +1219,49 @@ export const editOrderByRider = async (req, res) => {
       });
     }
 
-    // Only allow edits for ASSIGNED or IN_PROGRESS orders
-    const editableStatuses = ['ASSIGNED', 'IN_PROGRESS'];
-    if (!editableStatuses.includes(order.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Only assigned or in-progress orders can be edited'
-      });
-    }
+    // Only allow edits while the order is still open
+    assertEditable(order);
 
     // Store original values for notification
     const originalBottles = order.numberOfBottles;
     const originalTotalAmount = parseFloat(order.totalAmount);
 
-    // Calculate unit price from current order
-    const unitPrice = parseFloat(order.currentOrderAmount) / order.numberOfBottles;
+    // Each line keeps the unit price it was ordered at
+    const existingLines = getOrderLines(order);
+    const pricing = await resolveOrderItems(prisma, {
+      items: applyQuantityChanges(existingLines, { items, numberOfBottles })
+    }, { existingLines });
 
-    // Revert customer balance to snapshot
     const snapshotBalance = parseFloat(order.customerBalance);
-    const newCurrentOrderAmount = parseInt(numberOfBottles) * unitPrice;
+    const newCurrentOrderAmount = pricing.currentOrderAmount;
     const newTotalAmount = snapshotBalance + newCurrentOrderAmount;
 
     const updated = await prisma.$transaction(async (tx) => {
-      // Revert customer balance to snapshot first
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: { currentBalance: snapshotBalance }
-      });
-
-      // Update the order
-      const updatedOrder = await tx.order.update({
-        where: { id },
-        data: {
-          numberOfBottles: parseInt(numberOfBottles),
-          totalAmount: newTotalAmount,
-          currentOrderAmount: newCurrentOrderAmount
-        },
-        include: { customer: true, rider: true }
+      // Orders of a closed day are frozen
+      await assertOrderPeriodOpen(tx, order);
+
+      // A bigger order must still fit within the customer's credit limit; riders cannot override it
+      const lockedCustomer = await lockCustomer(tx, order.customerId);
+      await checkCreditLimit(tx, {
+        customer: lockedCustomer,
+        totalAmount: newTotalAmount,
+        previousTotal: parseFloat(order.totalAmount)
       });
 
-      // Update customer balance with new total
-      await tx.customer.update({
-        where: { id: order.customerId },
-        data: { currentBalance: newTotalAmount }
+      // Update the order and apply the amount difference to the balance
+      return amendOpenOrder(tx, order, {
+        numberOfBottles: pricing.numberOfBottles,
+        totalAmount: newTotalAmount,
+        currentOrderAmount: newCurrentOrderAmount
+      }, {
+        actor: req.user,
+        items: pricing.items,
+        include: { customer: true, rider: true, items: true }
       });
-
-      return updatedOrder;
     });
 
+    publishOrderEvent('ORDER_UPDATED', updated);
+
     // Notify all admin users
     try {
       const adminUsers = await prisma.user.findMany({
@@ -1620,29 +1278,27 @@ export const editOrderByRider = async (req, res) => {
       const message = `Rider na ${fullCustomer.name} ka order update kia ha jo ${originalBottles} phela tha or ab ${updated.numberOfBottles} ha ot ab bill ${newTotalAmount}`;
 
       for (const adminUser of adminUsers) {
-        await prisma.notification.create({
+        await createNotification({
+          userId: adminUser.id,
+          title: 'Rider ne order update kia',
+          message: message,
+          type: 'ORDER_UPDATED',
           data: {
-            userId: adminUser.id,
-            title: 'Rider ne order update kia',
-            message: message,
-            type: 'ORDER_UPDATED',
-            data: {
-              orderId: id,
-              customer: {
-                id: updated.customer.id,
-                name: fullCustomer.name,
-                phone: updated.customer.phone
-              },
-              rider: {
-                id: updated.rider?.id,
-                name: updated.rider?.name
-              },
-              originalBottles,
-              newBottles: updated.numberOfBottles,
-              originalTotalAmount,
-              newTotalAmount,
-              address
-            }
+            orderId: id,
+            customer: {
+              id: updated.customer.id,
+              name: fullCustomer.name,
+              phone: updated.customer.phone
+            },
+            rider: {
+              id: updated.rider?.id,
+              name: updated.rider?.name
+            },
+            originalBottles,
+            newBottles: updated.numberOfBottles,
+            originalTotalAmount,
+            newTotalAmount,
+            address
           }
         });
       }
@@ -1673,6 +1329,9 @@ export const editOrderByRider = async (req, res) => {
       message: 'Order updated successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) {
+      return sendDomainError(error, res);
+    }
     console.error('Error editing order by rider:', error);
     return res.status(500).json({
       success: false,
@@ -1,47 +1,39 @@
 import { PrismaClient } from '@prisma/client';
-import { formatPktDate } from '../utils/timezone.js';
+import { formatPktDate, getPktDayStartUtc, getPktDayEndUtc } from '../utils/timezone.js';
+import { DomainError } from '../utils/errors.js';
+import { sendDomainError } from '../middleware/errorHandler.js';
+import { assertOrderPeriodOpen } from '../services/periodLock.js';
+import { runPaymentReminders } from '../services/paymentReminderService.js';
+import { lockCustomer, postLedgerEntry } from '../services/ledgerService.js';
+import { getPaymentSettlement } from '../services/orderLifecycle.js';
+import { ensureLegacyPayment, formatPayment, listPayments, parsePaymentMethod, recordPayment } from '../services/paymentService.js';
+import { voidPayment, refundPayableBalance, correctPaymentMethod } from '../services/paymentReversalService.js';
 
 const prisma = new PrismaClient();
 
-// Get all payments
+// Get payments, newest first (filters: status, method, customerId, riderId, startDate/endDate in PKT)
 export const getAllPayments = async (req, res) => {
   try {
-    const { status } = req.query;
-    
-    const whereClause = status && status !== 'all' ? { paymentStatus: status.toUpperCase() } : {};
-    
-    const orders = await prisma.order.findMany({
-      where: whereClause,
-      include: {
-        customer: {
-          select: { name: true, phone: true }
-        },
-        rider: {
-          select: { name: true }
-        }
-      },
-      orderBy: { createdAt: 'desc' }
-    });
-
-    const formattedPayments = orders.map(order => ({
-      id: order.id,
-      orderId: `#${order.id.slice(-4)}`,
-      customer: order.customer.name,
-      phone: order.customer.phone,
-      rider: order.rider?.name || 'Not assigned',
-      totalAmount: parseFloat(order.totalAmount),
-      paidAmount: parseFloat(order.paidAmount),
-      paymentStatus: order.paymentStatus.toLowerCase(),
-      paymentMethod: order.paymentMethod.toLowerCase(),
-      createdAt: formatPktDate(order.createdAt),
-      deliveredAt: order.deliveredAt ? formatPktDate(order.deliveredAt) : null
-    }));
+    const { status, method, customerId, riderId, startDate, endDate } = req.query;
+
+    const payments = await listPayments({
+      start: startDate ? getPktDayStartUtc(startDate) : undefined,
+      end: endDate ? getPktDayEndUtc(endDate) : undefined,
+      method: method ? parsePaymentMethod(method) : undefined,
+      customerId,
+      riderId,
+      paymentStatus: status && status !== 'all' ? status.toUpperCase() : undefined
+    });
 
     res.json({
       success: true,
-      data: formattedPayments
+      data: payments.map(payment => ({
+        ...payment,
+        date: formatPktDate(payment.receivedAt)
+      }))
     });
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Error fetching payments:', error);
     res.status(500).json({
       success: false,
@@ -51,24 +43,90 @@ export const getAllPayments = async (req, res) => {
   }
 };
 
-// Update payment status
+// Correct the payment taken on an order; the difference goes through the ledger as a payment of its own, a method change as reversal + new payment
 export const updatePaymentStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const { paymentStatus, paidAmount, paymentMethod, paymentNotes } = req.body;
+    const { paidAmount, paymentMethod, paymentId, paymentReference, paymentNotes } = req.body;
 
-    const order = await prisma.order.update({
-      where: { id },
-      data: {
-        paymentStatus: paymentStatus.toUpperCase(),
-        paidAmount: parseFloat(paidAmount),
-        paymentMethod: paymentMethod.toUpperCase(),
-        paymentNotes
-      },
-      include: {
-        customer: true,
-        rider: true
+    const existing = await prisma.order.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const method = paymentMethod !== undefined ? parsePaymentMethod(paymentMethod) : existing.paymentMethod;
+    const newPaid = paidAmount !== undefined ? parseFloat(paidAmount) : parseFloat(existing.paidAmount);
+    if (isNaN(newPaid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Paid amount must be a number'
+      });
+    }
+
+    const order = await prisma.$transaction(async (tx) => {
+      // Payments on a closed day's orders are frozen
+      await assertOrderPeriodOpen(tx, existing);
+      await lockCustomer(tx, existing.customerId);
+      await ensureLegacyPayment(tx, existing);
+
+      // A method correction reverses the money already taken and takes it again with the right method
+      let mainMethod = method;
+      if (paymentMethod !== undefined) {
+        ({ mainMethod } = await correctPaymentMethod(tx, id, method, { actor: req.user, paymentId }));
       }
+
+      const difference = newPaid - parseFloat(existing.paidAmount);
+      if (difference !== 0) {
+        const { entry, balanceBefore } = await postLedgerEntry(tx, {
+          customerId: existing.customerId,
+          orderId: id,
+          actorId: req.user?.id,
+          change: -difference,
+          source: 'PAYMENT',
+          description: `Payment corrected on order #${id.slice(-4)}`
+        });
+        await recordPayment(tx, {
+          customerId: existing.customerId,
+          amount: difference,
+          method,
+          reference: paymentReference,
+          notes: paymentNotes,
+          orderId: id,
+          riderId: existing.riderId,
+          actorId: req.user?.id,
+          balanceBefore,
+          ledgerEntryId: entry?.id
+        });
+      }
+
+      // Status, receivable and payable follow from the amounts
+      const { paymentStatus, receivable, payable } = getPaymentSettlement(parseFloat(existing.totalAmount), newPaid);
+
+      return tx.order.update({
+        where: { id },
+        data: {
+          paymentStatus,
+          paidAmount: newPaid,
+          paymentMethod: mainMethod,
+          receivable,
+          payable,
+          ...(paymentNotes !== undefined ? { paymentNotes } : {})
+        },
+        include: {
+          customer: true,
+          rider: true,
+          payments: {
+            include: { allocations: true },
+            orderBy: { receivedAt: 'asc' }
+          }
+        }
+      });
     });
 
     res.json({
@@ -77,6 +135,7 @@ export const updatePaymentStatus = async (req, res) => {
       message: 'Payment status updated successfully'
     });
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Error updating payment:', error);
     res.status(500).json({
       success: false,
@@ -85,3 +144,128 @@ export const updatePaymentStatus = async (req, res) => {
     });
   }
 };
+
+// Void a wrongly recorded payment; the reversal lands in today's closing
+export const voidPaymentById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const result = await voidPayment(id, { actor: req.user, reason });
+
+    res.json({
+      success: true,
+      data: {
+        payment: formatPayment(result.payment),
+        reversal: formatPayment(result.reversal),
+        order: result.order
+      },
+      message: 'Payment voided successfully'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error voiding payment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void payment',
+      error: error.message
+    });
+  }
+};
+
+// Pay out a customer's payable balance (all of it unless an amount is sent)
+export const refundPayment = async (req, res) => {
+  try {
+    const { customerId, amount, paymentMethod, paymentReference, reason, riderId } = req.body;
+
+    const result = await refundPayableBalance({
+      customerId,
+      amount,
+      method: paymentMethod,
+      reference: paymentReference,
+      reason,
+      riderId
+    }, { actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payment: formatPayment(result.payment),
+        balance: result.balance
+      },
+      message: 'Refund recorded successfully'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error refunding customer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record refund',
+      error: error.message
+    });
+  }
+};
+
+// Get sent overdue payment reminders (optionally for one customer)
+export const getPaymentReminders = async (req, res) => {
+  try {
+    const { customerId } = req.query;
+
+    const reminders = await prisma.paymentReminder.findMany({
+      where: customerId ? { customerId } : {},
+      include: {
+        customer: {
+          select: { name: true, phone: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 200
+    });
+
+    res.json({
+      success: true,
+      data: reminders.map(reminder => ({
+        id: reminder.id,
+        customerId: reminder.customerId,
+        customer: reminder.customer.name,
+        phone: reminder.customer.phone,
+        balance: parseFloat(reminder.balance),
+        oldestDays: reminder.oldestDays,
+        channel: reminder.channel,
+        delivered: reminder.delivered,
+        error: reminder.error,
+        riderId: reminder.riderId,
+        createdAt: reminder.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching payment reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payment reminders',
+      error: error.message
+    });
+  }
+};
+
+// Send overdue payment reminders now instead of waiting for the daily job
+export const sendPaymentReminders = async (req, res) => {
+  try {
+    const result = await runPaymentReminders();
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.enabled
+        ? `${result.reminded} payment reminder(s) sent`
+        : 'Overdue payment reminders are turned off in company setup'
+    });
+  } catch (error) {
+    console.error('Error sending payment reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send payment reminders',
+      error: error.message
+    });
+  }
+};
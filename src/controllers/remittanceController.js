@@ -0,0 +1,96 @@
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { sendDomainError } from '../middleware/errorHandler.js';
+import {
+  formatRemittance,
+  getRemittanceReconciliation,
+  parseRemittanceDate,
+  recordRemittance
+} from '../services/remittanceService.js';
+
+const prisma = new PrismaClient();
+
+// Get remittances (optionally for one date and/or rider)
+export const getRemittances = async (req, res) => {
+  try {
+    const { date, riderId } = req.query;
+    const dateStr = date ? parseRemittanceDate(date) : null;
+
+    const remittances = await prisma.riderRemittance.findMany({
+      where: {
+        ...(dateStr ? { date: new Date(`${dateStr}T00:00:00Z`) } : {}),
+        ...(riderId ? { riderId } : {})
+      },
+      include: {
+        payments: true,
+        rider: { select: { name: true } },
+        receivedBy: { select: { id: true, email: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 200
+    });
+
+    res.json({
+      success: true,
+      data: remittances.map(formatRemittance)
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error fetching remittances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch remittances',
+      error: error.message
+    });
+  }
+};
+
+// Record cash and wallet amounts a rider handed over
+export const createRemittance = async (req, res) => {
+  try {
+    const { riderId, date, payments, notes } = req.body;
+
+    const result = await recordRemittance({ riderId, date, payments, notes }, { actor: req.user });
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Remittance recorded successfully'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error recording remittance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record remittance',
+      error: error.message
+    });
+  }
+};
+
+// Get collected vs handed-over amounts per rider for a date (defaults to today)
+export const getReconciliation = async (req, res) => {
+  try {
+    const { date, riderId } = req.query;
+    const dateStr = parseRemittanceDate(date);
+
+    const riders = await getRemittanceReconciliation(dateStr, { riderId });
+
+    res.json({
+      success: true,
+      data: {
+        date: dateStr,
+        riders,
+        unreconciledCount: riders.filter(rider => rider.status !== 'RECONCILED').length
+      }
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error fetching remittance reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch remittance reconciliation',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,7 @@
 import { PrismaClient } from '@prisma/client';
 import { getTodayPktUtcRange, getPktDayStartUtc, getPktDayEndUtc, formatPktDate, getPktDateRangeUtc } from '../utils/timezone.js';
+import { buildAgingReport, renderAgingCsv } from '../services/agingService.js';
+import { sendCsv } from '../utils/csv.js';
 
 const prisma = new PrismaClient();
 
@@ -411,6 +413,37 @@ export const getReportData = async (req, res) => {
           totalRevenue
         };
       });
+    } else if (type === 'categories') {
+      // Bottles sold per category on delivered/completed orders
+      const sales = await prisma.orderItem.groupBy({
+        by: ['bottleCategoryId', 'categoryName'],
+        where: {
+          order: {
+            status: { in: ['DELIVERED', 'COMPLETED'] },
+            createdAt: {
+              gte: startDate,
+              lte: endDate
+            }
+          }
+        },
+        _sum: {
+          quantity: true,
+          lineTotal: true
+        },
+        _count: {
+          orderId: true
+        }
+      });
+
+      reportData = sales
+        .map(sale => ({
+          bottleCategoryId: sale.bottleCategoryId,
+          category: sale.categoryName,
+          orders: sale._count.orderId,
+          bottles: sale._sum.quantity || 0,
+          revenue: parseFloat(sale._sum.lineTotal) || 0
+        }))
+        .sort((a, b) => b.revenue - a.revenue);
     }
 
     res.json({
@@ -431,3 +464,35 @@ export const getReportData = async (req, res) => {
   }
 };
 
+
+// Get customer receivables aging (0-7, 8-30, 31-60, 61-90, 90+ days) with area and rider totals
+export const getAgingReport = async (req, res) => {
+  try {
+    const { area, format = 'json' } = req.query;
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json or csv'
+      });
+    }
+
+    const report = await buildAgingReport({ area });
+
+    if (format === 'csv') {
+      return sendCsv(res, `receivables-aging-${report.asOf}.csv`, renderAgingCsv(report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error fetching aging report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch aging report',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,14 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcryptjs';
-import { formatPktDate } from '../utils/timezone.js';
+import { formatPktDate, getTodayPktDate } from '../utils/timezone.js';
+import { getDeliveryDate, formatDeliveryWindow, compareByDelivery } from '../utils/deliveryWindow.js';
+import { DomainError } from '../utils/errors.js';
+import { sendDomainError } from '../middleware/errorHandler.js';
+import { parseRiderAreas } from '../services/riderAssignment.js';
+import { getRiderCashDues } from '../services/remittanceService.js';
+import { getCreditStatus, getDefaultCreditLimit } from '../services/creditLimitService.js';
+import { parseLocationPings, recordLocationPings, getRiderLocations, getRiderTrack } from '../services/riderLocationService.js';
+import { planDeliveryRoute } from '../services/routePlanningService.js';
 
 const prisma = new PrismaClient();
 
@@ -36,6 +44,7 @@ export const getAllRiders = async (req, res) => {
       email: rider.user.email,
       isActive: rider.isActive,
       canCreateOrders: rider.canCreateOrders,
+      areas: rider.areas,
       totalDeliveries: rider.orders.filter(o => o.status === 'DELIVERED').length,
       pendingDeliveries: rider.orders.filter(o => o.status === 'ASSIGNED' || o.status === 'IN_PROGRESS').length,
       currentOrders: rider.orders.filter(o => o.status === 'ASSIGNED' || o.status === 'IN_PROGRESS').map(order => ({
@@ -89,9 +98,13 @@ export const getRiderById = async (req, res) => {
       });
     }
 
+    // Cash collected but not yet handed over, carried forward across days
+    const cashDues = await getRiderCashDues(rider.id);
+
     // Format dates in PKT for orders
     const formattedRider = {
       ...rider,
+      cashDues,
       createdAt: formatPktDate(rider.createdAt),
       orders: rider.orders.map(order => ({
         ...order,
@@ -119,6 +132,8 @@ export const getRiderById = async (req, res) => {
 export const getRiderDashboard = async (req, res) => {
   try {
     const { riderId } = req.params;
+    const { deliveryDate } = req.query;
+    const today = getTodayPktDate();
     
     // Fetch all orders for this rider (no date filter to ensure immediacy)
     const riderOrders = await prisma.order.findMany({
@@ -127,14 +142,19 @@ export const getRiderDashboard = async (req, res) => {
       },
       include: {
         customer: {
-          select: { name: true, phone: true, houseNo: true, streetNo: true, area: true }
+          select: { name: true, phone: true, houseNo: true, streetNo: true, area: true, currentBalance: true, creditLimit: true, latitude: true, longitude: true }
         }
       },
       orderBy: { createdAt: 'desc' }
     });
+    const defaultCreditLimit = await getDefaultCreditLimit();
 
     const completedDeliveries = riderOrders.filter(order => order.status === 'DELIVERED');
-    const assignedDeliveries = riderOrders.filter(order => order.status === 'ASSIGNED' || order.status === 'IN_PROGRESS');
+    // Open deliveries, optionally only those due on one date, earliest requested delivery first
+    const assignedDeliveries = riderOrders
+      .filter(order => order.status === 'ASSIGNED' || order.status === 'IN_PROGRESS')
+      .filter(order => !deliveryDate || getDeliveryDate(order) === deliveryDate)
+      .sort(compareByDelivery);
 
     const formattedAssigned = assignedDeliveries.map(delivery => ({
       id: `#${delivery.id.slice(-4)}`,
@@ -142,12 +162,19 @@ export const getRiderDashboard = async (req, res) => {
       customer: delivery.customer.name,
       phone: delivery.customer.phone,
       address: `${delivery.customer.houseNo || ''} ${delivery.customer.streetNo || ''} ${delivery.customer.area || ''}`.trim(),
+      latitude: delivery.customer.latitude,
+      longitude: delivery.customer.longitude,
       bottles: delivery.numberOfBottles,
       amount: parseFloat(delivery.totalAmount),
       paidAmount: parseFloat(delivery.paidAmount || 0),
       currentOrderAmount: parseFloat(delivery.currentOrderAmount || 0),
       priority: delivery.priority.toLowerCase(),
       paymentStatus: delivery.paymentStatus,
+      ...formatDeliveryWindow(delivery),
+      // How much more the customer can owe, so the rider knows before collecting
+      customerBalance: parseFloat(delivery.customer.currentBalance),
+      ...getCreditStatus(delivery.customer, defaultCreditLimit),
+      isDue: getDeliveryDate(delivery) <= today,
       createdAt: delivery.createdAt
     }));
 
@@ -191,7 +218,7 @@ export const getRiderDashboard = async (req, res) => {
 // Create new rider
 export const createRider = async (req, res) => {
   try {
-    const { name, phone, email, password, canCreateOrders } = req.body;
+    const { name, phone, email, password, canCreateOrders, areas } = req.body;
 
     // Validate required fields
     if (!name || !phone || !email || !password) {
@@ -218,6 +245,9 @@ export const createRider = async (req, res) => {
       });
     }
 
+    // Areas the rider covers for auto-assignment
+    const riderAreas = areas !== undefined ? await parseRiderAreas(areas) : [];
+
     // Hash the password
     const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -241,7 +271,8 @@ export const createRider = async (req, res) => {
           name,
           phone,
           isActive: true,
-          canCreateOrders: !!canCreateOrders
+          canCreateOrders: !!canCreateOrders,
+          areas: riderAreas
         },
         include: {
           user: {
@@ -268,6 +299,7 @@ export const createRider = async (req, res) => {
         email: result.user.email,
         isActive: result.isActive,
         canCreateOrders: result.canCreateOrders,
+        areas: result.areas,
         user: result.user,
         createdAt: result.createdAt
       },
@@ -275,6 +307,7 @@ export const createRider = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Error creating rider:', error);
     
     // Handle specific Prisma errors
@@ -298,7 +331,7 @@ export const createRider = async (req, res) => {
 export const updateRider = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone, email, isActive, canCreateOrders } = req.body;
+    const { name, phone, email, isActive, canCreateOrders, areas } = req.body;
 
     // Validate required fields
     if (!name || !phone || !email) {
@@ -317,6 +350,8 @@ export const updateRider = async (req, res) => {
       });
     }
 
+    const riderAreas = areas !== undefined ? await parseRiderAreas(areas) : undefined;
+
     // Use transaction to update both User and RiderProfile
     const result = await prisma.$transaction(async (tx) => {
       // Find the rider profile first
@@ -346,7 +381,8 @@ export const updateRider = async (req, res) => {
           name,
           phone,
           isActive: isActive !== undefined ? isActive : true,
-          ...(canCreateOrders !== undefined ? { canCreateOrders: !!canCreateOrders } : {})
+          ...(canCreateOrders !== undefined ? { canCreateOrders: !!canCreateOrders } : {}),
+          ...(riderAreas !== undefined ? { areas: riderAreas } : {})
         },
         include: {
           user: {
@@ -373,6 +409,7 @@ export const updateRider = async (req, res) => {
         email: result.user.email,
         isActive: result.isActive,
         canCreateOrders: result.canCreateOrders,
+        areas: result.areas,
         user: result.user,
         updatedAt: result.updatedAt
       },
@@ -380,6 +417,7 @@ export const updateRider = async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
     console.error('Error updating rider:', error);
     
     if (error.message === 'Rider not found') {
@@ -581,3 +619,103 @@ export const deleteRider = async (req, res) => {
     });
   }
 };
+
+// Record location pings from the logged-in rider's device
+export const postRiderLocation = async (req, res) => {
+  try {
+    const rider = req.user.profile;
+    if (!rider?.id || rider.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only active riders can send their location'
+      });
+    }
+
+    const pings = parseLocationPings(req.body);
+    const result = await recordLocationPings(rider.id, pings);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: `${result.recorded} location ping(s) recorded`
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error recording rider location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record location',
+      error: error.message
+    });
+  }
+};
+
+// Get every active rider's last known position and how old it is
+export const getRiderLocationsOverview = async (req, res) => {
+  try {
+    const data = await getRiderLocations();
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Error fetching rider locations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rider locations',
+      error: error.message
+    });
+  }
+};
+
+// Get a rider's breadcrumb trail for a day
+export const getRiderTrackById = async (req, res) => {
+  try {
+    const data = await getRiderTrack(req.params.id, req.query.date);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error fetching rider track:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch rider track',
+      error: error.message
+    });
+  }
+};
+
+// Suggest the order a rider should visit their open deliveries in
+export const getRiderRoute = async (req, res) => {
+  try {
+    const { riderId } = req.params;
+    const { deliveryDate, startFrom } = req.query;
+
+    // Riders may only plan their own route
+    if (req.user.role === 'RIDER' && req.user.profile?.id !== riderId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const data = await planDeliveryRoute(riderId, { deliveryDate, startFrom });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error planning rider route:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to plan rider route',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,365 @@
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { sendDomainError } from '../middleware/errorHandler.js';
+import { getTodayPktDate } from '../utils/timezone.js';
+import {
+  buildScheduleData,
+  getNextOccurrence,
+  isDueOn,
+  runSchedulesForDate,
+  toScheduleDate,
+  fromScheduleDate
+} from '../services/scheduleService.js';
+
+const prisma = new PrismaClient();
+
+const scheduleInclude = {
+  customer: {
+    select: { id: true, name: true, phone: true }
+  },
+  rider: {
+    select: { id: true, name: true }
+  },
+  bottleCategory: {
+    select: { id: true, categoryName: true }
+  }
+};
+
+const formatSchedule = (schedule) => ({
+  id: schedule.id,
+  customer: schedule.customer,
+  frequency: schedule.frequency,
+  intervalDays: schedule.intervalDays,
+  weekdays: schedule.weekdays,
+  dayOfMonth: schedule.dayOfMonth,
+  numberOfBottles: schedule.numberOfBottles,
+  bottleCategory: schedule.bottleCategory,
+  rider: schedule.rider,
+  priority: schedule.priority,
+  notes: schedule.notes,
+  status: schedule.status,
+  startDate: fromScheduleDate(schedule.startDate),
+  endDate: fromScheduleDate(schedule.endDate),
+  pausedUntil: fromScheduleDate(schedule.pausedUntil),
+  skipDates: schedule.skipDates.map(fromScheduleDate),
+  lastRunDate: fromScheduleDate(schedule.lastRunDate),
+  nextDelivery: getNextOccurrence(schedule)
+});
+
+const findSchedule = async (id) => {
+  const schedule = await prisma.deliverySchedule.findUnique({
+    where: { id },
+    include: scheduleInclude
+  });
+
+  if (!schedule) {
+    throw new DomainError('Schedule not found', { status: 404, code: 'SCHEDULE_NOT_FOUND' });
+  }
+  if (schedule.status === 'ENDED') {
+    throw new DomainError('Schedule has ended', { status: 409, code: 'SCHEDULE_ENDED' });
+  }
+
+  return schedule;
+};
+
+// Get all schedules (optionally for one customer or status)
+export const getSchedules = async (req, res) => {
+  try {
+    const { customerId, status } = req.query;
+
+    const schedules = await prisma.deliverySchedule.findMany({
+      where: {
+        ...(customerId ? { customerId } : {}),
+        ...(status && status !== 'all' ? { status: status.toUpperCase() } : {})
+      },
+      include: scheduleInclude,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: schedules.map(formatSchedule)
+    });
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedules',
+      error: error.message
+    });
+  }
+};
+
+// Get schedule by ID with the orders it placed
+export const getScheduleById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const schedule = await prisma.deliverySchedule.findUnique({
+      where: { id },
+      include: {
+        ...scheduleInclude,
+        orders: {
+          orderBy: { createdAt: 'desc' },
+          take: 20,
+          select: { id: true, status: true, scheduledFor: true, totalAmount: true }
+        }
+      }
+    });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSchedule(schedule),
+        orders: schedule.orders.map(order => ({
+          id: order.id,
+          orderId: `#${order.id.slice(-4)}`,
+          status: order.status.toLowerCase(),
+          scheduledFor: fromScheduleDate(order.scheduledFor),
+          totalAmount: parseFloat(order.totalAmount)
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schedule',
+      error: error.message
+    });
+  }
+};
+
+// Create a recurring delivery schedule for a customer
+export const createSchedule = async (req, res) => {
+  try {
+    const data = await buildScheduleData(req.body);
+
+    const schedule = await prisma.deliverySchedule.create({
+      data,
+      include: scheduleInclude
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatSchedule(schedule),
+      message: 'Schedule created successfully'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error creating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create schedule',
+      error: error.message
+    });
+  }
+};
+
+// Update a schedule's rule, bottles, rider or dates
+export const updateSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await findSchedule(id);
+
+    // A schedule always belongs to the customer it was created for
+    const { customerId, status, ...changes } = req.body;
+    const data = await buildScheduleData(changes, { existing });
+
+    const schedule = await prisma.deliverySchedule.update({
+      where: { id },
+      data,
+      include: scheduleInclude
+    });
+
+    res.json({
+      success: true,
+      data: formatSchedule(schedule),
+      message: 'Schedule updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update schedule',
+      error: error.message
+    });
+  }
+};
+
+// Pause a schedule until a date (inclusive) or until resumed
+export const pauseSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { until } = req.body;
+    await findSchedule(id);
+
+    if (until && !/^\d{4}-\d{2}-\d{2}$/.test(until)) {
+      return res.status(400).json({
+        success: false,
+        message: 'until must be a date in YYYY-MM-DD format'
+      });
+    }
+
+    const schedule = await prisma.deliverySchedule.update({
+      where: { id },
+      data: {
+        status: 'PAUSED',
+        pausedUntil: until ? toScheduleDate(until) : null
+      },
+      include: scheduleInclude
+    });
+
+    res.json({
+      success: true,
+      data: formatSchedule(schedule),
+      message: until ? `Schedule paused until ${until}` : 'Schedule paused'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error pausing schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause schedule',
+      error: error.message
+    });
+  }
+};
+
+// Resume a paused schedule
+export const resumeSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    await findSchedule(id);
+
+    const schedule = await prisma.deliverySchedule.update({
+      where: { id },
+      data: {
+        status: 'ACTIVE',
+        pausedUntil: null
+      },
+      include: scheduleInclude
+    });
+
+    res.json({
+      success: true,
+      data: formatSchedule(schedule),
+      message: 'Schedule resumed'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error resuming schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume schedule',
+      error: error.message
+    });
+  }
+};
+
+// Skip one delivery (defaults to the next one)
+export const skipScheduleOccurrence = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = await findSchedule(id);
+    const date = req.body.date || getNextOccurrence(existing);
+
+    if (!date || !isDueOn(existing, date)) {
+      return res.status(400).json({
+        success: false,
+        message: date ? `Schedule has no delivery on ${date}` : 'Schedule has no upcoming delivery to skip'
+      });
+    }
+
+    const schedule = await prisma.deliverySchedule.update({
+      where: { id },
+      data: {
+        skipDates: { push: toScheduleDate(date) }
+      },
+      include: scheduleInclude
+    });
+
+    res.json({
+      success: true,
+      data: formatSchedule(schedule),
+      message: `Delivery on ${date} skipped`
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error skipping schedule occurrence:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip delivery',
+      error: error.message
+    });
+  }
+};
+
+// End a schedule; orders already placed are kept
+export const endSchedule = async (req, res) => {
+  try {
+    const { id } = req.params;
+    await findSchedule(id);
+
+    const schedule = await prisma.deliverySchedule.update({
+      where: { id },
+      data: {
+        status: 'ENDED',
+        endDate: toScheduleDate(getTodayPktDate()),
+        pausedUntil: null
+      },
+      include: scheduleInclude
+    });
+
+    res.json({
+      success: true,
+      data: formatSchedule(schedule),
+      message: 'Schedule ended'
+    });
+  } catch (error) {
+    if (error instanceof DomainError) return sendDomainError(error, res);
+    console.error('Error ending schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end schedule',
+      error: error.message
+    });
+  }
+};
+
+// Place scheduled orders for a date now (defaults to today); already placed orders are not repeated
+export const runSchedules = async (req, res) => {
+  try {
+    const { date } = req.body;
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const result = await runSchedulesForDate(date || getTodayPktDate());
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.created} scheduled order(s) created`
+    });
+  } catch (error) {
+    console.error('Error running schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run schedules',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Background jobs
+ * Registered once when the server starts. Set DISABLE_JOBS=true on extra
+ * instances so each job runs in one place only.
+ */
+
+import { runDailyAtPkt } from './scheduler.js';
+import { runSchedulesForDate } from '../services/scheduleService.js';
+import { sendDueCustomersSummary } from '../services/refillService.js';
+import { runPaymentReminders } from '../services/paymentReminderService.js';
+import { purgeOldLocations } from '../services/riderLocationService.js';
+
+export function startJobs() {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('⏰ Background jobs disabled');
+    return;
+  }
+
+  // Place today's orders for recurring delivery schedules
+  runDailyAtPkt(
+    'recurring-orders',
+    process.env.SCHEDULED_ORDERS_TIME || '06:00',
+    () => runSchedulesForDate(),
+    { runOnStart: true }
+  );
+
+  // Tell admins who is due for a refill today
+  runDailyAtPkt(
+    'refill-due-summary',
+    process.env.REFILL_DUE_SUMMARY_TIME || '08:00',
+    () => sendDueCustomersSummary()
+  );
+
+  // Remind customers with overdue balances (rules are in company setup)
+  runDailyAtPkt(
+    'payment-reminders',
+    process.env.PAYMENT_REMINDERS_TIME || '10:00',
+    () => runPaymentReminders()
+  );
+
+  // Drop rider location pings older than RIDER_LOCATION_RETENTION_DAYS
+  runDailyAtPkt(
+    'rider-location-cleanup',
+    process.env.RIDER_LOCATION_CLEANUP_TIME || '03:00',
+    () => purgeOldLocations()
+  );
+}
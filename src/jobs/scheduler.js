@@ -0,0 +1,82 @@
+/**
+ * Daily job runner
+ * Runs tasks once a day at a fixed PKT time using timers, so no cron
+ * service is needed. A task that was missed because the server was down
+ * can be run on start; tasks must therefore be safe to run twice a day.
+ */
+
+// PKT is UTC+5
+const PKT_OFFSET_MS = 5 * 60 * 60 * 1000;
+
+const timers = new Map();
+
+/**
+ * Milliseconds from now until the next HH:MM in PKT
+ * @param {string} time - Time of day in PKT (HH:MM)
+ * @param {Date} now - Current time
+ * @returns {number} Delay in milliseconds
+ */
+export function msUntilPktTime(time, now = new Date()) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const pktNow = new Date(now.getTime() + PKT_OFFSET_MS);
+  const target = new Date(Date.UTC(
+    pktNow.getUTCFullYear(),
+    pktNow.getUTCMonth(),
+    pktNow.getUTCDate(),
+    hours,
+    minutes
+  ));
+
+  let delay = target.getTime() - pktNow.getTime();
+  if (delay <= 0) delay += 24 * 60 * 60 * 1000;
+  return delay;
+}
+
+const runTask = async (name, task) => {
+  const startedAt = Date.now();
+  try {
+    const result = await task();
+    console.log(`⏰ Job ${name} finished in ${Date.now() - startedAt}ms`, result ?? '');
+  } catch (error) {
+    console.error(`⏰ Job ${name} failed:`, error);
+  }
+};
+
+/**
+ * Run a task every day at a PKT time
+ * @param {string} name - Job name (for logs)
+ * @param {string} time - Time of day in PKT (HH:MM)
+ * @param {Function} task - Async function to run
+ * @param {Object} options
+ * @param {boolean} options.runOnStart - Also run now if today's time has already passed
+ */
+export function runDailyAtPkt(name, time, task, { runOnStart = false } = {}) {
+  const scheduleNext = () => {
+    const delay = msUntilPktTime(time);
+    const timer = setTimeout(async () => {
+      await runTask(name, task);
+      scheduleNext();
+    }, delay);
+    // Never keep the process alive just for a job
+    timer.unref();
+    timers.set(name, timer);
+  };
+
+  const pktNow = new Date(Date.now() + PKT_OFFSET_MS);
+  const [hours, minutes] = time.split(':').map(Number);
+  const passedToday = pktNow.getUTCHours() * 60 + pktNow.getUTCMinutes() >= hours * 60 + minutes;
+  if (runOnStart && passedToday) {
+    runTask(name, task);
+  }
+
+  scheduleNext();
+  console.log(`⏰ Job ${name} scheduled daily at ${time} PKT`);
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+export function stopJobs() {
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+}
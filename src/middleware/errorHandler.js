@@ -92,3 +92,13 @@ const getFieldDisplayName = (field) => {
   
   return fieldMap[field] || field;
 };
+
+// Respond with the status, code and details carried by a DomainError
+export const sendDomainError = (error, res) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    error: error.code,
+    details: error.details
+  });
+};
@@ -1,10 +1,18 @@
 import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
 import { 
   getAllCustomers, 
   getCustomerById, 
   createCustomer, 
   updateCustomer, 
-  updateCustomerStatus 
+  updateCustomerStatus,
+  getCustomerLedger,
+  getCustomerStatement,
+  getCustomersOverBottleLimit,
+  getCustomerDeposits,
+  takeCustomerDeposit,
+  refundCustomerDeposit,
+  getDueCustomers
 } from '../controllers/customerController.js';
 
 const router = express.Router();
@@ -12,9 +20,30 @@ const router = express.Router();
 // GET /api/customers
 router.get('/', getAllCustomers);
 
+// GET /api/customers/due?date=YYYY-MM-DD
+router.get('/due', getDueCustomers);
+
+// GET /api/customers/over-limit
+router.get('/over-limit', getCustomersOverBottleLimit);
+
 // GET /api/customers/:id
 router.get('/:id', getCustomerById);
 
+// GET /api/customers/:id/ledger?startDate=&endDate=
+router.get('/:id/ledger', getCustomerLedger);
+
+// GET /api/customers/:id/statement?from=&to=&format=pdf|csv
+router.get('/:id/statement', getCustomerStatement);
+
+// GET /api/customers/:id/deposits?startDate=&endDate=
+router.get('/:id/deposits', getCustomerDeposits);
+
+// POST /api/customers/:id/deposits (take a deposit)
+router.post('/:id/deposits', authenticateToken, takeCustomerDeposit);
+
+// POST /api/customers/:id/deposits/refund
+router.post('/:id/deposits/refund', authenticateToken, refundCustomerDeposit);
+
 // POST /api/customers
 router.post('/', createCustomer);
 
@@ -1,16 +1,26 @@
 import express from 'express';
-import { getDailyClosingSummary, saveDailyClosing, getAllDailyClosings } from '../controllers/dailyClosingController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { getDailyClosingSummary, saveDailyClosing, getAllDailyClosings, getDailyClosingVersions, reopenDailyClosing, getPeriodClosing } from '../controllers/dailyClosingController.js';
 
 const router = express.Router();
 
-// GET /api/daily-closings/summary - Get today's summary (for preview before closing)
+// GET /api/daily-closings/summary?date=YYYY-MM-DD - Get a day's summary (for preview before closing), defaults to today
 router.get('/summary', getDailyClosingSummary);
 
-// GET /api/daily-closings - Get all daily closings
+// GET /api/daily-closings/periods?period=weekly&date= | period=monthly&month=YYYY-MM | period=custom&from=&to= (&format=csv)
+router.get('/periods', authenticateToken, requireRole(['ADMIN']), getPeriodClosing);
+
+// GET /api/daily-closings?variance=nonzero - Get all daily closings (optionally only days with a cash/wallet variance)
 router.get('/', getAllDailyClosings);
 
-// POST /api/daily-closings - Create or update daily closing
-router.post('/', saveDailyClosing);
+// GET /api/daily-closings/:date/versions - Every saved close of a day
+router.get('/:date/versions', authenticateToken, requireRole(['ADMIN']), getDailyClosingVersions);
+
+// POST /api/daily-closings/:date/reopen ({ reason }) - Unlock a closed day's orders until it is closed again
+router.post('/:date/reopen', authenticateToken, requireRole(['ADMIN']), reopenDailyClosing);
+
+// POST /api/daily-closings ({ date, reason, counts: [{ method, countedAmount, reason }] }) - Close a day, or close it again as a new version
+router.post('/', authenticateToken, requireRole(['ADMIN']), saveDailyClosing);
 
 export default router;
 
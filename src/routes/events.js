@@ -0,0 +1,18 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { streamEvents } from '../controllers/eventsController.js';
+
+const router = express.Router();
+
+// EventSource cannot send headers, so browsers pass the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// GET /api/events?token= (text/event-stream: ready, order, notification)
+router.get('/', tokenFromQuery, authenticateToken, streamEvents);
+
+export default router;
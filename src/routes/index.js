@@ -12,6 +12,9 @@ import pushRoutes from './push.js';
 import adminRoutes from './admin.js';
 import companySetupRoutes from './companySetup.js';
 import bottleCategoriesRoutes from './bottleCategories.js';
+import scheduleRoutes from './schedules.js';
+import remittanceRoutes from './remittances.js';
+import eventRoutes from './events.js';
 
 const router = express.Router();
 
@@ -29,5 +32,8 @@ router.use('/push', pushRoutes);
 router.use('/admin', adminRoutes);
 router.use('/company-setup', companySetupRoutes);
 router.use('/bottle-categories', bottleCategoriesRoutes);
+router.use('/schedules', scheduleRoutes);
+router.use('/remittances', remittanceRoutes);
+router.use('/events', eventRoutes);
 
 export default router;
@@ -7,7 +7,7 @@ const router = express.Router();
 // Protect all order routes
 router.use(authenticateToken);
 
-// GET /api/orders
+// GET /api/orders?deliveryDate=YYYY-MM-DD&sortBy=delivery
 router.get('/', getAllOrders);
 
 // GET /api/orders/:id
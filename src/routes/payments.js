@@ -1,12 +1,32 @@
 import express from 'express';
-import { getAllPayments, updatePaymentStatus } from '../controllers/paymentController.js';
+import {
+  getAllPayments,
+  updatePaymentStatus,
+  voidPaymentById,
+  refundPayment,
+  getPaymentReminders,
+  sendPaymentReminders
+} from '../controllers/paymentController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // GET /api/payments
-router.get('/', getAllPayments);
+router.get('/', authenticateToken, requireRole(['ADMIN']), getAllPayments);
+
+// GET /api/payments/reminders?customerId=
+router.get('/reminders', authenticateToken, requireRole(['ADMIN']), getPaymentReminders);
+
+// POST /api/payments/reminders/run (send overdue reminders now)
+router.post('/reminders/run', authenticateToken, requireRole(['ADMIN']), sendPaymentReminders);
+
+// POST /api/payments/refunds (pay out a customer's payable balance)
+router.post('/refunds', authenticateToken, requireRole(['ADMIN']), refundPayment);
+
+// POST /api/payments/:id/void
+router.post('/:id/void', authenticateToken, requireRole(['ADMIN']), voidPaymentById);
 
 // PATCH /api/payments/:id
-router.patch('/:id', updatePaymentStatus);
+router.patch('/:id', authenticateToken, requireRole(['ADMIN']), updatePaymentStatus);
 
 export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { getRemittances, createRemittance, getReconciliation } from '../controllers/remittanceController.js';
+
+const router = express.Router();
+
+// Only admins receive money from riders
+router.use(authenticateToken);
+router.use(requireRole(['ADMIN']));
+
+// GET /api/remittances/reconciliation?date=YYYY-MM-DD&riderId=
+router.get('/reconciliation', getReconciliation);
+
+// GET /api/remittances?date=YYYY-MM-DD&riderId=
+router.get('/', getRemittances);
+
+// POST /api/remittances ({ riderId, date, payments: [{ method, amount, reference }], notes })
+router.post('/', createRemittance);
+
+export default router;
@@ -1,13 +1,16 @@
 import express from 'express';
-import { getAnalytics, getReportData } from '../controllers/reportsController.js';
+import { getAnalytics, getReportData, getAgingReport } from '../controllers/reportsController.js';
 
 const router = express.Router();
 
 // GET /api/reports/analytics?period=daily|weekly|monthly|yearly|alltime&entity=all|orders|customers|riders
 router.get('/analytics', getAnalytics);
 
-// GET /api/reports/data?period=daily|weekly|monthly|yearly|alltime&type=orders|customers|riders&startDate=&endDate=
+// GET /api/reports/data?period=daily|weekly|monthly|yearly|alltime&type=orders|customers|riders|categories&startDate=&endDate=
 router.get('/data', getReportData);
 
+// GET /api/reports/aging?area=&format=json|csv
+router.get('/aging', getAgingReport);
+
 export default router;
 
@@ -6,14 +6,25 @@ import {
   createRider, 
   updateRider, 
   updateRiderStatus, 
-  deleteRider 
+  deleteRider,
+  postRiderLocation,
+  getRiderLocationsOverview,
+  getRiderTrackById,
+  getRiderRoute
 } from '../controllers/riderController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // GET /api/riders
 router.get('/', getAllRiders);
 
+// GET /api/riders/locations
+router.get('/locations', authenticateToken, requireRole(['ADMIN']), getRiderLocationsOverview);
+
+// POST /api/riders/me/locations ({ latitude, longitude, accuracy, speed, heading, battery, recordedAt } or { pings: [...] })
+router.post('/me/locations', authenticateToken, requireRole(['RIDER']), postRiderLocation);
+
 // POST /api/riders
 router.post('/', createRider);
 
@@ -29,7 +40,13 @@ router.patch('/:id/status', updateRiderStatus);
 // DELETE /api/riders/:id
 router.delete('/:id', deleteRider);
 
-// GET /api/riders/:riderId/dashboard
+// GET /api/riders/:id/track?date=YYYY-MM-DD
+router.get('/:id/track', authenticateToken, requireRole(['ADMIN']), getRiderTrackById);
+
+// GET /api/riders/:riderId/dashboard?deliveryDate=YYYY-MM-DD
 router.get('/:riderId/dashboard', getRiderDashboard);
 
+// GET /api/riders/:riderId/route?deliveryDate=YYYY-MM-DD&startFrom=AUTO|LAST_PING|AGENCY
+router.get('/:riderId/route', authenticateToken, requireRole(['ADMIN', 'RIDER']), getRiderRoute);
+
 export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+import {
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  skipScheduleOccurrence,
+  endSchedule,
+  runSchedules
+} from '../controllers/scheduleController.js';
+
+const router = express.Router();
+
+// All schedule routes require an admin
+router.use(authenticateToken);
+router.use(requireRole(['ADMIN']));
+
+// GET /api/schedules?customerId=&status=active|paused|ended
+router.get('/', getSchedules);
+
+// POST /api/schedules/run (place scheduled orders for { date } now)
+router.post('/run', runSchedules);
+
+// GET /api/schedules/:id
+router.get('/:id', getScheduleById);
+
+// POST /api/schedules
+router.post('/', createSchedule);
+
+// PUT /api/schedules/:id
+router.put('/:id', updateSchedule);
+
+// POST /api/schedules/:id/pause ({ until } optional, YYYY-MM-DD)
+router.post('/:id/pause', pauseSchedule);
+
+// POST /api/schedules/:id/resume
+router.post('/:id/resume', resumeSchedule);
+
+// POST /api/schedules/:id/skip ({ date } optional, defaults to next delivery)
+router.post('/:id/skip', skipScheduleOccurrence);
+
+// POST /api/schedules/:id/end
+router.post('/:id/end', endSchedule);
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { PrismaClient } from '@prisma/client';
+import { getStorageProvider } from './services/storage/index.js';
+import { UPLOADS_ROUTE, serveSignedFile } from './services/storage/localAdapter.js';
 
 // Load environment variables
 dotenv.config();
@@ -74,9 +76,16 @@ const corsOptions = {
 // Middleware
 app.use(cors(corsOptions));
 
-app.use(express.json());
+// Delivery proof photos arrive as base64 in JSON bodies, so allow more than the 100kb default
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded files are served by the API itself when stored on the local filesystem,
+// only through the signed, expiring URLs the storage adapter hands out
+if (getStorageProvider() === 'local') {
+  app.use(UPLOADS_ROUTE, serveSignedFile);
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -217,6 +226,7 @@ app.post('/api/test-duplicate', async (req, res) => {
 
 // API routes
 import apiRoutes from './routes/index.js';
+import { startJobs } from './jobs/index.js';
 app.use('/api', apiRoutes);
 
 // Root endpoint
@@ -259,6 +269,7 @@ app.listen(PORT, () => {
   console.log(`🚀 SmartSupply Backend Server running on port ${PORT}`);
   console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL || 'Not configured'}`);
+  startJobs();
 });
 
 export default app;
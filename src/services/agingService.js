@@ -0,0 +1,193 @@
+/**
+ * Receivables aging
+ * Splits each customer's outstanding (positive) balance by how long it has
+ * been owed. Payments are taken to clear the oldest debt first, so the balance
+ * is made up of the most recent unpaid or partially paid orders: the balance
+ * is matched against those orders newest first, and whatever is left over
+ * (older debt such as a pre-ledger opening balance) is aged from the
+ * customer's creation date.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { formatPktDate, getTodayPktDate } from '../utils/timezone.js';
+import { toCsv } from '../utils/csv.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const AGING_BUCKETS = [
+  { key: 'days0to7', label: '0-7 days', maxDays: 7 },
+  { key: 'days8to30', label: '8-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'days90plus', label: '90+ days', maxDays: Infinity }
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+const daysBetween = (fromDateStr, toDateStr) =>
+  Math.round((new Date(`${toDateStr}T00:00:00Z`) - new Date(`${fromDateStr}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * Find the aging bucket for an age in days
+ * @param {number} days - Days since the amount became due
+ * @returns {string} Bucket key
+ */
+export function getAgingBucket(days) {
+  return AGING_BUCKETS.find(bucket => days <= bucket.maxDays).key;
+}
+
+/**
+ * Match a balance against unpaid orders, newest first
+ * @param {number} balance - Outstanding balance (> 0)
+ * @param {Array<Object>} orders - Unpaid/partial orders, newest first ({ id, riderId, createdAt, currentOrderAmount, paidAmount })
+ * @param {Object} options
+ * @param {string} options.asOf - Date to age against (YYYY-MM-DD)
+ * @param {Date} options.fallbackDate - Date for balance not covered by the orders
+ * @returns {Array<Object>} [{ orderId, riderId, date, days, amount }]
+ */
+export function allocateBalance(balance, orders, { asOf, fallbackDate }) {
+  let remaining = roundAmount(balance);
+  const portions = [];
+
+  for (const order of orders) {
+    if (remaining <= 0) break;
+    const unpaid = roundAmount(parseFloat(order.currentOrderAmount) - Math.max(parseFloat(order.paidAmount), 0));
+    if (unpaid <= 0) continue;
+
+    const amount = Math.min(unpaid, remaining);
+    const date = formatPktDate(order.createdAt);
+    portions.push({ orderId: order.id, riderId: order.riderId, date, days: daysBetween(date, asOf), amount });
+    remaining = roundAmount(remaining - amount);
+  }
+
+  if (remaining > 0) {
+    const date = formatPktDate(fallbackDate);
+    portions.push({ orderId: null, riderId: null, date, days: Math.max(daysBetween(date, asOf), 0), amount: remaining });
+  }
+
+  return portions;
+}
+
+// Add an amount to a { key -> { ..., total, buckets } } group
+const addToGroup = (groups, key, init, bucket, amount) => {
+  const group = groups.get(key) || { ...init, customers: new Set(), total: 0, buckets: emptyBuckets() };
+  group.total += amount;
+  group.buckets[bucket] += amount;
+  groups.set(key, group);
+  return group;
+};
+
+const roundGroup = ({ customers, ...group }) => ({
+  ...group,
+  customersCount: customers.size,
+  total: roundAmount(group.total),
+  buckets: Object.fromEntries(Object.entries(group.buckets).map(([key, value]) => [key, roundAmount(value)]))
+});
+
+/**
+ * Age every customer's outstanding balance
+ * @param {Object} filters
+ * @param {string} filters.area - Only customers in this area
+ * @returns {Promise<Object>} { asOf, buckets, totals, customers, byArea, byRider }
+ */
+export async function buildAgingReport({ area } = {}) {
+  const asOf = getTodayPktDate();
+
+  const customers = await prisma.customer.findMany({
+    where: {
+      currentBalance: { gt: 0 },
+      ...(area ? { area: { equals: area, mode: 'insensitive' } } : {})
+    },
+    include: {
+      orders: {
+        where: {
+          status: { not: 'CANCELLED' },
+          paymentStatus: { in: ['NOT_PAID', 'PARTIAL'] },
+          currentOrderAmount: { gt: 0 }
+        },
+        orderBy: { createdAt: 'desc' },
+        select: { id: true, riderId: true, createdAt: true, currentOrderAmount: true, paidAmount: true }
+      }
+    }
+  });
+
+  const riderIds = new Set();
+  customers.forEach(customer => customer.orders.forEach(order => order.riderId && riderIds.add(order.riderId)));
+  const riders = await prisma.riderProfile.findMany({
+    where: { id: { in: [...riderIds] } },
+    select: { id: true, name: true }
+  });
+  const riderNames = new Map(riders.map(rider => [rider.id, rider.name]));
+
+  const totals = { total: 0, buckets: emptyBuckets() };
+  const byArea = new Map();
+  const byRider = new Map();
+
+  const agedCustomers = customers.map(customer => {
+    const balance = parseFloat(customer.currentBalance);
+    const portions = allocateBalance(balance, customer.orders, { asOf, fallbackDate: customer.createdAt });
+    const buckets = emptyBuckets();
+    const areaName = customer.area || 'Unknown';
+
+    portions.forEach(portion => {
+      const bucket = getAgingBucket(portion.days);
+      buckets[bucket] += portion.amount;
+      totals.buckets[bucket] += portion.amount;
+
+      addToGroup(byArea, areaName, { area: areaName }, bucket, portion.amount).customers.add(customer.id);
+      const riderKey = portion.riderId || 'unassigned';
+      addToGroup(byRider, riderKey, {
+        riderId: portion.riderId,
+        riderName: portion.riderId ? riderNames.get(portion.riderId) || 'Unknown' : 'Unassigned'
+      }, bucket, portion.amount).customers.add(customer.id);
+    });
+    totals.total += balance;
+
+    return {
+      id: customer.id,
+      name: customer.name,
+      phone: customer.phone,
+      area: customer.area,
+      balance,
+      oldestDays: Math.max(...portions.map(portion => portion.days)),
+      unpaidOrders: customer.orders.length,
+      buckets: Object.fromEntries(Object.entries(buckets).map(([key, value]) => [key, roundAmount(value)]))
+    };
+  });
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals: roundGroup({ ...totals, customers: new Set(customers.map(c => c.id)) }),
+    customers: agedCustomers.sort((a, b) => b.oldestDays - a.oldestDays || b.balance - a.balance),
+    byArea: Array.from(byArea.values()).map(roundGroup).sort((a, b) => b.total - a.total),
+    byRider: Array.from(byRider.values()).map(roundGroup).sort((a, b) => b.total - a.total)
+  };
+}
+
+/**
+ * Render the aging report as CSV: one line per customer, then a total line
+ * @param {Object} report - Result of buildAgingReport
+ * @returns {string} CSV text
+ */
+export function renderAgingCsv(report) {
+  const columns = [
+    { key: 'name', label: 'Customer' },
+    { key: 'phone', label: 'Phone' },
+    { key: 'area', label: 'Area' },
+    { key: 'balance', label: 'Balance' },
+    ...AGING_BUCKETS.map(bucket => ({ key: bucket.key, label: bucket.label })),
+    { key: 'oldestDays', label: 'Oldest (days)' }
+  ];
+
+  const rows = [
+    ...report.customers.map(customer => ({ ...customer, ...customer.buckets })),
+    { name: `Total as of ${report.asOf}`, balance: report.totals.total, ...report.totals.buckets }
+  ];
+
+  return toCsv(rows, columns);
+}
@@ -0,0 +1,77 @@
+/**
+ * Bottle custody
+ * Tracks how many of our bottles each customer is holding. Every delivered or
+ * completed order hands over its bottles and takes back the empties the
+ * customer returns; Customer.bottlesInHand is moved by the difference inside
+ * the same transaction. Customer.bottleCount is the number of bottles the
+ * customer is allowed to hold.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Parse the number of empty bottles a rider says they collected
+ * @param {*} value - Value from the request body (defaults to 0)
+ * @returns {number} Non-negative whole number
+ */
+export function parseEmptiesReturned(value) {
+  if (value === undefined || value === null || value === '') return 0;
+
+  const empties = Number(value);
+  if (!Number.isInteger(empties) || empties < 0) {
+    throw new DomainError('emptiesReturned must be a whole number of 0 or more', {
+      status: 400,
+      code: 'INVALID_EMPTIES_RETURNED',
+      details: { emptiesReturned: value }
+    });
+  }
+
+  return empties;
+}
+
+/**
+ * Move a customer's bottles-in-hand for bottles handed over and empties taken back
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} exchange
+ * @param {string} exchange.customerId - Customer receiving the bottles
+ * @param {number} exchange.delivered - Filled bottles handed over
+ * @param {number} exchange.returned - Empty bottles taken back
+ * @returns {Promise<number>} Customer's bottles in hand after the exchange
+ */
+export async function recordBottleExchange(tx, { customerId, delivered = 0, returned = 0 }) {
+  const customer = await tx.customer.update({
+    where: { id: customerId },
+    data: {
+      bottlesInHand: { increment: delivered - returned }
+    },
+    select: { bottlesInHand: true }
+  });
+
+  return customer.bottlesInHand;
+}
+
+/**
+ * List active customers holding more bottles than they are allowed
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Array<Object>>} Customers with bottlesInHand, bottleCount and excess
+ */
+export async function findCustomersOverBottleLimit(client = prisma) {
+  const customers = await client.customer.findMany({
+    where: {
+      isActive: true,
+      name: { not: 'Walk-in Customer' },
+      bottlesInHand: { gt: client.customer.fields.bottleCount }
+    },
+    orderBy: { bottlesInHand: 'desc' }
+  });
+
+  return customers
+    .map(customer => ({
+      ...customer,
+      excessBottles: customer.bottlesInHand - customer.bottleCount
+    }))
+    .sort((a, b) => b.excessBottles - a.excessBottles);
+}
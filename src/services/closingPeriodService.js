@@ -0,0 +1,307 @@
+/**
+ * Period closings
+ * Rolls saved daily closings up into a week, a month or a custom range.
+ * Every figure is the plain sum of the saved days (added up in paisa so the
+ * period total always equals the sum of its days to the rupee), except the
+ * receivable/payable snapshots, which are taken at the period's start and end.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { getPktDayStartUtc, getTodayPktDate } from '../utils/timezone.js';
+import { toCsv } from '../utils/csv.js';
+import { summarizeBalancesAt, toClosingDate } from './dailyClosingService.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+const MAX_PERIOD_DAYS = 366;
+
+// Amount fields of DailyClosing that add up across days
+const AMOUNT_FIELDS = [
+  'totalCurrentOrderAmount',
+  'totalPaidAmount',
+  'walkInAmount',
+  'clearBillAmount',
+  'enrouteAmount',
+  'paymentsVoided',
+  'refundsPaid',
+  'balanceClearedToday',
+  'depositsTaken',
+  'depositsRefunded',
+  'totalVariance'
+];
+const COUNT_FIELDS = ['totalOrders', 'totalBottles', 'bottlesDelivered', 'emptiesReturned'];
+
+const toPaisa = (value) => Math.round((parseFloat(value) || 0) * 100);
+const fromPaisa = (paisa) => paisa / 100;
+
+const addDays = (dateStr, days) =>
+  new Date(toClosingDate(dateStr).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const invalidPeriod = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_PERIOD', details });
+
+const parseDate = (value, field) => {
+  if (!DATE_PATTERN.test(String(value || ''))) {
+    throw invalidPeriod(`${field} must be a date in YYYY-MM-DD format`, { [field]: value });
+  }
+  return String(value);
+};
+
+/**
+ * Work out the first and last day of a period
+ * @param {Object} query
+ * @param {string} query.period - weekly (Monday to Sunday), monthly or custom
+ * @param {string} query.date - Any day in the week (weekly), defaults to today
+ * @param {string} query.month - YYYY-MM (monthly), defaults to the current month
+ * @param {string} query.from - First day (custom)
+ * @param {string} query.to - Last day (custom)
+ * @returns {Object} { type, from, to }
+ */
+export function resolvePeriod({ period = 'monthly', date, month, from, to } = {}) {
+  const type = String(period).toLowerCase();
+  const today = getTodayPktDate();
+
+  if (type === 'weekly') {
+    const day = date ? parseDate(date, 'date') : today;
+    // getUTCDay: 0 = Sunday; weeks run Monday to Sunday
+    const offset = (toClosingDate(day).getUTCDay() + 6) % 7;
+    const start = addDays(day, -offset);
+    return { type, from: start, to: addDays(start, 6) };
+  }
+
+  if (type === 'monthly') {
+    const monthStr = month || today.slice(0, 7);
+    if (!MONTH_PATTERN.test(monthStr)) {
+      throw invalidPeriod('month must be in YYYY-MM format', { month });
+    }
+    const [year, monthNumber] = monthStr.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    return { type, from: `${monthStr}-01`, to: `${monthStr}-${String(lastDay).padStart(2, '0')}` };
+  }
+
+  if (type === 'custom') {
+    const start = parseDate(from, 'from');
+    const end = parseDate(to, 'to');
+    if (end < start) {
+      throw invalidPeriod('to cannot be before from', { from, to });
+    }
+    if ((toClosingDate(end) - toClosingDate(start)) / DAY_MS + 1 > MAX_PERIOD_DAYS) {
+      throw invalidPeriod(`A custom period can cover at most ${MAX_PERIOD_DAYS} days`, { from, to });
+    }
+    return { type, from: start, to: end };
+  }
+
+  throw invalidPeriod('period must be weekly, monthly or custom', { period });
+}
+
+// Add a { method, amount, ordersCount } row into a paisa map
+const addMethod = (methods, method, amount, ordersCount) => {
+  const existing = methods.get(method) || { amount: 0, ordersCount: 0 };
+  existing.amount += toPaisa(amount);
+  existing.ordersCount += ordersCount;
+  methods.set(method, existing);
+};
+
+const listMethods = (methods) => Array.from(methods.entries()).map(([method, data]) => ({
+  method,
+  amount: fromPaisa(data.amount),
+  ordersCount: data.ordersCount
+}));
+
+// Receivable/payable at the start of the period: the previous day's saved
+// closing when there is one, otherwise rebuilt from the ledger
+const getOpeningBalances = async (fromDateStr) => {
+  const previous = await prisma.dailyClosing.findUnique({
+    where: { date: toClosingDate(addDays(fromDateStr, -1)) },
+    select: { customerReceivable: true, customerPayable: true }
+  });
+
+  if (previous) {
+    return {
+      receivable: parseFloat(previous.customerReceivable),
+      payable: parseFloat(previous.customerPayable),
+      source: 'CLOSING'
+    };
+  }
+
+  const balances = await summarizeBalancesAt(getPktDayStartUtc(fromDateStr));
+  return {
+    receivable: balances.customerReceivable,
+    payable: balances.customerPayable,
+    source: 'LEDGER'
+  };
+};
+
+/**
+ * Roll up the saved daily closings of a period
+ * @param {Object} period - Result of resolvePeriod
+ * @returns {Promise<Object>} Period totals, per-method and per-rider collections, balances and the days behind them
+ */
+export async function buildPeriodClosing({ type, from, to }) {
+  const closings = await prisma.dailyClosing.findMany({
+    where: {
+      date: {
+        gte: toClosingDate(from),
+        lte: toClosingDate(to)
+      }
+    },
+    include: {
+      riderCollections: {
+        include: {
+          rider: { select: { name: true } },
+          paymentMethods: true
+        }
+      },
+      paymentMethods: true
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  const amountTotals = Object.fromEntries(AMOUNT_FIELDS.map(field => [field, 0]));
+  const countTotals = Object.fromEntries(COUNT_FIELDS.map(field => [field, 0]));
+  const paymentMethods = new Map();
+  const counted = new Map();
+  const riders = new Map();
+
+  const days = closings.map(closing => {
+    AMOUNT_FIELDS.forEach(field => { amountTotals[field] += toPaisa(closing[field]); });
+    COUNT_FIELDS.forEach(field => { countTotals[field] += Number(closing[field]) || 0; });
+
+    closing.paymentMethods.forEach(pm => {
+      addMethod(paymentMethods, pm.paymentMethod, pm.amount, pm.ordersCount);
+      if (pm.countedAmount !== null) {
+        const existing = counted.get(pm.paymentMethod) || { countedAmount: 0, variance: 0 };
+        existing.countedAmount += toPaisa(pm.countedAmount);
+        existing.variance += toPaisa(pm.variance);
+        counted.set(pm.paymentMethod, existing);
+      }
+    });
+
+    closing.riderCollections.forEach(rc => {
+      const rider = riders.get(rc.riderId) || {
+        riderName: rc.rider?.name || 'Unknown',
+        amount: 0,
+        ordersCount: 0,
+        paymentMethods: new Map()
+      };
+      rider.amount += toPaisa(rc.amount);
+      rider.ordersCount += rc.ordersCount;
+      rc.paymentMethods.forEach(pm => addMethod(rider.paymentMethods, pm.paymentMethod, pm.amount, pm.ordersCount));
+      riders.set(rc.riderId, rider);
+    });
+
+    return {
+      date: closing.date.toISOString().slice(0, 10),
+      status: closing.status,
+      version: closing.version,
+      ...Object.fromEntries(AMOUNT_FIELDS.map(field => [field, parseFloat(closing[field]) || 0])),
+      ...Object.fromEntries(COUNT_FIELDS.map(field => [field, Number(closing[field]) || 0])),
+      customerReceivable: parseFloat(closing.customerReceivable) || 0,
+      customerPayable: parseFloat(closing.customerPayable) || 0,
+      paymentMethods: closing.paymentMethods.map(pm => ({
+        method: pm.paymentMethod,
+        amount: parseFloat(pm.amount) || 0
+      }))
+    };
+  });
+
+  // Days up to today that have no saved closing make the period incomplete
+  const closedDates = new Set(days.map(day => day.date));
+  const lastDay = to < getTodayPktDate() ? to : getTodayPktDate();
+  const missingDays = [];
+  for (let day = from; day <= lastDay; day = addDays(day, 1)) {
+    if (!closedDates.has(day)) missingDays.push(day);
+  }
+
+  const opening = await getOpeningBalances(from);
+  const lastClosed = days[days.length - 1];
+
+  return {
+    period: { type, from, to },
+    daysClosed: days.length,
+    missingDays,
+    reopenedDays: days.filter(day => day.status === 'REOPENED').map(day => day.date),
+    isComplete: missingDays.length === 0 && to <= getTodayPktDate(),
+    totals: {
+      ...Object.fromEntries(AMOUNT_FIELDS.map(field => [field, fromPaisa(amountTotals[field])])),
+      ...countTotals,
+      netBottlesOut: countTotals.bottlesDelivered - countTotals.emptiesReturned,
+      netDeposits: fromPaisa(amountTotals.depositsTaken - amountTotals.depositsRefunded)
+    },
+    balances: {
+      openingReceivable: opening.receivable,
+      openingPayable: opening.payable,
+      openingSource: opening.source,
+      closingReceivable: lastClosed ? lastClosed.customerReceivable : null,
+      closingPayable: lastClosed ? lastClosed.customerPayable : null,
+      closingAsOf: lastClosed ? lastClosed.date : null
+    },
+    paymentMethods: listMethods(paymentMethods).map(pm => ({
+      ...pm,
+      countedAmount: counted.has(pm.method) ? fromPaisa(counted.get(pm.method).countedAmount) : null,
+      variance: counted.has(pm.method) ? fromPaisa(counted.get(pm.method).variance) : 0
+    })),
+    riderCollections: Array.from(riders.entries()).map(([riderId, rider]) => ({
+      riderId,
+      riderName: rider.riderName,
+      amount: fromPaisa(rider.amount),
+      ordersCount: rider.ordersCount,
+      paymentMethods: listMethods(rider.paymentMethods)
+    })),
+    days
+  };
+}
+
+/**
+ * Render a period closing as CSV: one line per day, then the period total
+ * @param {Object} periodClosing - Result of buildPeriodClosing
+ * @returns {string} CSV text
+ */
+export function renderPeriodClosingCsv(periodClosing) {
+  const methods = periodClosing.paymentMethods.map(pm => pm.method);
+
+  const columns = [
+    { key: 'date', label: 'Date' },
+    { key: 'totalOrders', label: 'Orders' },
+    { key: 'totalCurrentOrderAmount', label: 'Revenue' },
+    { key: 'totalPaidAmount', label: 'Collected' },
+    { key: 'walkInAmount', label: 'Walk-in' },
+    { key: 'clearBillAmount', label: 'Clear bill' },
+    { key: 'enrouteAmount', label: 'Enroute' },
+    { key: 'paymentsVoided', label: 'Voided' },
+    { key: 'refundsPaid', label: 'Refunds' },
+    { key: 'balanceClearedToday', label: 'Balance change' },
+    ...methods.map(method => ({ key: `method:${method}`, label: method })),
+    { key: 'totalVariance', label: 'Variance' },
+    { key: 'totalBottles', label: 'Bottles' },
+    { key: 'bottlesDelivered', label: 'Delivered' },
+    { key: 'emptiesReturned', label: 'Empties' },
+    { key: 'depositsTaken', label: 'Deposits taken' },
+    { key: 'depositsRefunded', label: 'Deposits refunded' },
+    { key: 'customerReceivable', label: 'Receivable' },
+    { key: 'customerPayable', label: 'Payable' }
+  ];
+
+  const withMethods = (row, paymentMethods) => ({
+    ...row,
+    ...Object.fromEntries(paymentMethods.map(pm => [`method:${pm.method}`, pm.amount]))
+  });
+
+  const { totals, balances, period } = periodClosing;
+  const rows = [
+    { date: `Opening (${period.from})`, customerReceivable: balances.openingReceivable, customerPayable: balances.openingPayable },
+    ...periodClosing.days.map(day => withMethods(day, day.paymentMethods)),
+    withMethods({
+      ...totals,
+      date: `Total ${period.from} to ${period.to}`,
+      customerReceivable: balances.closingReceivable,
+      customerPayable: balances.closingPayable
+    }, periodClosing.paymentMethods)
+  ];
+
+  return toCsv(rows, columns);
+}
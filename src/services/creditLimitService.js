@@ -0,0 +1,168 @@
+/**
+ * Customer credit limits
+ * A customer may owe up to their own creditLimit, or the company's
+ * defaultCreditLimit when they have none; with neither set there is no limit.
+ * An order that would take what the customer owes (the order's totalAmount)
+ * over the limit is refused, unless an admin overrides it with a reason.
+ * Overrides are kept in credit_limit_overrides.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+
+const prisma = new PrismaClient();
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the company-wide default credit limit
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<number|null>} Default limit, or null when not set
+ */
+export async function getDefaultCreditLimit(client = prisma) {
+  const setup = await client.company_setups.findFirst({ select: { defaultCreditLimit: true } });
+  return setup?.defaultCreditLimit != null ? parseFloat(setup.defaultCreditLimit) : null;
+}
+
+/**
+ * Get the credit limit that applies to a customer
+ * @param {Object} customer - Customer with creditLimit
+ * @param {number|null} defaultLimit - Company default (getDefaultCreditLimit)
+ * @returns {number|null} Limit, or null when the customer has no limit
+ */
+export function resolveCreditLimit(customer, defaultLimit) {
+  if (customer.creditLimit != null) return parseFloat(customer.creditLimit);
+  return defaultLimit;
+}
+
+/**
+ * Get how much more a customer can owe before hitting their limit
+ * @param {Object} customer - Customer with creditLimit and currentBalance
+ * @param {number|null} defaultLimit - Company default (getDefaultCreditLimit)
+ * @returns {Object} { creditLimit, remainingCredit } (both null when there is no limit; remainingCredit is negative when over the limit)
+ */
+export function getCreditStatus(customer, defaultLimit) {
+  const creditLimit = resolveCreditLimit(customer, defaultLimit);
+  if (creditLimit === null) return { creditLimit: null, remainingCredit: null };
+  return {
+    creditLimit,
+    remainingCredit: roundAmount(creditLimit - parseFloat(customer.currentBalance || 0))
+  };
+}
+
+/**
+ * Validate a credit limit sent for a customer or the company
+ * @param {*} value - Amount, or null/'' to clear the limit
+ * @returns {number|null|undefined} Parsed limit (undefined when not sent)
+ */
+export function parseCreditLimit(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const limit = parseFloat(value);
+  if (isNaN(limit) || limit < 0) {
+    throw new DomainError('Credit limit must be a positive number', {
+      status: 400,
+      code: 'INVALID_CREDIT_LIMIT',
+      details: { creditLimit: value }
+    });
+  }
+  return limit;
+}
+
+/**
+ * Validate an admin override of the credit limit
+ * @param {Object} creditOverride - { reason } from the request body
+ * @param {Object} actor - req.user of whoever is placing or changing the order
+ * @returns {Object|null} { reason } or null when no override was sent
+ */
+export function parseCreditOverride(creditOverride, actor) {
+  if (!creditOverride) return null;
+
+  if (actor?.role !== 'ADMIN') {
+    throw new DomainError('Only admins can override a customer\'s credit limit', {
+      status: 403,
+      code: 'CREDIT_OVERRIDE_FORBIDDEN'
+    });
+  }
+
+  const reason = typeof creditOverride.reason === 'string' ? creditOverride.reason.trim() : '';
+  if (!reason) {
+    throw new DomainError('A reason is required to override the credit limit', {
+      status: 400,
+      code: 'CREDIT_OVERRIDE_REASON_REQUIRED'
+    });
+  }
+
+  return { reason };
+}
+
+/**
+ * Check an order against the customer's credit limit.
+ * Throws CREDIT_LIMIT_EXCEEDED when the order takes the customer over the
+ * limit and there is no override. An amendment that lowers the total is
+ * always allowed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} check
+ * @param {Object} check.customer - Locked customer (lockCustomer)
+ * @param {number} check.totalAmount - Order's totalAmount (balance snapshot + order amount)
+ * @param {number} check.paidAmount - Paid on the spot (enroute orders)
+ * @param {number} check.previousTotal - Order's totalAmount before an amendment
+ * @param {Object} check.override - Result of parseCreditOverride
+ * @returns {Promise<Object|null>} Override to record with recordCreditOverride, or null when within the limit
+ */
+export async function checkCreditLimit(tx, { customer, totalAmount, paidAmount = 0, previousTotal = null, override = null }) {
+  // The shared walk-in record always pays in full
+  if (customer.name === 'Walk-in Customer') return null;
+
+  const creditLimit = resolveCreditLimit(customer, await getDefaultCreditLimit(tx));
+  if (creditLimit === null) return null;
+
+  const owed = roundAmount(totalAmount - paidAmount);
+  if (owed <= creditLimit) return null;
+  if (previousTotal !== null && totalAmount <= previousTotal) return null;
+
+  if (!override) {
+    throw new DomainError(`This order takes ${customer.name} over the credit limit of Rs ${creditLimit}`, {
+      status: 409,
+      code: 'CREDIT_LIMIT_EXCEEDED',
+      details: {
+        customerId: customer.id,
+        creditLimit,
+        currentBalance: parseFloat(customer.currentBalance),
+        totalAmount: owed,
+        exceededBy: roundAmount(owed - creditLimit)
+      }
+    });
+  }
+
+  return { ...override, creditLimit, previousTotal, totalAmount: owed };
+}
+
+/**
+ * Record an admin override of the credit limit
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} pending - Result of checkCreditLimit (null = nothing to record)
+ * @param {Object} record
+ * @param {string} record.customerId - Customer the order is for
+ * @param {string} record.orderId - Order placed or amended over the limit
+ * @param {Object} record.actor - Admin who overrode the limit
+ * @param {string} record.source - ORDER, ENROUTE or AMEND
+ * @returns {Promise<Object|null>} Created override
+ */
+export async function recordCreditOverride(tx, pending, { customerId, orderId, actor, source }) {
+  if (!pending) return null;
+
+  return tx.creditLimitOverride.create({
+    data: {
+      customerId,
+      orderId,
+      approvedById: actor.id,
+      reason: pending.reason,
+      source,
+      creditLimit: pending.creditLimit,
+      previousTotal: pending.previousTotal,
+      totalAmount: pending.totalAmount
+    }
+  });
+}
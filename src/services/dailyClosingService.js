@@ -0,0 +1,530 @@
+/**
+ * Daily closing
+ * Rebuilds the figures for one PKT day from that day's orders, payments,
+ * deposits and the customer ledger, so any past day can be closed (or closed again) with
+ * the same numbers it would have had on the day. Every close is kept as a
+ * numbered version; DailyClosing always holds the latest one. A closed day
+ * locks its orders (see periodLock.js) until an admin reopens it.
+ * Closing dates are PKT calendar dates stored as YYYY-MM-DDT00:00:00Z.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { getPktDateRangeUtc, getTodayPktDate } from '../utils/timezone.js';
+import { dueByDateWhere } from '../utils/deliveryWindow.js';
+import { summarizeDeposits } from './depositService.js';
+import { getBalancesAt } from './ledgerService.js';
+import { listCollections } from './paymentService.js';
+import { lockPeriod } from './periodLock.js';
+
+const prisma = new PrismaClient();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const OPEN_STATUSES = ['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'CREATED'];
+// Rebuilding a day's figures runs inside the closing transaction
+const CLOSING_TIMEOUT_MS = 60 * 1000;
+
+// Methods whose money can be physically counted or confirmed against a statement
+const COUNTED_METHODS = ['CASH', 'JAZZCASH', 'EASYPAISA', 'NAYA_PAY', 'SADAPAY', 'BANK_TRANSFER'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const invalidCounts = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_CLOSING_COUNTS', details });
+
+/**
+ * Validate the day to close: YYYY-MM-DD, not in the future
+ * @param {string} value - Date string, defaults to today (PKT)
+ * @returns {string} Date string
+ */
+export function parseClosingDate(value) {
+  const today = getTodayPktDate();
+  if (value === undefined || value === null || value === '') return today;
+
+  if (!DATE_PATTERN.test(String(value))) {
+    throw new DomainError('date must be in YYYY-MM-DD format', {
+      status: 400,
+      code: 'INVALID_CLOSING_DATE',
+      details: { date: value }
+    });
+  }
+  if (value > today) {
+    throw new DomainError('Cannot close a day that has not happened yet', {
+      status: 400,
+      code: 'INVALID_CLOSING_DATE',
+      details: { date: value }
+    });
+  }
+  return String(value);
+}
+
+/**
+ * Convert a PKT calendar date to the stored DailyClosing.date
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Date} Date at 00:00 UTC
+ */
+export function toClosingDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+// Bottles handed over vs empties taken back on the day's delivered/completed orders
+const summarizeBottleMovement = (orders) => {
+  const handedOver = orders.filter(order => order.status === 'DELIVERED' || order.status === 'COMPLETED');
+  const bottlesDelivered = handedOver.reduce((sum, order) => sum + order.numberOfBottles, 0);
+  const emptiesReturned = handedOver.reduce((sum, order) => sum + order.emptiesReturned, 0);
+
+  return {
+    bottlesDelivered,
+    emptiesReturned,
+    netBottlesOut: bottlesDelivered - emptiesReturned
+  };
+};
+
+/**
+ * Customer payable/receivable rebuilt from the ledger as it stood at a point in time
+ * @param {Date} at - Point in time (UTC)
+ * @returns {Promise<Object>} { customerPayable, customerReceivable }
+ */
+export async function summarizeBalancesAt(at) {
+  const balances = await getBalancesAt(at);
+
+  // Payable = sum of negative balances, receivable = sum of positive balances
+  const customerPayable = balances
+    .filter(c => c.balance < 0)
+    .reduce((sum, c) => sum + Math.abs(c.balance), 0);
+
+  const customerReceivable = balances
+    .filter(c => c.balance > 0)
+    .reduce((sum, c) => sum + c.balance, 0);
+
+  return { customerPayable, customerReceivable };
+}
+
+// Split tenders of one order are separate payments but one order
+const paymentKey = (payment) => payment.orderId || payment.paymentId;
+
+// Add one payment to a { method -> { amount, orders } } map
+const addPayment = (methods, payment) => {
+  const existing = methods.get(payment.method) || { amount: 0, orders: new Set() };
+  existing.amount += payment.amount;
+  existing.orders.add(paymentKey(payment));
+  methods.set(payment.method, existing);
+};
+
+const listPayments = (methods) => Array.from(methods.entries()).map(([method, data]) => ({
+  method,
+  amount: data.amount,
+  ordersCount: data.orders.size
+}));
+
+/**
+ * Validate the counted cash and confirmed wallet amounts sent with a closing
+ * @param {Array<Object>} counts - [{ method, countedAmount, reason }]
+ * @returns {Map<string, Object>} method -> { countedAmount, reason }
+ */
+export function parseClosingCounts(counts) {
+  if (!Array.isArray(counts)) {
+    throw invalidCounts('counts must be a list of { method, countedAmount, reason }');
+  }
+
+  const parsed = new Map();
+  counts.forEach(count => {
+    const method = String(count?.method || '').toUpperCase();
+    if (!COUNTED_METHODS.includes(method)) {
+      throw invalidCounts(`method must be one of ${COUNTED_METHODS.join(', ')}`, { method: count?.method });
+    }
+    if (parsed.has(method)) {
+      throw invalidCounts(`${method} is counted more than once`, { method });
+    }
+
+    const countedAmount = parseFloat(count.countedAmount);
+    if (isNaN(countedAmount) || countedAmount < 0) {
+      throw invalidCounts('countedAmount must be zero or a positive number', { method, countedAmount: count.countedAmount });
+    }
+
+    parsed.set(method, {
+      countedAmount: roundAmount(countedAmount),
+      reason: count.reason ? String(count.reason).trim() : null
+    });
+  });
+
+  return parsed;
+}
+
+const emptyPaymentRow = (method) => ({
+  paymentMethod: method,
+  amount: 0,
+  depositAmount: 0,
+  ordersCount: 0,
+  countedAmount: null,
+  variance: 0,
+  varianceReason: null
+});
+
+/**
+ * Closing payment rows: payments collected and net deposits per method, plus
+ * what was counted and how far it is from the two together
+ * @param {Array<Object>} paymentMethods - [{ method, amount, ordersCount }] collected on the day
+ * @param {Array<Object>} depositMethods - [{ method, net }] deposits taken minus refunded on the day
+ * @param {Map<string, Object>} counts - Result of parseClosingCounts
+ * @param {Object} options
+ * @param {boolean} options.requireReasons - Throw when a variance has no reason
+ * @returns {Array<Object>} DailyClosingPayment rows
+ */
+export function buildPaymentRows(paymentMethods, depositMethods, counts, { requireReasons }) {
+  const rows = new Map(paymentMethods.map(pm => [pm.method, {
+    ...emptyPaymentRow(pm.method),
+    amount: pm.amount,
+    ordersCount: pm.ordersCount
+  }]));
+
+  depositMethods.forEach(deposit => {
+    if (deposit.net === 0) return;
+    const row = rows.get(deposit.method) || emptyPaymentRow(deposit.method);
+    rows.set(deposit.method, { ...row, depositAmount: deposit.net });
+  });
+
+  counts.forEach((count, method) => {
+    // Money counted for a method nobody paid with is all variance
+    const row = rows.get(method) || emptyPaymentRow(method);
+    const expected = roundAmount(row.amount + row.depositAmount);
+    const variance = roundAmount(count.countedAmount - expected);
+
+    if (requireReasons && variance !== 0 && !count.reason) {
+      throw new DomainError(`A reason is required for the ${method} variance of Rs ${variance}`, {
+        status: 400,
+        code: 'VARIANCE_REASON_REQUIRED',
+        details: { method, expected, counted: count.countedAmount, variance }
+      });
+    }
+
+    rows.set(method, {
+      ...row,
+      countedAmount: count.countedAmount,
+      variance,
+      varianceReason: variance !== 0 ? count.reason : null
+    });
+  });
+
+  return Array.from(rows.values());
+}
+
+/**
+ * Count orders still open and due on or before a day; they block its closing.
+ * Orders requested for a later date are legitimately open and do not block.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Promise<number>}
+ */
+export async function countBlockingOrders(dateStr) {
+  return prisma.order.count({
+    where: {
+      status: { in: OPEN_STATUSES },
+      ...dueByDateWhere(dateStr)
+    }
+  });
+}
+
+/**
+ * Work out a PKT day's closing figures without saving them
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Promise<Object>} Closing totals, riderCollections and paymentMethods
+ */
+export async function buildClosingSummary(dateStr) {
+  const { start, end } = getPktDateRangeUtc(dateStr);
+
+  const { customerPayable, customerReceivable } = await summarizeBalancesAt(new Date(end.getTime() + 1));
+
+  // The day's orders (excluding cancelled) for revenue and bottles
+  const dayOrders = await prisma.order.findMany({
+    where: {
+      createdAt: {
+        gte: start,
+        lte: end
+      },
+      status: {
+        not: 'CANCELLED'
+      }
+    },
+    select: {
+      currentOrderAmount: true,
+      numberOfBottles: true,
+      emptiesReturned: true,
+      status: true
+    }
+  });
+
+  // Money received on the day, whichever day its order was placed
+  const collections = await listCollections({ start, end });
+  const sumPaid = (payments) => payments.reduce((sum, payment) => sum + payment.amount, 0);
+
+  const totalPaidAmount = sumPaid(collections);
+  const totalCurrentOrderAmount = dayOrders.reduce((sum, order) => sum + parseFloat(order.currentOrderAmount), 0);
+  const walkInAmount = sumPaid(collections.filter(payment => payment.orderType === 'WALKIN'));
+  const clearBillAmount = sumPaid(collections.filter(payment => payment.orderType === 'CLEARBILL'));
+  const enrouteAmount = sumPaid(collections.filter(payment => payment.orderType === 'ENROUTE'));
+  // Voids and refunds are negative payments; they are already netted into the totals above.
+  // Method corrections (CORRECTION + a new payment) cancel out and are not voids.
+  const paymentsVoided = -sumPaid(collections.filter(payment => payment.type === 'REVERSAL'));
+  const refundsPaid = -sumPaid(collections.filter(payment => payment.type === 'REFUND'));
+  const balanceClearedToday = totalCurrentOrderAmount - totalPaidAmount;
+  const totalBottles = dayOrders.reduce((sum, order) => sum + order.numberOfBottles, 0);
+
+  const { bottlesDelivered, emptiesReturned, netBottlesOut } = summarizeBottleMovement(dayOrders);
+
+  // Deposits are held money, reported apart from order revenue
+  const deposits = await summarizeDeposits({ start, end });
+
+  // Group by rider for collections with payment method breakdown
+  const riderCollectionsMap = new Map();
+  const paymentMethodsMap = new Map();
+  collections.forEach(payment => {
+    addPayment(paymentMethodsMap, payment);
+
+    if (!payment.riderId) return; // Skip money not collected by a rider
+    const existing = riderCollectionsMap.get(payment.riderId) || { amount: 0, orders: new Set(), paymentMethods: new Map() };
+    existing.amount += payment.amount;
+    existing.orders.add(paymentKey(payment));
+    addPayment(existing.paymentMethods, payment);
+    riderCollectionsMap.set(payment.riderId, existing);
+  });
+
+  const riders = await prisma.riderProfile.findMany({
+    where: { id: { in: Array.from(riderCollectionsMap.keys()) } },
+    select: { id: true, name: true }
+  });
+  const ridersMap = new Map(riders.map(r => [r.id, r.name]));
+
+  const riderCollections = Array.from(riderCollectionsMap.entries()).map(([riderId, data]) => ({
+    riderId,
+    riderName: ridersMap.get(riderId) || 'Unknown',
+    amount: data.amount,
+    ordersCount: data.orders.size,
+    paymentMethods: listPayments(data.paymentMethods)
+  }));
+
+  return {
+    date: dateStr,
+    customerPayable: Number(customerPayable) || 0,
+    customerReceivable: Number(customerReceivable) || 0,
+    totalPaidAmount: Number(totalPaidAmount) || 0,
+    totalCurrentOrderAmount: Number(totalCurrentOrderAmount) || 0,
+    walkInAmount: Number(walkInAmount) || 0,
+    clearBillAmount: Number(clearBillAmount) || 0,
+    enrouteAmount: Number(enrouteAmount) || 0,
+    paymentsVoided: Number(paymentsVoided) || 0,
+    refundsPaid: Number(refundsPaid) || 0,
+    balanceClearedToday: Number(balanceClearedToday) || 0,
+    totalBottles: Number(totalBottles) || 0,
+    bottlesDelivered,
+    emptiesReturned,
+    netBottlesOut,
+    depositsTaken: deposits.taken,
+    depositsRefunded: deposits.refunded,
+    netDeposits: deposits.net,
+    depositMethods: deposits.byMethod,
+    totalOrders: dayOrders.length,
+    riderCollections,
+    paymentMethods: listPayments(paymentMethodsMap)
+  };
+}
+
+/**
+ * Close a PKT day, or close it again. The figures are rebuilt from scratch and
+ * saved as the next version; earlier versions stay in DailyClosingVersion.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Object} options
+ * @param {Object} options.actor - req.user of the admin closing the day
+ * @param {string} options.reason - Why the day is being closed again (optional)
+ * @param {Array<Object>} options.counts - Counted cash / confirmed wallet amounts: [{ method, countedAmount, reason }].
+ *   When re-closing without counts, the previous version's counts are kept and checked against the new figures.
+ * @returns {Promise<Object>} DailyClosing with riderCollections, paymentMethods and closedBy
+ */
+export async function closeDay(dateStr, { actor, reason, counts } = {}) {
+  const closingDate = toClosingDate(dateStr);
+
+  const closingId = await prisma.$transaction(async (tx) => {
+    // Order changes of the day wait while its figures are rebuilt and saved (see periodLock.js)
+    await lockPeriod(tx, dateStr, { exclusive: true });
+
+    const summary = await buildClosingSummary(dateStr);
+
+    let countsByMethod;
+    if (counts !== undefined) {
+      countsByMethod = parseClosingCounts(counts);
+    } else {
+      const previous = await tx.dailyClosingPayment.findMany({
+        where: {
+          dailyClosing: { date: closingDate },
+          countedAmount: { not: null }
+        }
+      });
+      countsByMethod = new Map(previous.map(pm => [pm.paymentMethod, {
+        countedAmount: parseFloat(pm.countedAmount),
+        reason: pm.varianceReason
+      }]));
+    }
+
+    const paymentRows = buildPaymentRows(summary.paymentMethods, summary.depositMethods, countsByMethod, { requireReasons: counts !== undefined });
+    const totalVariance = roundAmount(paymentRows.reduce((sum, row) => sum + row.variance, 0));
+
+    const totals = {
+      customerPayable: summary.customerPayable,
+      customerReceivable: summary.customerReceivable,
+      totalPaidAmount: summary.totalPaidAmount,
+      totalCurrentOrderAmount: summary.totalCurrentOrderAmount,
+      walkInAmount: summary.walkInAmount,
+      clearBillAmount: summary.clearBillAmount,
+      enrouteAmount: summary.enrouteAmount,
+      paymentsVoided: summary.paymentsVoided,
+      refundsPaid: summary.refundsPaid,
+      balanceClearedToday: summary.balanceClearedToday,
+      totalBottles: summary.totalBottles,
+      bottlesDelivered: summary.bottlesDelivered,
+      emptiesReturned: summary.emptiesReturned,
+      depositsTaken: summary.depositsTaken,
+      depositsRefunded: summary.depositsRefunded,
+      totalOrders: summary.totalOrders,
+      totalVariance,
+      closedById: actor?.id || null
+    };
+
+    const existing = await tx.dailyClosing.findUnique({
+      where: { date: closingDate }
+    });
+
+    let dailyClosing;
+    if (existing) {
+      await tx.dailyClosingRider.deleteMany({ where: { dailyClosingId: existing.id } });
+      await tx.dailyClosingPayment.deleteMany({ where: { dailyClosingId: existing.id } });
+      dailyClosing = await tx.dailyClosing.update({
+        where: { id: existing.id },
+        data: {
+          ...totals,
+          version: existing.version + 1,
+          status: 'CLOSED'
+        }
+      });
+    } else {
+      dailyClosing = await tx.dailyClosing.create({
+        data: {
+          ...totals,
+          date: closingDate
+        }
+      });
+    }
+
+    // Rider collections with payment method breakdowns
+    for (const rider of summary.riderCollections) {
+      await tx.dailyClosingRider.create({
+        data: {
+          dailyClosingId: dailyClosing.id,
+          riderId: rider.riderId,
+          amount: rider.amount,
+          ordersCount: rider.ordersCount,
+          paymentMethods: {
+            create: rider.paymentMethods.map(pm => ({
+              paymentMethod: pm.method,
+              amount: pm.amount,
+              ordersCount: pm.ordersCount
+            }))
+          }
+        }
+      });
+    }
+
+    if (paymentRows.length > 0) {
+      await tx.dailyClosingPayment.createMany({
+        data: paymentRows.map(row => ({
+          ...row,
+          dailyClosingId: dailyClosing.id
+        }))
+      });
+    }
+
+    await tx.dailyClosingVersion.create({
+      data: {
+        dailyClosingId: dailyClosing.id,
+        version: dailyClosing.version,
+        snapshot: {
+          ...summary,
+          counts: paymentRows
+            .filter(row => row.countedAmount !== null)
+            .map(row => ({
+              method: row.paymentMethod,
+              expected: roundAmount(row.amount + row.depositAmount),
+              countedAmount: row.countedAmount,
+              variance: row.variance,
+              reason: row.varianceReason
+            })),
+          totalVariance
+        },
+        reason: reason || null,
+        closedById: actor?.id || null
+      }
+    });
+
+    return dailyClosing.id;
+  }, { timeout: CLOSING_TIMEOUT_MS });
+
+  return prisma.dailyClosing.findUnique({
+    where: { id: closingId },
+    include: {
+      riderCollections: {
+        include: {
+          rider: {
+            select: { name: true }
+          },
+          paymentMethods: true
+        }
+      },
+      paymentMethods: true,
+      closedBy: {
+        select: { id: true, email: true }
+      }
+    }
+  });
+}
+
+/**
+ * Reopen a closed day so its orders can be corrected. The day stays
+ * REOPENED (and unlocked) until it is closed again.
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Object} options
+ * @param {Object} options.actor - req.user of the admin reopening the day
+ * @param {string} options.reason - Why the day is reopened (required)
+ * @returns {Promise<Object>} Updated DailyClosing
+ */
+export async function reopenDay(dateStr, { actor, reason } = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw new DomainError('A reason is required to reopen a day', { status: 400, code: 'REOPEN_REASON_REQUIRED' });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await lockPeriod(tx, dateStr, { exclusive: true });
+
+    const closing = await tx.dailyClosing.findUnique({
+      where: { date: toClosingDate(dateStr) }
+    });
+
+    if (!closing) {
+      throw new DomainError(`${dateStr} has not been closed`, { status: 404, code: 'CLOSING_NOT_FOUND' });
+    }
+    if (closing.status === 'REOPENED') {
+      throw new DomainError(`${dateStr} is already reopened`, { status: 409, code: 'PERIOD_ALREADY_OPEN' });
+    }
+
+    await tx.dailyClosingReopening.create({
+      data: {
+        dailyClosingId: closing.id,
+        version: closing.version,
+        reason: String(reason).trim(),
+        reopenedById: actor?.id || null
+      }
+    });
+
+    return tx.dailyClosing.update({
+      where: { id: closing.id },
+      data: { status: 'REOPENED' }
+    });
+  });
+}
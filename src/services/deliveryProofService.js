@@ -0,0 +1,186 @@
+/**
+ * Proof of delivery
+ * When a rider marks an order DELIVERED they send a photo, the receiver's
+ * name, an optional signature image and the GPS position they were at.
+ * Images arrive as base64 data URLs, are written to file storage under random
+ * keys before the delivery transaction and removed again if the delivery
+ * fails; the delivery_proofs row only keeps their storage keys, and they are
+ * only ever read through expiring signed URLs.
+ */
+
+import crypto from 'crypto';
+import { DomainError } from '../utils/errors.js';
+import { parseCoordinate } from '../utils/geo.js';
+import { saveFile, getFileUrl, deleteFile } from './storage/index.js';
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const MAX_SIGNATURE_BYTES = 1024 * 1024;
+
+const invalidProof = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_DELIVERY_PROOF', details });
+
+// Decode a data:image/...;base64,... string into { buffer, contentType, extension }
+const parseImage = (value, field, maxBytes) => {
+  const match = typeof value === 'string' ? value.match(/^data:([\w/+.-]+);base64,(.+)$/s) : null;
+  if (!match) {
+    throw invalidProof(`${field} must be a base64 image data URL`, { field });
+  }
+
+  const contentType = match[1].toLowerCase();
+  if (!IMAGE_TYPES[contentType]) {
+    throw invalidProof(`${field} must be a JPEG, PNG or WebP image`, { field, contentType });
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length === 0) {
+    throw invalidProof(`${field} is empty`, { field });
+  }
+  if (buffer.length > maxBytes) {
+    throw invalidProof(`${field} is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`, { field, size: buffer.length });
+  }
+
+  return { buffer, contentType, extension: IMAGE_TYPES[contentType] };
+};
+
+const requireCoordinate = (value, field, limit) => {
+  const coordinate = parseCoordinate(value, limit);
+  if (coordinate === null) {
+    throw invalidProof(`${field} must be a number between -${limit} and ${limit}`, { field, value });
+  }
+  return coordinate;
+};
+
+/**
+ * Validate the proof of delivery sent with a delivery
+ * @param {Object} proof - { photo, receiverName, signature, latitude, longitude, accuracy } from the request body
+ * @param {Object} actor - req.user of whoever is delivering; riders must send proof, admins may leave it out
+ * @returns {Object|null} Parsed proof, or null when none was sent
+ */
+export function parseDeliveryProof(proof, actor) {
+  if (!proof) {
+    if (actor?.role === 'RIDER') {
+      throw new DomainError('Proof of delivery is required: photo, receiver name and location', {
+        status: 400,
+        code: 'DELIVERY_PROOF_REQUIRED'
+      });
+    }
+    return null;
+  }
+
+  const receiverName = typeof proof.receiverName === 'string' ? proof.receiverName.trim() : '';
+  if (!receiverName) {
+    throw invalidProof('Receiver name is required', { field: 'receiverName' });
+  }
+
+  let accuracy = null;
+  if (proof.accuracy !== undefined && proof.accuracy !== null && proof.accuracy !== '') {
+    accuracy = Number(proof.accuracy);
+    if (isNaN(accuracy) || accuracy < 0) {
+      throw invalidProof('accuracy must be a positive number of meters', { field: 'accuracy', value: proof.accuracy });
+    }
+  }
+
+  return {
+    receiverName,
+    photo: parseImage(proof.photo, 'photo', MAX_PHOTO_BYTES),
+    signature: proof.signature ? parseImage(proof.signature, 'signature', MAX_SIGNATURE_BYTES) : null,
+    latitude: requireCoordinate(proof.latitude, 'latitude', 90),
+    longitude: requireCoordinate(proof.longitude, 'longitude', 180),
+    accuracy
+  };
+}
+
+/**
+ * Write the proof's images to file storage. Call before the delivery
+ * transaction and pass the result to saveDeliveryProof.
+ * @param {string} orderId - Order being delivered
+ * @param {Object} proof - Result of parseDeliveryProof
+ * @returns {Promise<Object>} Proof with photoKey and signatureKey in place of the images
+ */
+export async function storeDeliveryProofFiles(orderId, { photo, signature, ...proof }) {
+  // Random keys so a file's location cannot be guessed from the order
+  const photoKey = await saveFile({
+    key: `delivery-proofs/${orderId}/photo-${crypto.randomUUID()}.${photo.extension}`,
+    buffer: photo.buffer,
+    contentType: photo.contentType
+  });
+
+  let signatureKey = null;
+  if (signature) {
+    try {
+      signatureKey = await saveFile({
+        key: `delivery-proofs/${orderId}/signature-${crypto.randomUUID()}.${signature.extension}`,
+        buffer: signature.buffer,
+        contentType: signature.contentType
+      });
+    } catch (error) {
+      await deleteFile(photoKey);
+      throw error;
+    }
+  }
+
+  return { ...proof, photoKey, signatureKey };
+}
+
+/**
+ * Remove stored proof images when the delivery they were sent with failed
+ * @param {Object} stored - Result of storeDeliveryProofFiles
+ */
+export async function discardDeliveryProofFiles(stored) {
+  if (!stored) return;
+  await deleteFile(stored.photoKey);
+  await deleteFile(stored.signatureKey);
+}
+
+/**
+ * Save the proof of delivery for an order
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId - Order delivered
+ * @param {Object} stored - Result of storeDeliveryProofFiles (null = nothing to save)
+ * @param {Object} actor - req.user of whoever delivered
+ * @returns {Promise<Object|null>} Created delivery proof
+ */
+export async function saveDeliveryProof(tx, orderId, stored, actor) {
+  if (!stored) return null;
+
+  return tx.deliveryProof.create({
+    data: {
+      orderId,
+      receiverName: stored.receiverName,
+      photoKey: stored.photoKey,
+      signatureKey: stored.signatureKey,
+      latitude: stored.latitude,
+      longitude: stored.longitude,
+      accuracy: stored.accuracy,
+      capturedById: actor?.id || null
+    }
+  });
+}
+
+/**
+ * Shape a delivery proof for API responses, with URLs for its images
+ * @param {Object} proof - DeliveryProof row
+ * @returns {Promise<Object|null>} Formatted proof
+ */
+export async function formatDeliveryProof(proof) {
+  if (!proof) return null;
+
+  return {
+    id: proof.id,
+    receiverName: proof.receiverName,
+    photoUrl: await getFileUrl(proof.photoKey),
+    signatureUrl: await getFileUrl(proof.signatureKey),
+    latitude: proof.latitude,
+    longitude: proof.longitude,
+    accuracy: proof.accuracy,
+    mapUrl: `https://www.google.com/maps?q=${proof.latitude},${proof.longitude}`,
+    capturedById: proof.capturedById,
+    capturedAt: proof.createdAt
+  };
+}
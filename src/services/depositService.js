@@ -0,0 +1,304 @@
+/**
+ * Bottle security deposits
+ * Deposits are money we hold for a customer's bottles and give back when they
+ * leave. They are kept in their own append-only table (TAKEN / REFUNDED rows
+ * per bottle category) and never touch Customer.currentBalance, the ledger or
+ * order revenue.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { lockCustomer } from './ledgerService.js';
+import { parsePaymentMethod } from './paymentService.js';
+
+const prisma = new PrismaClient();
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new DomainError('Quantity must be a whole number of 1 or more', {
+      status: 400,
+      code: 'INVALID_DEPOSIT',
+      details: { quantity: value }
+    });
+  }
+  return quantity;
+};
+
+const parseAmount = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount <= 0) {
+    throw new DomainError('Deposit amount must be a positive number', {
+      status: 400,
+      code: 'INVALID_DEPOSIT',
+      details: { amount: value }
+    });
+  }
+  return roundAmount(amount);
+};
+
+const lockExistingCustomer = async (tx, customerId) => {
+  const customer = await lockCustomer(tx, customerId);
+  if (!customer) {
+    throw new DomainError('Customer not found', { status: 404, code: 'CUSTOMER_NOT_FOUND' });
+  }
+  return customer;
+};
+
+/**
+ * Get the deposits a customer holds with us, per bottle category
+ * @param {string} customerId - Customer ID
+ * @param {Object} options
+ * @param {Date} options.at - Only count movements before this point in time
+ * @param {Object} options.client - Prisma client or transaction client
+ * @returns {Promise<Object>} { categories: [{ bottleCategoryId, categoryName, bottlesHeld, amountHeld }], totalBottles, totalHeld }
+ */
+export async function getDepositHoldings(customerId, { at, client = prisma } = {}) {
+  const movements = await client.bottleDeposit.groupBy({
+    by: ['bottleCategoryId', 'categoryName', 'type'],
+    where: {
+      customerId,
+      ...(at ? { createdAt: { lt: at } } : {})
+    },
+    _sum: { quantity: true, amount: true }
+  });
+
+  const holdings = new Map();
+  movements.forEach(movement => {
+    const key = movement.bottleCategoryId || `name:${movement.categoryName}`;
+    if (!holdings.has(key)) {
+      holdings.set(key, {
+        bottleCategoryId: movement.bottleCategoryId,
+        categoryName: movement.categoryName,
+        bottlesHeld: 0,
+        amountHeld: 0
+      });
+    }
+
+    const sign = movement.type === 'TAKEN' ? 1 : -1;
+    const holding = holdings.get(key);
+    holding.bottlesHeld += sign * (movement._sum.quantity || 0);
+    holding.amountHeld = roundAmount(holding.amountHeld + sign * parseFloat(movement._sum.amount || 0));
+  });
+
+  const categories = Array.from(holdings.values())
+    .filter(holding => holding.bottlesHeld !== 0 || holding.amountHeld !== 0);
+
+  return {
+    categories,
+    totalBottles: categories.reduce((sum, holding) => sum + holding.bottlesHeld, 0),
+    totalHeld: roundAmount(categories.reduce((sum, holding) => sum + holding.amountHeld, 0))
+  };
+}
+
+/**
+ * List a customer's deposit movements, newest first
+ * @param {string} customerId - Customer ID
+ * @param {Object} range
+ * @param {Date} range.start - From (UTC, inclusive)
+ * @param {Date} range.end - To (UTC, inclusive)
+ * @returns {Promise<Array<Object>>} BottleDeposit rows with actor email/role
+ */
+export async function listDepositMovements(customerId, { start, end } = {}) {
+  return prisma.bottleDeposit.findMany({
+    where: {
+      customerId,
+      ...(start || end
+        ? {
+            createdAt: {
+              ...(start ? { gte: start } : {}),
+              ...(end ? { lte: end } : {})
+            }
+          }
+        : {})
+    },
+    include: {
+      actor: {
+        select: { email: true, role: true }
+      }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+/**
+ * Total deposits taken and refunded between two points in time (all customers, or one)
+ * @param {Object} range
+ * @param {Date} range.start - From (UTC, inclusive)
+ * @param {Date} range.end - To (UTC, inclusive)
+ * @param {string} range.customerId - Limit to one customer
+ * @returns {Promise<Object>} { taken, refunded, net, byMethod: [{ method, taken, refunded, net }] }
+ */
+export async function summarizeDeposits({ start, end, customerId }) {
+  const totals = await prisma.bottleDeposit.groupBy({
+    by: ['type', 'paymentMethod'],
+    where: {
+      ...(customerId ? { customerId } : {}),
+      createdAt: {
+        gte: start,
+        lte: end
+      }
+    },
+    _sum: { amount: true }
+  });
+
+  const sumOf = (rows, type) => roundAmount(rows
+    .filter(total => total.type === type)
+    .reduce((sum, total) => sum + parseFloat(total._sum.amount || 0), 0));
+
+  const taken = sumOf(totals, 'TAKEN');
+  const refunded = sumOf(totals, 'REFUNDED');
+
+  // Deposit money is in the drawer (or wallet) it was paid with
+  const methods = [...new Set(totals.map(total => total.paymentMethod))];
+  const byMethod = methods.map(method => {
+    const rows = totals.filter(total => total.paymentMethod === method);
+    const methodTaken = sumOf(rows, 'TAKEN');
+    const methodRefunded = sumOf(rows, 'REFUNDED');
+    return { method, taken: methodTaken, refunded: methodRefunded, net: roundAmount(methodTaken - methodRefunded) };
+  });
+
+  return {
+    taken,
+    refunded,
+    net: roundAmount(taken - refunded),
+    byMethod
+  };
+}
+
+/**
+ * Take a deposit from a customer for bottles of one category.
+ * The amount defaults to quantity x the category's deposit per bottle.
+ * @param {Object} deposit
+ * @param {string} deposit.customerId - Customer paying the deposit
+ * @param {string} deposit.bottleCategoryId - Bottle category the deposit is for
+ * @param {number} deposit.quantity - Number of bottles covered
+ * @param {number} deposit.amount - Total amount taken (optional)
+ * @param {string} deposit.paymentMethod - How it was paid
+ * @param {string} deposit.notes - Free text
+ * @param {string} deposit.actorId - User recording the deposit
+ * @returns {Promise<Object>} Created BottleDeposit
+ */
+export async function takeDeposit({ customerId, bottleCategoryId, quantity, amount, paymentMethod = 'CASH', notes, actorId }) {
+  const bottles = parseQuantity(quantity);
+  const requestedAmount = parseAmount(amount);
+  const method = parsePaymentMethod(paymentMethod);
+
+  if (!bottleCategoryId) {
+    throw new DomainError('bottleCategoryId is required', { status: 400, code: 'INVALID_DEPOSIT' });
+  }
+
+  const category = await prisma.bottle_categories.findUnique({
+    where: { id: bottleCategoryId }
+  });
+
+  if (!category) {
+    throw new DomainError('Bottle category not found', { status: 404, code: 'BOTTLE_CATEGORY_NOT_FOUND' });
+  }
+
+  const total = requestedAmount ?? roundAmount(bottles * parseFloat(category.depositAmount));
+  if (total <= 0) {
+    throw new DomainError('No deposit is configured for this bottle category, please send the amount', {
+      status: 400,
+      code: 'INVALID_DEPOSIT',
+      details: { bottleCategoryId }
+    });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await lockExistingCustomer(tx, customerId);
+
+    return tx.bottleDeposit.create({
+      data: {
+        customerId,
+        bottleCategoryId: category.id,
+        categoryName: category.categoryName,
+        type: 'TAKEN',
+        quantity: bottles,
+        amount: total,
+        paymentMethod: method,
+        notes: notes || null,
+        actorId
+      }
+    });
+  });
+}
+
+/**
+ * Refund part or all of the deposit a customer holds for one category.
+ * The amount defaults to the average deposit held per bottle x quantity;
+ * returning the last bottles refunds everything still held, so no deposit is
+ * left behind without bottles.
+ * @param {Object} refund
+ * @param {string} refund.customerId - Customer being refunded
+ * @param {string} refund.bottleCategoryId - Category to refund (or categoryName for a deleted category)
+ * @param {string} refund.categoryName - Category name, used when bottleCategoryId is not sent
+ * @param {number} refund.quantity - Number of bottles returned
+ * @param {number} refund.amount - Total amount refunded (optional)
+ * @param {string} refund.paymentMethod - How it was paid back
+ * @param {string} refund.notes - Free text
+ * @param {string} refund.actorId - User recording the refund
+ * @returns {Promise<Object>} Created BottleDeposit
+ */
+export async function refundDeposit({ customerId, bottleCategoryId, categoryName, quantity, amount, paymentMethod = 'CASH', notes, actorId }) {
+  const bottles = parseQuantity(quantity);
+  const requestedAmount = parseAmount(amount);
+  const method = parsePaymentMethod(paymentMethod);
+
+  if (!bottleCategoryId && !categoryName) {
+    throw new DomainError('bottleCategoryId is required', { status: 400, code: 'INVALID_DEPOSIT' });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Lock first so two refunds cannot both spend the same held deposit
+    await lockExistingCustomer(tx, customerId);
+
+    const { categories } = await getDepositHoldings(customerId, { client: tx });
+    const holding = categories.find(current => bottleCategoryId
+      ? current.bottleCategoryId === bottleCategoryId
+      : !current.bottleCategoryId && current.categoryName === categoryName
+    );
+
+    if (!holding || holding.bottlesHeld < bottles) {
+      throw new DomainError('Cannot refund more bottles than the customer has deposits for', {
+        status: 409,
+        code: 'DEPOSIT_REFUND_EXCEEDS_HELD',
+        details: { bottlesHeld: holding?.bottlesHeld || 0, quantity: bottles }
+      });
+    }
+
+    const total = requestedAmount ?? roundAmount(holding.amountHeld * bottles / holding.bottlesHeld);
+    if (total > holding.amountHeld) {
+      throw new DomainError('Cannot refund more than the deposit held', {
+        status: 409,
+        code: 'DEPOSIT_REFUND_EXCEEDS_HELD',
+        details: { amountHeld: holding.amountHeld, amount: total }
+      });
+    }
+    if (bottles === holding.bottlesHeld && total !== holding.amountHeld) {
+      throw new DomainError(`Returning all ${bottles} bottle(s) refunds the whole deposit of Rs ${holding.amountHeld}`, {
+        status: 400,
+        code: 'DEPOSIT_REFUND_MUST_CLEAR',
+        details: { amountHeld: holding.amountHeld, amount: total }
+      });
+    }
+
+    return tx.bottleDeposit.create({
+      data: {
+        customerId,
+        bottleCategoryId: holding.bottleCategoryId,
+        categoryName: holding.categoryName,
+        type: 'REFUNDED',
+        quantity: bottles,
+        amount: total,
+        paymentMethod: method,
+        notes: notes || null,
+        actorId
+      }
+    });
+  });
+}
@@ -0,0 +1,200 @@
+/**
+ * Customer ledger
+ * Every change to a customer's balance is written here as an append-only
+ * entry (DEBIT = customer owes more, CREDIT = customer owes less) inside the
+ * same transaction as the change. Customer.currentBalance always equals the
+ * balanceAfter of the customer's latest entry.
+ */
+
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+/**
+ * Lock a customer row for the rest of the transaction and return it.
+ * Concurrent balance changes for the same customer wait for each other
+ * instead of overwriting each other's result.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} customerId - Customer ID
+ * @returns {Promise<Object|null>} Customer, or null if it does not exist
+ */
+export async function lockCustomer(tx, customerId) {
+  await tx.$queryRaw`SELECT id FROM customers WHERE id = ${customerId} FOR UPDATE`;
+  return tx.customer.findUnique({ where: { id: customerId } });
+}
+
+/**
+ * Append a balance change to the customer's ledger and update currentBalance.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} entry
+ * @param {string} entry.customerId - Customer whose balance changes
+ * @param {number} entry.change - Signed change: positive = DEBIT, negative = CREDIT
+ * @param {string} entry.source - LedgerSource value
+ * @param {string} entry.orderId - Order that caused the change, if any
+ * @param {string} entry.actorId - User who made the change, if known
+ * @param {string} entry.description - Free text shown on the ledger
+ * @returns {Promise<Object>} { entry, balanceBefore, balanceAfter } (entry is null for a zero change)
+ */
+export async function postLedgerEntry(tx, { customerId, change, source, orderId = null, actorId = null, description = null }) {
+  const customer = await lockCustomer(tx, customerId);
+  if (!customer) {
+    throw new Error(`Customer ${customerId} not found`);
+  }
+
+  const balanceBefore = parseFloat(customer.currentBalance);
+  await ensureOpeningEntry(tx, customer);
+
+  const amount = parseFloat(change) || 0;
+  if (amount === 0) {
+    return { entry: null, balanceBefore, balanceAfter: balanceBefore };
+  }
+
+  const balanceAfter = balanceBefore + amount;
+
+  const entry = await tx.customerLedgerEntry.create({
+    data: {
+      customerId,
+      orderId,
+      actorId,
+      entryType: amount > 0 ? 'DEBIT' : 'CREDIT',
+      source,
+      amount: Math.abs(amount),
+      balanceAfter,
+      description
+    }
+  });
+
+  await tx.customer.update({
+    where: { id: customerId },
+    data: { currentBalance: balanceAfter }
+  });
+
+  return { entry, balanceBefore, balanceAfter };
+}
+
+// Customers that existed before the ledger get one opening entry carrying their balance
+const ensureOpeningEntry = async (tx, customer) => {
+  const existing = await tx.customerLedgerEntry.findFirst({
+    where: { customerId: customer.id },
+    select: { id: true }
+  });
+
+  const balance = parseFloat(customer.currentBalance);
+  if (existing || balance === 0) return;
+
+  await tx.customerLedgerEntry.create({
+    data: {
+      customerId: customer.id,
+      entryType: balance > 0 ? 'DEBIT' : 'CREDIT',
+      source: 'OPENING_BALANCE',
+      amount: Math.abs(balance),
+      balanceAfter: balance,
+      description: 'Balance carried over before ledger'
+    }
+  });
+};
+
+/**
+ * Compare a customer's stored balance with what the ledger says it should be
+ * @param {string} customerId - Customer ID
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Object>} { currentBalance, ledgerBalance, inSync }
+ */
+export async function verifyCustomerBalance(customerId, client = prisma) {
+  const customer = await client.customer.findUnique({
+    where: { id: customerId },
+    select: { currentBalance: true }
+  });
+
+  const totals = await client.customerLedgerEntry.groupBy({
+    by: ['entryType'],
+    where: { customerId },
+    _sum: { amount: true }
+  });
+
+  const debits = parseFloat(totals.find(t => t.entryType === 'DEBIT')?._sum.amount || 0);
+  const credits = parseFloat(totals.find(t => t.entryType === 'CREDIT')?._sum.amount || 0);
+  const currentBalance = parseFloat(customer?.currentBalance || 0);
+  const hasEntries = totals.length > 0;
+
+  // Before a customer's first entry the stored balance is the opening balance
+  const ledgerBalance = hasEntries ? debits - credits : currentBalance;
+
+  return {
+    currentBalance,
+    ledgerBalance,
+    inSync: Math.abs(currentBalance - ledgerBalance) < 0.01
+  };
+}
+
+/**
+ * Get a customer's balance as it stood at a point in time
+ * @param {string} customerId - Customer ID
+ * @param {Date} at - Point in time (UTC)
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<number>} Balance after the last entry before `at`
+ */
+export async function getBalanceAt(customerId, at, client = prisma) {
+  const lastEntry = await client.customerLedgerEntry.findFirst({
+    where: {
+      customerId,
+      createdAt: { lt: at }
+    },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    select: { balanceAfter: true }
+  });
+
+  if (lastEntry) {
+    return parseFloat(lastEntry.balanceAfter);
+  }
+
+  // A customer with no entries at all still carries their pre-ledger balance
+  const anyEntry = await client.customerLedgerEntry.findFirst({
+    where: { customerId },
+    select: { id: true }
+  });
+  if (anyEntry) {
+    return 0;
+  }
+
+  const customer = await client.customer.findUnique({
+    where: { id: customerId },
+    select: { currentBalance: true }
+  });
+  return parseFloat(customer?.currentBalance || 0);
+}
+
+/**
+ * Get every active customer's balance as it stood at a point in time.
+ * Same rules as getBalanceAt, in one query for all customers created before `at`.
+ * @param {Date} at - Point in time (UTC)
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Promise<Array<Object>>} [{ customerId, balance }]
+ */
+export async function getBalancesAt(at, client = prisma) {
+  const rows = await client.$queryRaw`
+    SELECT c.id AS "customerId",
+           c."currentBalance" AS "currentBalance",
+           last_entry."balanceAfter" AS "balanceAfter",
+           EXISTS (SELECT 1 FROM customer_ledger_entries e WHERE e."customerId" = c.id) AS "hasEntries"
+    FROM customers c
+    LEFT JOIN LATERAL (
+      SELECT e."balanceAfter"
+      FROM customer_ledger_entries e
+      WHERE e."customerId" = c.id AND e."createdAt" < ${at}
+      ORDER BY e."createdAt" DESC, e.id DESC
+      LIMIT 1
+    ) last_entry ON true
+    WHERE c."isActive" = true AND c."createdAt" < ${at}`;
+
+  return rows.map(row => {
+    let balance;
+    if (row.balanceAfter !== null) {
+      balance = parseFloat(row.balanceAfter);
+    } else {
+      // No entry yet at `at`: zero, unless the customer still carries a pre-ledger balance
+      balance = row.hasEntries ? 0 : parseFloat(row.currentBalance);
+    }
+    return { customerId: row.customerId, balance };
+  });
+}
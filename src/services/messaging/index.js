@@ -0,0 +1,51 @@
+/**
+ * Customer messaging
+ * Sends SMS/WhatsApp text to customers through a pluggable adapter picked by
+ * MESSAGING_PROVIDER:
+ *   stub    - (default) logs the message; reports it delivered only when
+ *             NODE_ENV is development or test, so an unconfigured server
+ *             never counts a reminder as sent
+ *   webhook - POSTs { channel, to, message } as JSON to MESSAGING_WEBHOOK_URL,
+ *             for an SMS gateway or WhatsApp relay that accepts webhooks;
+ *             gives up after MESSAGING_WEBHOOK_TIMEOUT_MS (default 10s)
+ * An adapter exports send({ channel, to, message }) and resolves to
+ * { delivered, provider, error }.
+ */
+
+import * as stubAdapter from './stubAdapter.js';
+import * as webhookAdapter from './webhookAdapter.js';
+
+const ADAPTERS = {
+  stub: stubAdapter,
+  webhook: webhookAdapter
+};
+
+const getAdapter = () => {
+  const provider = process.env.MESSAGING_PROVIDER || 'stub';
+  const adapter = ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown MESSAGING_PROVIDER "${provider}"`);
+  }
+  return adapter;
+};
+
+/**
+ * Send a text message to a customer. Never throws: failures are returned.
+ * @param {Object} message
+ * @param {string} message.channel - SMS or WHATSAPP
+ * @param {string} message.to - Phone number
+ * @param {string} message.message - Text to send
+ * @returns {Promise<Object>} { delivered, provider, error }
+ */
+export async function sendCustomerMessage({ channel, to, message }) {
+  if (!to) {
+    return { delivered: false, provider: null, error: 'No phone number' };
+  }
+
+  try {
+    return await getAdapter().send({ channel, to, message });
+  } catch (error) {
+    console.error(`Failed to send ${channel} message:`, error);
+    return { delivered: false, provider: process.env.MESSAGING_PROVIDER || 'stub', error: error.message };
+  }
+}
@@ -0,0 +1,16 @@
+/**
+ * Stub messaging adapter: logs instead of sending. Only development and test
+ * count a logged message as delivered; anywhere else nothing reached the
+ * customer, so it is reported as not delivered.
+ */
+
+const DEV_ENVIRONMENTS = ['development', 'test'];
+
+export async function send({ channel, to, message }) {
+  console.log(`📨 [${channel} stub] to ${to}: ${message}`);
+
+  if (!DEV_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+    return { delivered: false, provider: 'stub', error: 'Customer messaging is not configured (set MESSAGING_PROVIDER)' };
+  }
+  return { delivered: true, provider: 'stub', error: null };
+}
@@ -0,0 +1,28 @@
+/**
+ * Webhook messaging adapter: hands the message to an external gateway
+ */
+
+// A gateway that does not answer must not hold up the reminders job
+const getTimeoutMs = () => parseInt(process.env.MESSAGING_WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+
+export async function send({ channel, to, message }) {
+  const url = process.env.MESSAGING_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('MESSAGING_WEBHOOK_URL is not set');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(process.env.MESSAGING_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.MESSAGING_WEBHOOK_TOKEN}` } : {})
+    },
+    body: JSON.stringify({ channel, to, message }),
+    signal: AbortSignal.timeout(getTimeoutMs())
+  });
+
+  if (!response.ok) {
+    return { delivered: false, provider: 'webhook', error: `Gateway responded ${response.status}` };
+  }
+  return { delivered: true, provider: 'webhook', error: null };
+}
@@ -0,0 +1,73 @@
+import { PrismaClient } from '@prisma/client';
+import { sendToUser, sendToMultipleUsers } from './pushService.js';
+import { publishNotification } from './realtimeService.js';
+
+const prisma = new PrismaClient();
+
+// Store an in-app notification and stream it to the user if they are connected
+export const createNotification = async (data) => {
+  const notification = await prisma.notification.create({ data });
+  publishNotification(notification);
+  return notification;
+};
+
+// Create an in-app notification for a user and push it to their devices
+export const notifyUser = async (userId, { title, message, type, data, clickAction }) => {
+  await createNotification({
+    userId,
+    title,
+    message,
+    type,
+    data
+  });
+
+  try {
+    await sendToUser(userId, {
+      title,
+      message,
+      data: {
+        orderId: data?.orderId,
+        type
+      },
+      clickAction
+    });
+  } catch (pushErr) {
+    console.error('Failed to send push notification:', pushErr);
+  }
+};
+
+// Create an in-app notification for every active admin and push it to their devices
+export const notifyAdmins = async ({ title, message, type, data, clickAction }) => {
+  const adminUsers = await prisma.user.findMany({
+    where: { role: 'ADMIN', isActive: true },
+    select: { id: true }
+  });
+
+  const adminUserIds = [];
+  for (const adminUser of adminUsers) {
+    adminUserIds.push(adminUser.id);
+    await createNotification({
+      userId: adminUser.id,
+      title,
+      message,
+      type,
+      data
+    });
+  }
+
+  try {
+    await sendToMultipleUsers(adminUserIds, {
+      title,
+      message,
+      data: {
+        orderId: data?.orderId,
+        type
+      },
+      clickAction
+    });
+  } catch (pushErr) {
+    console.error('Failed to send push notification to admins:', pushErr);
+  }
+
+  return adminUserIds;
+};
@@ -0,0 +1,470 @@
+/**
+ * Order lifecycle
+ * Defines which status changes are legal for each OrderType and the side
+ * effects (customer balance, notifications) attached to each transition.
+ * Every order mutation should go through this module instead of writing
+ * `status` directly.
+ */
+
+import { DomainError } from '../utils/errors.js';
+import { formatAddress } from '../utils/address.js';
+import { notifyUser, notifyAdmins } from './notificationService.js';
+import { publishOrderEvent } from './realtimeService.js';
+import { postLedgerEntry } from './ledgerService.js';
+import { parseEmptiesReturned, recordBottleExchange } from './bottleCustodyService.js';
+import { getMainTenderMethod, parseTenders, recordTenders, sumTenders } from './paymentService.js';
+
+// Allowed transitions per order type: { fromStatus: [toStatus, ...] }
+// ASSIGNED -> ASSIGNED is a reassignment to a different rider.
+export const ORDER_TRANSITIONS = {
+  DELIVERY: {
+    PENDING: ['ASSIGNED', 'CANCELLED'],
+    ASSIGNED: ['ASSIGNED', 'PENDING', 'IN_PROGRESS', 'DELIVERED', 'CANCELLED'],
+    IN_PROGRESS: ['ASSIGNED', 'DELIVERED', 'CANCELLED'],
+    DELIVERED: [],
+    CANCELLED: []
+  },
+  WALKIN: {
+    CREATED: ['COMPLETED', 'CANCELLED'],
+    COMPLETED: [],
+    CANCELLED: []
+  },
+  CLEARBILL: {
+    COMPLETED: []
+  },
+  ENROUTE: {
+    DELIVERED: []
+  }
+};
+
+// Statuses in which the order contents (bottles, amount) may still be edited
+export const EDITABLE_STATUSES = {
+  DELIVERY: ['PENDING', 'ASSIGNED', 'IN_PROGRESS'],
+  WALKIN: ['CREATED'],
+  CLEARBILL: [],
+  ENROUTE: []
+};
+
+export class OrderTransitionError extends DomainError {
+  constructor(order, toStatus, message) {
+    const allowed = getAllowedTransitions(order);
+    super(
+      message || `Cannot move ${order.orderType} order from ${order.status} to ${toStatus}`,
+      {
+        status: 409,
+        code: 'ILLEGAL_ORDER_TRANSITION',
+        details: {
+          orderId: order.id,
+          orderType: order.orderType,
+          from: order.status,
+          to: toStatus,
+          allowed
+        }
+      }
+    );
+    this.name = 'OrderTransitionError';
+  }
+}
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {Object} order - Order with orderType and status
+ * @returns {string[]} Allowed target statuses
+ */
+export function getAllowedTransitions(order) {
+  const transitions = ORDER_TRANSITIONS[order.orderType] || {};
+  return transitions[order.status] || [];
+}
+
+/**
+ * Check whether an order can move to the given status
+ * @param {Object} order - Order with orderType and status
+ * @param {string} toStatus - Target status
+ * @returns {boolean}
+ */
+export function canTransition(order, toStatus) {
+  return getAllowedTransitions(order).includes(toStatus);
+}
+
+/**
+ * Throw an OrderTransitionError if the transition is not allowed
+ * @param {Object} order - Order with orderType and status
+ * @param {string} toStatus - Target status
+ */
+export function assertTransition(order, toStatus) {
+  if (!canTransition(order, toStatus)) {
+    throw new OrderTransitionError(order, toStatus);
+  }
+}
+
+/**
+ * Throw an OrderTransitionError if the order contents can no longer be edited
+ * @param {Object} order - Order with orderType and status
+ */
+export function assertEditable(order) {
+  const editable = EDITABLE_STATUSES[order.orderType] || [];
+  if (!editable.includes(order.status)) {
+    throw new OrderTransitionError(
+      order,
+      order.status,
+      `${order.orderType} order in ${order.status} status can no longer be edited`
+    );
+  }
+}
+
+/**
+ * Work out payment status, receivable and payable for an amount paid against a total
+ * @param {number} total - Amount due on the order (balance snapshot + order amount)
+ * @param {number} paid - Amount received (negative for a refund)
+ * @returns {Object} { paymentStatus, receivable, payable }
+ */
+export function getPaymentSettlement(total, paid) {
+  const remaining = total - paid;
+
+  let paymentStatus = 'NOT_PAID';
+  if (paid === 0) paymentStatus = 'NOT_PAID';
+  else if (paid < 0) paymentStatus = 'REFUND'; // Refund given to customer
+  else if (paid > 0 && paid < total) paymentStatus = 'PARTIAL';
+  else if (paid === total) paymentStatus = 'PAID';
+  else if (paid > total) paymentStatus = 'OVERPAID';
+
+  // Customer owes us when remaining > 0, we owe the customer when remaining < 0
+  let receivable = 0;
+  let payable = 0;
+  if (remaining > 0) {
+    receivable = remaining;
+  } else if (remaining < 0) {
+    payable = Math.abs(remaining);
+  }
+
+  return { paymentStatus, receivable, payable };
+}
+
+// Record payment on the order, credit it to the customer's ledger and
+// hand the bottles over in exchange for the empties collected
+const settleOrder = async (tx, order, { payment = {}, emptiesReturned, actorId }) => {
+  const empties = parseEmptiesReturned(emptiesReturned);
+  const total = parseFloat(order.totalAmount);
+  const tenders = parseTenders(payment);
+  const paid = sumTenders(tenders);
+  const { paymentStatus, receivable, payable } = getPaymentSettlement(total, paid);
+
+  const { entry, balanceBefore } = await postLedgerEntry(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    actorId,
+    change: -paid,
+    source: 'PAYMENT',
+    description: `Payment received on order #${order.id.slice(-4)}`
+  });
+  // Each tender is its own payment so closings count it under its real method
+  await recordTenders(tx, tenders, {
+    customerId: order.customerId,
+    notes: payment.notes,
+    orderId: order.id,
+    riderId: order.riderId,
+    actorId,
+    balanceBefore,
+    ledgerEntryId: entry?.id
+  });
+
+  await recordBottleExchange(tx, {
+    customerId: order.customerId,
+    delivered: order.numberOfBottles,
+    returned: empties
+  });
+
+  return {
+    emptiesReturned: empties,
+    paidAmount: paid,
+    paymentStatus,
+    paymentMethod: getMainTenderMethod(tenders, payment.method),
+    paymentNotes: payment.notes || null,
+    receivable,
+    payable,
+    deliveredAt: new Date()
+  };
+};
+
+// Credit this order's amount back to the customer's ledger
+const revertOrderAmount = async (tx, order, { actorId }) => {
+  await postLedgerEntry(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    actorId,
+    change: -parseFloat(order.currentOrderAmount),
+    source: 'ORDER_CANCELLED',
+    description: `Order #${order.id.slice(-4)} cancelled`
+  });
+
+  return {};
+};
+
+// Balance side effects run inside the transaction, keyed by target status.
+// Each returns extra order fields to persist with the status change.
+const BALANCE_EFFECTS = {
+  DELIVERED: settleOrder,
+  COMPLETED: settleOrder,
+  CANCELLED: revertOrderAmount
+};
+
+/**
+ * Move an order to a new status inside a transaction, applying balance side effects.
+ * The update is conditional on the status the order was read with, so two
+ * concurrent transitions cannot both succeed.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order as currently stored
+ * @param {string} toStatus - Target status
+ * @param {Object} options
+ * @param {Object} options.data - Extra order fields to write (riderId, notes, ...)
+ * @param {Object} options.payment - { amount, method, reference, notes } or { tenders: [{ method, amount, reference }], notes } for DELIVERED/COMPLETED
+ * @param {number} options.emptiesReturned - Empty bottles collected on DELIVERED/COMPLETED
+ * @param {Object} options.actor - req.user of whoever triggered the transition
+ * @param {Object} options.include - Relations to include on the returned order
+ * @returns {Promise<Object>} Updated order
+ */
+export async function transitionOrder(tx, order, toStatus, { data = {}, payment, emptiesReturned, actor, include = { customer: true, rider: true } } = {}) {
+  assertTransition(order, toStatus);
+
+  const { count } = await tx.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: { ...data, status: toStatus }
+  });
+
+  if (count === 0) {
+    throw new OrderTransitionError(order, toStatus, 'Order was changed by someone else, please refresh and try again');
+  }
+
+  const effect = BALANCE_EFFECTS[toStatus];
+  const effectData = effect ? await effect(tx, order, { payment, emptiesReturned, actorId: actor?.id }) : {};
+
+  return tx.order.update({
+    where: { id: order.id },
+    data: effectData,
+    include
+  });
+}
+
+/**
+ * Edit the contents of an open order inside a transaction. When the order amount
+ * changes, only the difference is posted to the customer's ledger.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order as currently stored
+ * @param {Object} data - Order fields to write
+ * @param {Object} options
+ * @param {Object} options.actor - req.user of whoever made the change
+ * @param {Array<Object>} options.items - Priced lines replacing the order's lines, if they changed
+ * @param {Object} options.include - Relations to include on the returned order
+ * @returns {Promise<Object>} Updated order
+ */
+export async function amendOpenOrder(tx, order, data, { actor, items, include = { customer: true, rider: true } } = {}) {
+  assertEditable(order);
+
+  const { count } = await tx.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data
+  });
+
+  if (count === 0) {
+    throw new OrderTransitionError(order, order.status, 'Order was changed by someone else, please refresh and try again');
+  }
+
+  if (items) {
+    await tx.orderItem.deleteMany({ where: { orderId: order.id } });
+    await tx.orderItem.createMany({
+      data: items.map(item => ({ ...item, orderId: order.id }))
+    });
+  }
+
+  if (data.currentOrderAmount !== undefined) {
+    const difference = parseFloat(data.currentOrderAmount) - parseFloat(order.currentOrderAmount);
+    await postLedgerEntry(tx, {
+      customerId: order.customerId,
+      orderId: order.id,
+      actorId: actor?.id,
+      change: difference,
+      source: 'ORDER_AMENDED',
+      description: `Order #${order.id.slice(-4)} amended`
+    });
+  }
+
+  return tx.order.findUnique({
+    where: { id: order.id },
+    include
+  });
+}
+
+// Notify the rider an order was assigned to
+const notifyAssignedRider = async (order, riderUserId) => {
+  const address = formatAddress(order.customer);
+  await notifyUser(riderUserId, {
+    title: 'Naya order',
+    message: `${order.customer.name} ka order - ${order.numberOfBottles} bottle(ain), Rs ${order.totalAmount}, ${address}`,
+    type: 'ORDER_ASSIGNED',
+    data: {
+      orderId: order.id,
+      priority: order.priority,
+      totalAmount: order.totalAmount,
+      numberOfBottles: order.numberOfBottles,
+      customer: {
+        id: order.customerId,
+        name: order.customer.name,
+        phone: order.customer.phone
+      }
+    },
+    clickAction: `/rider/orders/${order.id}`
+  });
+};
+
+// Notify the previous rider that an order was taken off them
+const notifyUnassignedRider = async (order, riderUserId) => {
+  const address = formatAddress(order.customer);
+  await notifyUser(riderUserId, {
+    title: 'Order reassign ho gaya',
+    message: `${order.customer.name} ka order - ${order.numberOfBottles} bottle(ain), Rs ${order.totalAmount}, ab aap se hata diya gaya, ${address}`,
+    type: 'ORDER_REASSIGNED',
+    data: {
+      orderId: order.id,
+      customer: {
+        id: order.customerId,
+        name: order.customer.name,
+        phone: order.customer.phone
+      },
+      numberOfBottles: order.numberOfBottles
+    },
+    clickAction: `/rider/orders/${order.id}`
+  });
+};
+
+const onAssigned = async (order, { previousRider }) => {
+  if (previousRider?.userId && previousRider.id !== order.riderId) {
+    await notifyUnassignedRider(order, previousRider.userId);
+  }
+  if (order.rider?.userId && previousRider?.id !== order.riderId) {
+    await notifyAssignedRider(order, order.rider.userId);
+  }
+};
+
+const onDelivered = async (order) => {
+  // Enroute orders are created already delivered and notify admins themselves
+  if (order.orderType !== 'DELIVERY') return;
+
+  const total = parseFloat(order.totalAmount);
+  const paid = parseFloat(order.paidAmount);
+  await notifyAdmins({
+    title: 'Order deliver ho gaya',
+    message: `${order.customer.name} | ${order.numberOfBottles} bottle(s) | Total Rs ${total} | Received Rs ${paid} | Payment: ${order.paymentStatus}`,
+    type: 'ORDER_DELIVERED',
+    data: {
+      orderId: order.id,
+      customer: {
+        id: order.customerId,
+        name: order.customer.name,
+        phone: order.customer.phone
+      },
+      rider: order.rider ? {
+        id: order.rider.id,
+        name: order.rider.name
+      } : null,
+      paymentAmount: paid,
+      paymentStatus: order.paymentStatus,
+      totalAmount: total,
+      numberOfBottles: order.numberOfBottles,
+      currentOrderAmount: parseFloat(order.currentOrderAmount)
+    },
+    clickAction: `/admin/orders/${order.id}`
+  });
+};
+
+const onCancelled = async (order, { actor }) => {
+  const address = formatAddress(order.customer);
+
+  // Rider cancelled: let the admins know
+  if (actor?.role === 'RIDER') {
+    await notifyAdmins({
+      title: 'Order cancel ho gaya',
+      message: `${order.rider?.name || 'Rider'} ne ${order.customer.name} ka order cancel kar diya - ${order.numberOfBottles} bottle(ain), Rs ${order.totalAmount}, ${address}`,
+      type: 'RIDER_CANCELED_ORDER',
+      data: {
+        orderId: order.id,
+        rider: order.rider ? {
+          id: order.rider.id,
+          name: order.rider.name
+        } : null,
+        customer: {
+          id: order.customerId,
+          name: order.customer.name,
+          phone: order.customer.phone
+        },
+        numberOfBottles: order.numberOfBottles
+      },
+      clickAction: `/admin/orders/${order.id}`
+    });
+    return;
+  }
+
+  // Admin cancelled: let the assigned rider know
+  if (order.rider?.userId) {
+    await notifyUser(order.rider.userId, {
+      title: 'Order cancel ho gaya',
+      message: `${order.customer.name} ka ${order.numberOfBottles} bottle(ain) wala order cancel ho gaya, ${address}`,
+      type: 'SYSTEM_UPDATE',
+      data: {
+        orderId: order.id,
+        customer: {
+          id: order.customerId,
+          name: order.customer.name,
+          phone: order.customer.phone
+        },
+        numberOfBottles: order.numberOfBottles
+      },
+      clickAction: `/rider/orders/${order.id}`
+    });
+  }
+};
+
+// Notification side effects run after the transaction commits, keyed by target status
+const NOTIFICATION_EFFECTS = {
+  ASSIGNED: onAssigned,
+  DELIVERED: onDelivered,
+  CANCELLED: onCancelled
+};
+
+// Order events streamed to connected clients, keyed by target status
+const ORDER_EVENTS_BY_STATUS = {
+  ASSIGNED: 'ORDER_ASSIGNED',
+  DELIVERED: 'ORDER_DELIVERED',
+  CANCELLED: 'ORDER_CANCELLED'
+};
+
+const publishTransition = (order, previousRider) => {
+  const type = ORDER_EVENTS_BY_STATUS[order.status];
+  if (!type) return;
+
+  if (type === 'ORDER_ASSIGNED' && previousRider?.id && previousRider.id !== order.riderId) {
+    publishOrderEvent('ORDER_REASSIGNED', order, { previousRiderId: previousRider.id });
+    return;
+  }
+  publishOrderEvent(type, order);
+};
+
+/**
+ * Send the notifications attached to a transition. Failures are logged, never thrown,
+ * so a notification problem cannot fail a request whose transaction already committed.
+ * @param {Object} order - Updated order including customer and rider
+ * @param {Object} context
+ * @param {Object} context.actor - req.user of whoever triggered the transition
+ * @param {Object} context.previousRider - { id, userId } of the rider before the change
+ */
+export async function notifyTransition(order, { actor, previousRider } = {}) {
+  publishTransition(order, previousRider);
+
+  const effect = NOTIFICATION_EFFECTS[order.status];
+  if (!effect) return;
+
+  try {
+    await effect(order, { actor, previousRider });
+  } catch (notifyErr) {
+    console.error(`Failed to send ${order.status} notifications:`, notifyErr);
+  }
+}
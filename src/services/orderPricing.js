@@ -0,0 +1,195 @@
+/**
+ * Order pricing
+ * Turns the bottle lines a client asks for into priced order items.
+ * Prices always come from bottle_categories (or the price snapshot already
+ * stored on the order), never from the client.
+ */
+
+import { DomainError } from '../utils/errors.js';
+
+const invalidItems = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_ORDER_ITEMS', details });
+
+// Accept either `items: [{ bottleCategoryId, quantity }]` or the single-line
+// `numberOfBottles` + `bottleCategoryId` shape older clients send
+const normalizeRequestedItems = ({ items, numberOfBottles, bottleCategoryId }) => {
+  if (Array.isArray(items)) {
+    return items.map(item => ({
+      id: item.id || null,
+      bottleCategoryId: item.bottleCategoryId || null,
+      quantity: parseInt(item.quantity)
+    }));
+  }
+
+  if (numberOfBottles !== undefined) {
+    return [{ id: null, bottleCategoryId: bottleCategoryId || null, quantity: parseInt(numberOfBottles) }];
+  }
+
+  return [];
+};
+
+// Merge lines for the same category and drop lines with quantity 0
+const mergeLines = (lines) => {
+  const merged = new Map();
+  lines.forEach(line => {
+    const key = line.bottleCategoryId || `line:${line.categoryName}`;
+    if (merged.has(key)) {
+      merged.get(key).quantity += line.quantity;
+    } else {
+      merged.set(key, { ...line });
+    }
+  });
+
+  return Array.from(merged.values())
+    .filter(line => line.quantity > 0)
+    .map(line => ({
+      ...line,
+      lineTotal: line.quantity * line.unitPrice
+    }));
+};
+
+/**
+ * Sum priced lines into the order-level fields
+ * @param {Array<Object>} items - Priced lines
+ * @returns {Object} { numberOfBottles, currentOrderAmount }
+ */
+export function summarizeItems(items) {
+  return {
+    numberOfBottles: items.reduce((sum, item) => sum + item.quantity, 0),
+    currentOrderAmount: items.reduce((sum, item) => sum + item.lineTotal, 0)
+  };
+}
+
+/**
+ * Get an order's lines, synthesising one line for orders created before line items existed
+ * @param {Object} order - Order including `items`
+ * @returns {Array<Object>} Lines with bottleCategoryId, categoryName, quantity and unitPrice
+ */
+export function getOrderLines(order) {
+  if (order.items && order.items.length > 0) {
+    return order.items.map(item => ({
+      id: item.id,
+      bottleCategoryId: item.bottleCategoryId,
+      categoryName: item.categoryName,
+      quantity: item.quantity,
+      unitPrice: parseFloat(item.unitPrice)
+    }));
+  }
+
+  const quantity = order.numberOfBottles || 0;
+  return [{
+    id: null,
+    bottleCategoryId: null,
+    categoryName: 'Bottle',
+    quantity,
+    unitPrice: quantity > 0 ? parseFloat(order.currentOrderAmount) / quantity : 0
+  }];
+}
+
+/**
+ * Apply per-line quantity changes to an order's current lines, leaving lines
+ * that are not mentioned untouched. Used when a rider corrects quantities.
+ * @param {Array<Object>} existingLines - Result of getOrderLines
+ * @param {Object} changes - { items: [{ id | bottleCategoryId, quantity }] } or { numberOfBottles } for single-line orders
+ * @returns {Array<Object>} Full list of lines to pass to resolveOrderItems
+ */
+export function applyQuantityChanges(existingLines, { items, numberOfBottles }) {
+  if (!Array.isArray(items)) {
+    if (existingLines.length !== 1) {
+      throw invalidItems('Order has several lines, send quantities per line in items');
+    }
+    return [{ ...existingLines[0], quantity: parseInt(numberOfBottles) }];
+  }
+
+  const matched = new Set();
+  const lines = existingLines.map(line => {
+    const change = items.find(item =>
+      (item.id && item.id === line.id) ||
+      (item.bottleCategoryId && item.bottleCategoryId === line.bottleCategoryId)
+    );
+    if (!change) return line;
+    matched.add(change);
+    return { ...line, quantity: parseInt(change.quantity) };
+  });
+
+  const unknown = items.filter(item => !matched.has(item));
+  if (unknown.length > 0) {
+    throw invalidItems('Only quantities of existing order lines can be changed', { lines: unknown });
+  }
+
+  return lines;
+}
+
+/**
+ * Price the requested lines from bottle_categories.
+ * Lines for a category already on the order keep that order's unit price snapshot.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} request - { items } or { numberOfBottles, bottleCategoryId }
+ * @param {Object} options
+ * @param {Array<Object>} options.existingLines - Current lines of the order being amended
+ * @returns {Promise<Object>} { items, numberOfBottles, currentOrderAmount }
+ */
+export async function resolveOrderItems(client, request, { existingLines = [] } = {}) {
+  const requested = normalizeRequestedItems(request);
+
+  if (requested.length === 0) {
+    throw invalidItems('At least one order line is required');
+  }
+
+  const badLine = requested.find(line => isNaN(line.quantity) || line.quantity < 0);
+  if (badLine) {
+    throw invalidItems('Quantity must be a whole number of 0 or more', { line: badLine });
+  }
+
+  // A line without a category falls back to the only configured category
+  const categories = await client.bottle_categories.findMany({
+    select: { id: true, categoryName: true, price: true }
+  });
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+
+  const lines = requested.map(line => {
+    const existing = existingLines.find(current =>
+      (line.id && current.id === line.id) ||
+      (line.bottleCategoryId && current.bottleCategoryId === line.bottleCategoryId)
+    );
+    if (existing) {
+      return { ...existing, id: undefined, quantity: line.quantity };
+    }
+
+    // Single-line order being amended without naming a category keeps its line
+    if (!line.bottleCategoryId && !line.id && existingLines.length === 1) {
+      return { ...existingLines[0], id: undefined, quantity: line.quantity };
+    }
+
+    let categoryId = line.bottleCategoryId;
+    if (!categoryId) {
+      if (categories.length !== 1) {
+        throw invalidItems(
+          categories.length === 0
+            ? 'No bottle categories are configured'
+            : 'bottleCategoryId is required for each order line'
+        );
+      }
+      categoryId = categories[0].id;
+    }
+
+    const category = categoriesById.get(categoryId);
+    if (!category) {
+      throw invalidItems('Bottle category not found', { bottleCategoryId: categoryId });
+    }
+
+    return {
+      bottleCategoryId: category.id,
+      categoryName: category.categoryName,
+      quantity: line.quantity,
+      unitPrice: parseFloat(category.price)
+    };
+  });
+
+  const items = mergeLines(lines).map(({ id, ...line }) => line);
+  if (items.length === 0) {
+    throw invalidItems('Order must contain at least one bottle');
+  }
+
+  return { items, ...summarizeItems(items) };
+}
@@ -0,0 +1,194 @@
+/**
+ * Order placement
+ * Creates DELIVERY and WALKIN orders: prices the lines, snapshots the
+ * customer's balance and debits the order to the ledger in one transaction.
+ * Used by the createOrder endpoint and by jobs that place orders on a
+ * customer's behalf (recurring schedules).
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { lockCustomer, postLedgerEntry } from './ledgerService.js';
+import { resolveOrderItems } from './orderPricing.js';
+import { notifyTransition } from './orderLifecycle.js';
+import { pickRiderForArea } from './riderAssignment.js';
+import { notifyAdmins } from './notificationService.js';
+import { publishOrderEvent } from './realtimeService.js';
+import { parseDeliveryWindow } from '../utils/deliveryWindow.js';
+import { checkCreditLimit, parseCreditOverride, recordCreditOverride } from './creditLimitService.js';
+
+const prisma = new PrismaClient();
+
+// 'walkin' stands for the shared Walk-in Customer record
+const findOrderCustomer = async (customerId) => {
+  if (customerId === 'walkin') {
+    return prisma.customer.findFirst({
+      where: { name: 'Walk-in Customer' },
+      select: { id: true, name: true, area: true, currentBalance: true }
+    });
+  }
+
+  return prisma.customer.findUnique({
+    where: { id: customerId },
+    select: { id: true, name: true, area: true, currentBalance: true }
+  });
+};
+
+// Auto-assign found no rider: the order waits as PENDING for an admin
+const notifyNoRiderForArea = async (order, customer) => {
+  try {
+    await notifyAdmins({
+      title: 'Rider assign nahi ho saka',
+      message: `${customer.name} ke area (${customer.area || 'N/A'}) ke liye koi rider available nahi. Order #${order.id.slice(-4)} PENDING hai, rider manually assign karein`,
+      type: 'SYSTEM_UPDATE',
+      data: {
+        orderId: order.id,
+        customerId: customer.id,
+        area: customer.area
+      },
+      clickAction: `/admin/orders/${order.id}`
+    });
+  } catch (notifyErr) {
+    console.error('Failed to send unassigned order notification:', notifyErr);
+  }
+};
+
+/**
+ * Place a new order and notify the assigned rider, if any.
+ * DELIVERY orders start ASSIGNED when a rider is given and PENDING otherwise;
+ * WALKIN orders start CREATED. With autoAssign a DELIVERY order without a rider
+ * goes to the least busy rider covering the customer's area; when no rider
+ * covers it the order stays PENDING and admins are notified.
+ * Orders that take the customer over their credit limit are refused unless an
+ * admin sends creditOverride.
+ * @param {Object} request
+ * @param {string} request.customerId - Customer ID, or 'walkin'
+ * @param {Array<Object>} request.items - [{ bottleCategoryId, quantity }]
+ * @param {number} request.numberOfBottles - Single-line shorthand when items is not sent
+ * @param {string} request.bottleCategoryId - Category for the single-line shorthand
+ * @param {string} request.riderId - Rider to assign (DELIVERY only)
+ * @param {boolean} request.autoAssign - Pick a rider by area and workload when riderId is not given
+ * @param {string} request.orderType - DELIVERY or WALKIN
+ * @param {string} request.priority - LOW, NORMAL, HIGH or URGENT
+ * @param {string} request.notes - Free text
+ * @param {string} request.requestedDeliveryDate - Date the customer wants delivery (YYYY-MM-DD, PKT)
+ * @param {string} request.deliveryWindowStart - Start of the delivery window (HH:MM, PKT)
+ * @param {string} request.deliveryWindowEnd - End of the delivery window (HH:MM, PKT)
+ * @param {Object} request.data - Extra order fields to store (schedule link, ...)
+ * @param {Object} options
+ * @param {Object} options.actor - req.user of whoever placed the order (null for jobs)
+ * @param {Object} options.creditOverride - { reason } to place the order over the credit limit (admins only)
+ * @returns {Promise<Object>} Created order with customer, rider and items
+ */
+export async function placeOrder({
+  customerId,
+  items,
+  numberOfBottles = 1,
+  bottleCategoryId,
+  riderId,
+  autoAssign = false,
+  orderType = 'DELIVERY',
+  priority = 'NORMAL',
+  notes,
+  requestedDeliveryDate,
+  deliveryWindowStart,
+  deliveryWindowEnd,
+  data = {}
+}, { actor, creditOverride } = {}) {
+  const type = orderType.toUpperCase();
+  const override = parseCreditOverride(creditOverride, actor);
+
+  if (type === 'WALKIN' && riderId) {
+    throw new DomainError('Rider ID should not be provided for walk-in orders', { status: 400, code: 'INVALID_ORDER' });
+  }
+
+  const deliveryWindow = parseDeliveryWindow({ requestedDeliveryDate, deliveryWindowStart, deliveryWindowEnd });
+
+  const customer = await findOrderCustomer(customerId);
+  if (!customer) {
+    throw new DomainError('Customer not found', { status: 404, code: 'CUSTOMER_NOT_FOUND' });
+  }
+
+  // Price each line from its bottle category
+  const pricing = await resolveOrderItems(prisma, { items, numberOfBottles, bottleCategoryId });
+  const { currentOrderAmount } = pricing;
+
+  // Auto-assign only fills in a missing rider; an explicit riderId always wins
+  const autoAssigning = type === 'DELIVERY' && !riderId && autoAssign;
+  let assignedRiderId = type === 'DELIVERY' ? riderId || null : null;
+  if (autoAssigning) {
+    const rider = await pickRiderForArea(customer.area);
+    assignedRiderId = rider?.id || null;
+  }
+
+  const order = await prisma.$transaction(async (tx) => {
+    // Lock the customer so the balance snapshot cannot change underneath us
+    const lockedCustomer = await lockCustomer(tx, customer.id);
+    const customerBalance = parseFloat(lockedCustomer.currentBalance);
+    const totalAmount = customerBalance + currentOrderAmount;
+    const pendingOverride = await checkCreditLimit(tx, { customer: lockedCustomer, totalAmount, override });
+
+    // Determine initial status based on order type
+    let initialStatus = 'PENDING';
+    if (type === 'WALKIN') {
+      initialStatus = 'CREATED';
+    } else if (type === 'DELIVERY' && assignedRiderId) {
+      initialStatus = 'ASSIGNED';
+    }
+
+    const newOrder = await tx.order.create({
+      data: {
+        ...deliveryWindow,
+        ...data,
+        customerId: customer.id,
+        totalAmount,
+        currentOrderAmount,
+        customerBalance,
+        notes,
+        priority: priority.toUpperCase(),
+        orderType: type,
+        riderId: assignedRiderId,
+        numberOfBottles: pricing.numberOfBottles,
+        status: initialStatus,
+        items: {
+          create: pricing.items
+        }
+      },
+      include: {
+        customer: true,
+        rider: true,
+        items: true
+      }
+    });
+
+    // Debit the order amount to the customer's ledger
+    await postLedgerEntry(tx, {
+      customerId: customer.id,
+      orderId: newOrder.id,
+      actorId: actor?.id,
+      change: currentOrderAmount,
+      source: 'ORDER',
+      description: `Order #${newOrder.id.slice(-4)} - ${newOrder.numberOfBottles} bottle(s)`
+    });
+
+    await recordCreditOverride(tx, pendingOverride, {
+      customerId: customer.id,
+      orderId: newOrder.id,
+      actor,
+      source: 'ORDER'
+    });
+
+    return newOrder;
+  });
+
+  publishOrderEvent('ORDER_CREATED', order);
+
+  // If assigned to a rider, notify the rider's user
+  await notifyTransition(order, { actor });
+
+  if (autoAssigning && !assignedRiderId) {
+    await notifyNoRiderForArea(order, customer);
+  }
+
+  return order;
+}
@@ -0,0 +1,198 @@
+/**
+ * Overdue payment reminders
+ * Once a day, customers whose balance is above the company's threshold or
+ * has been owed longer than its overdue days get a reminder message, and
+ * their rider and the admins get a PAYMENT_OVERDUE notification. A customer
+ * is not reminded again until the cooldown has passed; a message that did
+ * not go out is tried again on the next run.
+ * Rules live on company_setups (overdueRemindersEnabled, overdueBalanceThreshold,
+ * overdueAfterDays, reminderCooldownDays, reminderChannel).
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { getTodayPktDate } from '../utils/timezone.js';
+import { allocateBalance } from './agingService.js';
+import { notifyUser, notifyAdmins } from './notificationService.js';
+import { sendCustomerMessage } from './messaging/index.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find customers that break the company's overdue rules
+ * @param {Object} rules
+ * @param {number|null} rules.balanceThreshold - Remind when the balance is above this
+ * @param {number|null} rules.overdueAfterDays - Remind when money is owed for longer than this
+ * @returns {Promise<Array<Object>>} [{ customer, balance, oldestDays }]
+ */
+export async function findOverdueCustomers({ balanceThreshold, overdueAfterDays }) {
+  if (balanceThreshold === null && overdueAfterDays === null) return [];
+
+  const asOf = getTodayPktDate();
+  const customers = await prisma.customer.findMany({
+    where: {
+      isActive: true,
+      name: { not: 'Walk-in Customer' },
+      currentBalance: { gt: 0 }
+    },
+    include: {
+      orders: {
+        where: {
+          status: { not: 'CANCELLED' },
+          paymentStatus: { in: ['NOT_PAID', 'PARTIAL'] },
+          currentOrderAmount: { gt: 0 }
+        },
+        orderBy: { createdAt: 'desc' },
+        select: { id: true, riderId: true, createdAt: true, currentOrderAmount: true, paidAmount: true }
+      }
+    }
+  });
+
+  const overdue = [];
+  customers.forEach(customer => {
+    const balance = parseFloat(customer.currentBalance);
+    const portions = allocateBalance(balance, customer.orders, { asOf, fallbackDate: customer.createdAt });
+    const oldestDays = Math.max(...portions.map(portion => portion.days));
+
+    const overThreshold = balanceThreshold !== null && balance > balanceThreshold;
+    const tooOld = overdueAfterDays !== null && oldestDays > overdueAfterDays;
+    if (overThreshold || tooOld) {
+      overdue.push({ customer, balance, oldestDays });
+    }
+  });
+
+  return overdue;
+}
+
+// Rider who last delivered to each customer
+const findCustomerRiders = async (customerIds) => {
+  const orders = await prisma.order.findMany({
+    where: {
+      customerId: { in: customerIds },
+      riderId: { not: null },
+      status: { not: 'CANCELLED' }
+    },
+    distinct: ['customerId'],
+    orderBy: { createdAt: 'desc' },
+    select: {
+      customerId: true,
+      rider: { select: { id: true, name: true, userId: true, isActive: true } }
+    }
+  });
+  return new Map(orders.filter(order => order.rider?.isActive).map(order => [order.customerId, order.rider]));
+};
+
+const customerMessage = (customer, balance, oldestDays, agencyName) =>
+  `Assalam o Alaikum ${customer.name}, aap ka Rs ${balance} ka balance ${oldestDays} din se baqi hai. ` +
+  `Meherbani kar ke jald ada karein. Shukriya - ${agencyName}`;
+
+/**
+ * Send today's overdue payment reminders
+ * @returns {Promise<Object>} { enabled, date, reminded, messaged, messageFailures, inCooldown }
+ */
+export async function runPaymentReminders() {
+  const date = getTodayPktDate();
+  const setup = await prisma.company_setups.findFirst();
+  if (!setup?.overdueRemindersEnabled) {
+    return { enabled: false, date, reminded: 0 };
+  }
+
+  const overdue = await findOverdueCustomers({
+    balanceThreshold: setup.overdueBalanceThreshold !== null ? parseFloat(setup.overdueBalanceThreshold) : null,
+    overdueAfterDays: setup.overdueAfterDays
+  });
+
+  // Skip customers reminded within the cooldown; a message that did not go out does not count
+  const cooldownStart = new Date(Date.now() - setup.reminderCooldownDays * DAY_MS);
+  const recent = await prisma.paymentReminder.findMany({
+    where: {
+      customerId: { in: overdue.map(entry => entry.customer.id) },
+      createdAt: { gte: cooldownStart },
+      ...(setup.reminderChannel ? { delivered: true } : {})
+    },
+    select: { customerId: true },
+    distinct: ['customerId']
+  });
+  const inCooldown = new Set(recent.map(reminder => reminder.customerId));
+  const due = overdue.filter(entry => !inCooldown.has(entry.customer.id));
+
+  const riders = await findCustomerRiders(due.map(entry => entry.customer.id));
+  const byRider = new Map();
+  let messaged = 0;
+  let messageFailures = 0;
+
+  for (const { customer, balance, oldestDays } of due) {
+    let result = null;
+    if (setup.reminderChannel) {
+      const to = setup.reminderChannel === 'WHATSAPP' ? customer.whatsapp || customer.phone : customer.phone;
+      result = await sendCustomerMessage({
+        channel: setup.reminderChannel,
+        to,
+        message: customerMessage(customer, balance, oldestDays, setup.agencyName)
+      });
+      if (result.delivered) messaged += 1;
+      else messageFailures += 1;
+    }
+
+    const rider = riders.get(customer.id);
+    await prisma.paymentReminder.create({
+      data: {
+        customerId: customer.id,
+        balance,
+        oldestDays,
+        channel: setup.reminderChannel,
+        delivered: !!result?.delivered,
+        error: result?.error || null,
+        riderId: rider?.id || null
+      }
+    });
+
+    if (rider) {
+      const list = byRider.get(rider.id) || { rider, customers: [] };
+      list.customers.push({ id: customer.id, name: customer.name, balance, oldestDays });
+      byRider.set(rider.id, list);
+    }
+  }
+
+  // One digest per rider with the customers to collect from
+  for (const { rider, customers } of byRider.values()) {
+    try {
+      const names = customers.slice(0, 5).map(c => `${c.name} (Rs ${c.balance})`).join(', ');
+      const more = customers.length > 5 ? ` + ${customers.length - 5} aur` : '';
+      await notifyUser(rider.userId, {
+        title: 'Payment overdue customers',
+        message: `${customers.length} customer(s) ki payment overdue hai, collection karein: ${names}${more}`,
+        type: 'PAYMENT_OVERDUE',
+        data: { date, customers },
+        clickAction: '/rider/dashboard'
+      });
+    } catch (notifyErr) {
+      console.error('Failed to send overdue reminder to rider:', notifyErr);
+    }
+  }
+
+  if (due.length > 0) {
+    const total = Math.round(due.reduce((sum, entry) => sum + entry.balance, 0) * 100) / 100;
+    await notifyAdmins({
+      title: 'Payment overdue reminders',
+      message: `${due.length} customer(s) ko payment reminder bheja gaya, total baqi Rs ${total}`,
+      type: 'PAYMENT_OVERDUE',
+      data: {
+        date,
+        customerIds: due.map(entry => entry.customer.id),
+        totalOverdue: total
+      },
+      clickAction: '/admin/reports/aging'
+    });
+  }
+
+  return {
+    enabled: true,
+    date,
+    reminded: due.length,
+    messaged,
+    messageFailures,
+    inCooldown: inCooldown.size
+  };
+}
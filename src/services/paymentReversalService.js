@@ -0,0 +1,319 @@
+/**
+ * Payment reversals and refunds
+ * A wrongly recorded payment is voided, never deleted: the original is marked
+ * voided and a REVERSAL payment for the opposite amount is recorded today, so
+ * a day that is already closed keeps its figures and today's closing shows
+ * the correction. Paying out a customer's payable balance is a REFUND payment
+ * (a negative amount). Both move the balance through the ledger and keep who
+ * did it and why.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { lockCustomer, postLedgerEntry } from './ledgerService.js';
+import { getPaymentSettlement } from './orderLifecycle.js';
+import { ensureLegacyPayment, getMainTenderMethod, parsePaymentMethod } from './paymentService.js';
+import { notifyUser } from './notificationService.js';
+
+const prisma = new PrismaClient();
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const requireReason = (reason, code, action) => {
+  const text = typeof reason === 'string' ? reason.trim() : '';
+  if (!text) {
+    throw new DomainError(`A reason is required to ${action}`, { status: 400, code });
+  }
+  return text;
+};
+
+// Tell the rider who handled the money; a failed notification does not undo the change
+const notifyRider = async (riderId, notification) => {
+  if (!riderId) return;
+  try {
+    const rider = await prisma.riderProfile.findUnique({
+      where: { id: riderId },
+      select: { userId: true }
+    });
+    if (rider) {
+      await notifyUser(rider.userId, notification);
+    }
+  } catch (notifyErr) {
+    console.error('Failed to send payment notification to rider:', notifyErr);
+  }
+};
+
+// Mark a payment voided and record its REVERSAL (or CORRECTION) today with mirrored allocations.
+// Does not touch the ledger or the order.
+const reversePayment = async (tx, payment, { actor, reason, type = 'REVERSAL', ledgerEntryId = null }) => {
+  // Conditional on voidedAt so the same payment cannot be voided twice
+  const { count } = await tx.payment.updateMany({
+    where: { id: payment.id, voidedAt: null },
+    data: { voidedAt: new Date(), voidedById: actor?.id || null, voidReason: reason }
+  });
+  if (count === 0) {
+    throw new DomainError('Payment has already been voided', { status: 409, code: 'PAYMENT_ALREADY_VOIDED' });
+  }
+
+  return tx.payment.create({
+    data: {
+      customerId: payment.customerId,
+      orderId: payment.orderId,
+      riderId: payment.riderId,
+      collectedById: actor?.id || null,
+      type,
+      method: payment.method,
+      amount: -parseFloat(payment.amount),
+      reference: payment.reference,
+      notes: reason,
+      reversalOfId: payment.id,
+      ledgerEntryId,
+      allocations: {
+        create: payment.allocations.map(allocation => ({
+          orderId: allocation.orderId,
+          amount: -parseFloat(allocation.amount)
+        }))
+      }
+    },
+    include: { allocations: true }
+  });
+};
+
+/**
+ * Void a payment. Legacy order payments can be voided by the order ID they are listed under.
+ * @param {string} paymentId - Payment ID (or order ID of a legacy payment)
+ * @param {Object} options
+ * @param {Object} options.actor - Admin voiding the payment
+ * @param {string} options.reason - Why the payment is voided (required)
+ * @returns {Promise<Object>} { payment, reversal, order }
+ */
+export async function voidPayment(paymentId, { actor, reason } = {}) {
+  const voidReason = requireReason(reason, 'VOID_REASON_REQUIRED', 'void a payment');
+
+  const result = await prisma.$transaction(async (tx) => {
+    let payment = await tx.payment.findUnique({
+      where: { id: paymentId },
+      include: { allocations: true }
+    });
+    if (!payment) {
+      // Legacy order payments are listed under their order's ID
+      const order = await tx.order.findUnique({ where: { id: paymentId } });
+      payment = order ? await ensureLegacyPayment(tx, order) : null;
+    }
+
+    if (!payment) {
+      throw new DomainError('Payment not found', { status: 404, code: 'PAYMENT_NOT_FOUND' });
+    }
+    if (payment.type === 'REVERSAL' || payment.type === 'CORRECTION') {
+      throw new DomainError('A reversal cannot be voided', { status: 409, code: 'PAYMENT_NOT_VOIDABLE' });
+    }
+
+    const amount = parseFloat(payment.amount);
+    const { entry } = await postLedgerEntry(tx, {
+      customerId: payment.customerId,
+      orderId: payment.orderId,
+      actorId: actor?.id,
+      change: amount,
+      source: 'PAYMENT_VOIDED',
+      description: `Payment of Rs ${amount} voided - ${voidReason}`
+    });
+
+    const reversal = await reversePayment(tx, payment, { actor, reason: voidReason, ledgerEntryId: entry?.id });
+
+    // The order no longer counts the money as paid
+    let order = null;
+    if (payment.orderId) {
+      const current = await tx.order.findUnique({ where: { id: payment.orderId } });
+      const paid = roundAmount(parseFloat(current.paidAmount) - amount);
+      order = await tx.order.update({
+        where: { id: current.id },
+        data: {
+          paidAmount: paid,
+          ...getPaymentSettlement(parseFloat(current.totalAmount), paid)
+        }
+      });
+    }
+
+    const voided = await tx.payment.findUnique({
+      where: { id: payment.id },
+      include: { allocations: true }
+    });
+    return { payment: voided, reversal, order };
+  });
+
+  const { payment } = result;
+  const orderLabel = payment.orderId ? ` (order #${payment.orderId.slice(-4)})` : '';
+  await notifyRider(payment.riderId, {
+    title: 'Payment void ho gayi',
+    message: `Rs ${parseFloat(payment.amount)} ki ${payment.method} payment${orderLabel} void kar di gayi hai - ${voidReason}`,
+    type: 'PAYMENT_VOIDED',
+    data: {
+      paymentId: payment.id,
+      reversalId: result.reversal.id,
+      orderId: payment.orderId,
+      amount: parseFloat(payment.amount),
+      reason: voidReason
+    },
+    clickAction: payment.orderId ? `/rider/orders/${payment.orderId}` : '/rider/dashboard'
+  });
+
+  return result;
+}
+
+/**
+ * Correct the method of payments taken on an order, inside a transaction.
+ * Payments are never rewritten: each one with another method is voided with a
+ * CORRECTION and taken again with the right method, both dated today, so closed
+ * days keep their figures. The amounts cancel out, so the ledger and the
+ * order's paidAmount do not change.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId - Order the payments were taken with
+ * @param {string} method - Correct PaymentMethod
+ * @param {Object} options
+ * @param {Object} options.actor - Admin making the correction
+ * @param {string} options.paymentId - Only correct this payment (one tender of a split payment)
+ * @returns {Promise<Object>} { corrected: [{ reversal, payment }], mainMethod } (mainMethod = method most of the order's money is now in)
+ */
+export async function correctPaymentMethod(tx, orderId, method, { actor, paymentId } = {}) {
+  const live = await tx.payment.findMany({
+    where: { orderId, type: 'PAYMENT', voidedAt: null },
+    include: { allocations: true },
+    orderBy: { receivedAt: 'asc' }
+  });
+
+  const targets = paymentId ? live.filter(payment => payment.id === paymentId) : live;
+  if (paymentId && targets.length === 0) {
+    throw new DomainError('Payment not found on this order', { status: 404, code: 'PAYMENT_NOT_FOUND', details: { paymentId } });
+  }
+
+  const corrected = [];
+  for (const payment of targets.filter(target => target.method !== method)) {
+    const reason = `Payment method corrected from ${payment.method} to ${method}`;
+    const reversal = await reversePayment(tx, payment, { actor, reason, type: 'CORRECTION' });
+    const replacement = await tx.payment.create({
+      data: {
+        customerId: payment.customerId,
+        orderId: payment.orderId,
+        riderId: payment.riderId,
+        collectedById: actor?.id || null,
+        method,
+        amount: parseFloat(payment.amount),
+        reference: payment.reference,
+        notes: reason,
+        allocations: {
+          create: payment.allocations.map(allocation => ({
+            orderId: allocation.orderId,
+            amount: parseFloat(allocation.amount)
+          }))
+        }
+      },
+      include: { allocations: true }
+    });
+    corrected.push({ reversal, payment: replacement });
+  }
+
+  const correctedIds = new Set(corrected.map(({ reversal }) => reversal.reversalOfId));
+  const remaining = [
+    ...live.filter(payment => !correctedIds.has(payment.id)),
+    ...corrected.map(({ payment }) => payment)
+  ].map(payment => ({ method: payment.method, amount: parseFloat(payment.amount) }));
+
+  return { corrected, mainMethod: getMainTenderMethod(remaining, method) };
+}
+
+/**
+ * Pay out (part of) a customer's payable balance
+ * @param {Object} refund
+ * @param {string} refund.customerId - Customer being paid back
+ * @param {number} refund.amount - Amount paid out, defaults to the whole payable balance
+ * @param {string} refund.method - PaymentMethod the money went out with
+ * @param {string} refund.reference - Wallet transaction ID, cheque number, ...
+ * @param {string} refund.reason - Why the refund is paid (required)
+ * @param {string} refund.riderId - Rider handing the money over, if any
+ * @param {Object} options
+ * @param {Object} options.actor - Admin issuing the refund
+ * @returns {Promise<Object>} { payment, balance }
+ */
+export async function refundPayableBalance({ customerId, amount, method, reference, reason, riderId }, { actor } = {}) {
+  const refundReason = requireReason(reason, 'REFUND_REASON_REQUIRED', 'refund a customer');
+  const refundMethod = parsePaymentMethod(method);
+
+  if (riderId) {
+    const rider = await prisma.riderProfile.findUnique({ where: { id: riderId }, select: { id: true } });
+    if (!rider) {
+      throw new DomainError('Rider not found', { status: 404, code: 'RIDER_NOT_FOUND' });
+    }
+  }
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Lock the customer so the payable balance cannot change underneath us
+    const customer = await lockCustomer(tx, customerId || '');
+    if (!customer) {
+      throw new DomainError('Customer not found', { status: 404, code: 'CUSTOMER_NOT_FOUND' });
+    }
+
+    const payable = roundAmount(-parseFloat(customer.currentBalance));
+    if (payable <= 0) {
+      throw new DomainError(`${customer.name} has no payable balance to refund`, {
+        status: 409,
+        code: 'NO_PAYABLE_BALANCE',
+        details: { balance: parseFloat(customer.currentBalance) }
+      });
+    }
+
+    const refunded = amount === undefined || amount === null || amount === '' ? payable : roundAmount(parseFloat(amount));
+    if (isNaN(refunded) || refunded <= 0) {
+      throw new DomainError('Refund amount must be a positive number', { status: 400, code: 'INVALID_REFUND' });
+    }
+    if (refunded > payable) {
+      throw new DomainError(`Refund of Rs ${refunded} is more than the payable balance of Rs ${payable}`, {
+        status: 400,
+        code: 'REFUND_EXCEEDS_PAYABLE',
+        details: { amount: refunded, payable }
+      });
+    }
+
+    const { entry, balanceAfter } = await postLedgerEntry(tx, {
+      customerId: customer.id,
+      actorId: actor?.id,
+      change: refunded,
+      source: 'REFUND',
+      description: `Refund paid out - ${refundReason}`
+    });
+
+    const payment = await tx.payment.create({
+      data: {
+        customerId: customer.id,
+        riderId: riderId || null,
+        collectedById: actor?.id || null,
+        type: 'REFUND',
+        method: refundMethod,
+        amount: -refunded,
+        reference: reference ? String(reference).trim() : null,
+        notes: refundReason,
+        ledgerEntryId: entry?.id,
+        allocations: {
+          create: [{ orderId: null, amount: -refunded }]
+        }
+      },
+      include: { allocations: true }
+    });
+
+    return { payment, customer, balance: balanceAfter };
+  });
+
+  await notifyRider(riderId, {
+    title: 'Customer ko refund dena hai',
+    message: `${result.customer.name} ko Rs ${-parseFloat(result.payment.amount)} ${refundMethod} refund dena hai - ${refundReason}`,
+    type: 'PAYMENT_REFUNDED',
+    data: {
+      paymentId: result.payment.id,
+      customerId: result.customer.id,
+      amount: -parseFloat(result.payment.amount),
+      reason: refundReason
+    },
+    clickAction: '/rider/dashboard'
+  });
+
+  return { payment: result.payment, balance: result.balance };
+}
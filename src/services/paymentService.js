@@ -0,0 +1,492 @@
+/**
+ * Payments
+ * Every amount received from (or paid back to) a customer is a Payment with
+ * its method, reference (wallet transaction ID, cheque number, ...) and who
+ * collected it. A payment is allocated to the customer's open orders, oldest
+ * first after the order it was taken with; whatever is left sits on the
+ * customer's account. The ledger entry is still what moves the balance:
+ * callers post it, then record the Payment describing how the money came in.
+ *
+ * Orders paid before payments were recorded only carry paidAmount. They are
+ * read as legacy payments (on the day the order was created, as the closings
+ * always counted them) until they are touched, when ensureLegacyPayment turns
+ * them into a Payment.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+
+const prisma = new PrismaClient();
+
+export const PAYMENT_METHODS = ['CASH', 'CARD', 'BANK_TRANSFER', 'JAZZCASH', 'EASYPAISA', 'NAYA_PAY', 'SADAPAY'];
+
+const OPEN_PAYMENT_STATUSES = ['NOT_PAID', 'PARTIAL'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const invalidPayment = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_PAYMENT', details });
+
+/**
+ * Validate a payment method
+ * @param {string} value - Method name (any case), defaults to CASH
+ * @returns {string} PaymentMethod value
+ */
+export function parsePaymentMethod(value) {
+  const method = String(value || 'CASH').toUpperCase();
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw invalidPayment(`paymentMethod must be one of ${PAYMENT_METHODS.join(', ')}`, { paymentMethod: value });
+  }
+  return method;
+}
+
+/**
+ * Validate the tenders a payment was made with. Without a tenders list the
+ * single paymentAmount/paymentMethod fields make one tender.
+ * @param {Object} payment
+ * @param {Array<Object>} payment.tenders - [{ method, amount, reference }]
+ * @param {number} payment.amount - Single amount (negative for a refund)
+ * @param {string} payment.method - Single method
+ * @param {string} payment.reference - Single reference
+ * @returns {Array<Object>} [{ method, amount, reference }], empty when nothing was paid
+ */
+export function parseTenders({ tenders, amount, method, reference } = {}) {
+  if (tenders === undefined || tenders === null) {
+    const value = roundAmount(parseFloat(amount || 0));
+    if (isNaN(value)) {
+      throw invalidPayment('paymentAmount must be a number', { paymentAmount: amount });
+    }
+    return value === 0 ? [] : [{ method: parsePaymentMethod(method), amount: value, reference: reference || null }];
+  }
+
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    throw invalidPayment('tenders must list at least one { method, amount, reference }');
+  }
+
+  return tenders.map(tender => {
+    const value = parseFloat(tender?.amount);
+    if (isNaN(value) || value <= 0) {
+      throw invalidPayment('Each tender amount must be a positive number', { tender });
+    }
+    return {
+      method: parsePaymentMethod(tender.method),
+      amount: roundAmount(value),
+      reference: tender.reference ? String(tender.reference).trim() : null
+    };
+  });
+}
+
+/**
+ * Total of a list of tenders
+ * @param {Array<Object>} tenders - Result of parseTenders
+ * @returns {number}
+ */
+export function sumTenders(tenders) {
+  return roundAmount(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+}
+
+/**
+ * Method shown on the order for a split payment: the one most of the money came in with
+ * @param {Array<Object>} tenders - Result of parseTenders
+ * @param {string} fallback - Method when nothing was paid
+ * @returns {string} PaymentMethod value
+ */
+export function getMainTenderMethod(tenders, fallback = 'CASH') {
+  if (tenders.length === 0) return parsePaymentMethod(fallback);
+  return tenders.reduce((main, tender) => (Math.abs(tender.amount) > Math.abs(main.amount) ? tender : main)).method;
+}
+
+/**
+ * Record each tender as its own payment. The ledger entry for the total must
+ * already be posted; balanceBefore is the balance before it and ledgerEntryId its ID.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<Object>} tenders - Result of parseTenders
+ * @param {Object} payment - Fields shared by every tender (see recordPayment)
+ * @returns {Promise<Array<Object>>} Created payments
+ */
+export async function recordTenders(tx, tenders, { balanceBefore, ...payment }) {
+  const payments = [];
+  let balance = balanceBefore;
+  for (const tender of tenders) {
+    payments.push(await recordPayment(tx, { ...payment, ...tender, balanceBefore: balance }));
+    if (balance !== undefined) balance = roundAmount(balance - tender.amount);
+  }
+  return payments;
+}
+
+// What is still unpaid on each candidate order. Orders with allocations owe
+// their amount minus the allocations; legacy orders owe what paidAmount did not cover.
+const getOpenOrders = async (tx, customerId, firstOrderId) => {
+  const orders = await tx.order.findMany({
+    where: {
+      customerId,
+      status: { not: 'CANCELLED' },
+      currentOrderAmount: { gt: 0 },
+      OR: [
+        { paymentStatus: { in: OPEN_PAYMENT_STATUSES } },
+        ...(firstOrderId ? [{ id: firstOrderId }] : [])
+      ]
+    },
+    orderBy: { createdAt: 'asc' },
+    select: {
+      id: true,
+      currentOrderAmount: true,
+      paidAmount: true,
+      paymentAllocations: { select: { amount: true } }
+    }
+  });
+
+  return orders
+    .map(order => {
+      const amount = parseFloat(order.currentOrderAmount);
+      const settled = order.paymentAllocations.length > 0
+        ? order.paymentAllocations.reduce((sum, allocation) => sum + parseFloat(allocation.amount), 0)
+        : Math.min(Math.max(parseFloat(order.paidAmount), 0), amount);
+      return { id: order.id, outstanding: roundAmount(amount - settled) };
+    })
+    .filter(order => order.outstanding > 0)
+    // The order the payment was taken with is settled first
+    .sort((a, b) => (b.id === firstOrderId) - (a.id === firstOrderId));
+};
+
+// Spread a payment over open orders; only what the customer actually owes can
+// settle orders, the rest goes to the account
+const autoAllocate = async (tx, { customerId, amount, orderId, balanceBefore }) => {
+  if (amount < 0) {
+    return [{ orderId: orderId || null, amount }];
+  }
+
+  const allocations = [];
+  let remaining = amount;
+  let owed = balanceBefore === undefined ? amount : Math.max(roundAmount(balanceBefore), 0);
+
+  for (const order of await getOpenOrders(tx, customerId, orderId)) {
+    if (remaining <= 0 || owed <= 0) break;
+    const portion = roundAmount(Math.min(order.outstanding, remaining, owed));
+    allocations.push({ orderId: order.id, amount: portion });
+    remaining = roundAmount(remaining - portion);
+    owed = roundAmount(owed - portion);
+  }
+
+  if (remaining > 0) {
+    allocations.push({ orderId: null, amount: remaining });
+  }
+  return allocations;
+};
+
+// Allocations sent by the client: [{ orderId, amount }], orderId null/omitted = customer account
+const parseAllocations = async (tx, allocations, { customerId, amount }) => {
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    throw invalidPayment('allocations must list at least one { orderId, amount }');
+  }
+
+  const parsed = allocations.map(allocation => {
+    const portion = parseFloat(allocation?.amount);
+    if (isNaN(portion) || portion <= 0) {
+      throw invalidPayment('Each allocation amount must be a positive number', { allocation });
+    }
+    return { orderId: allocation.orderId || null, amount: roundAmount(portion) };
+  });
+
+  const total = roundAmount(parsed.reduce((sum, allocation) => sum + allocation.amount, 0));
+  if (total !== roundAmount(amount)) {
+    throw invalidPayment(`Allocations add up to Rs ${total} but the payment is Rs ${amount}`, { allocated: total, amount });
+  }
+
+  const orderIds = parsed.filter(allocation => allocation.orderId).map(allocation => allocation.orderId);
+  const orders = await tx.order.findMany({
+    where: { id: { in: orderIds }, customerId, status: { not: 'CANCELLED' } },
+    select: { id: true }
+  });
+  const found = new Set(orders.map(order => order.id));
+  const unknown = orderIds.filter(id => !found.has(id));
+  if (unknown.length > 0) {
+    throw invalidPayment('Payments can only be allocated to the customer\'s own open orders', { orderIds: unknown });
+  }
+
+  return parsed;
+};
+
+/**
+ * Record a payment and its allocations. Does not touch the balance: post the
+ * ledger entry first and pass its balanceBefore.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} payment
+ * @param {string} payment.customerId - Customer paying (or being paid back)
+ * @param {number} payment.amount - Amount received; negative when money is paid out
+ * @param {string} payment.method - PaymentMethod
+ * @param {string} payment.reference - Wallet transaction ID, cheque number, ...
+ * @param {string} payment.notes - Free text
+ * @param {string} payment.orderId - Order the payment was taken with
+ * @param {string} payment.riderId - Rider who collected the money
+ * @param {string} payment.actorId - User who recorded the payment
+ * @param {Array<Object>} payment.allocations - [{ orderId, amount }]; worked out from the open orders when not sent
+ * @param {number} payment.balanceBefore - Customer balance before the payment was credited
+ * @param {string} payment.ledgerEntryId - Ledger entry that moved the balance for this payment
+ * @param {Date} payment.receivedAt - When the money was received, defaults to now
+ * @returns {Promise<Object|null>} Payment with allocations, or null for a zero amount
+ */
+export async function recordPayment(tx, {
+  customerId,
+  amount,
+  method = 'CASH',
+  reference = null,
+  notes = null,
+  orderId = null,
+  riderId = null,
+  actorId = null,
+  allocations,
+  balanceBefore,
+  ledgerEntryId = null,
+  receivedAt
+}) {
+  const value = roundAmount(parseFloat(amount) || 0);
+  if (value === 0) return null;
+
+  const lines = allocations !== undefined && allocations !== null
+    ? await parseAllocations(tx, allocations, { customerId, amount: value })
+    : await autoAllocate(tx, { customerId, amount: value, orderId, balanceBefore });
+
+  return tx.payment.create({
+    data: {
+      customerId,
+      orderId,
+      riderId,
+      collectedById: actorId,
+      method: parsePaymentMethod(method),
+      amount: value,
+      reference: reference ? String(reference).trim() : null,
+      notes: notes || null,
+      ledgerEntryId,
+      ...(receivedAt ? { receivedAt } : {}),
+      allocations: {
+        create: lines
+      }
+    },
+    include: { allocations: true }
+  });
+}
+
+/**
+ * Turn a legacy order's paidAmount into a Payment so it can be corrected or
+ * voided like any other. The balance already reflects it, so nothing is posted.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order as stored
+ * @returns {Promise<Object|null>} Created payment, or null when there was nothing to convert
+ */
+export async function ensureLegacyPayment(tx, order) {
+  const paid = parseFloat(order.paidAmount);
+  if (paid === 0 || order.status === 'CANCELLED') return null;
+
+  const existing = await tx.payment.findFirst({
+    where: { orderId: order.id },
+    select: { id: true }
+  });
+  if (existing) return null;
+
+  return tx.payment.create({
+    data: {
+      customerId: order.customerId,
+      orderId: order.id,
+      riderId: order.riderId,
+      method: order.paymentMethod || 'CASH',
+      amount: paid,
+      notes: order.paymentNotes || null,
+      receivedAt: order.createdAt,
+      allocations: {
+        create: [{ orderId: paid > 0 ? order.id : null, amount: paid }]
+      }
+    },
+    include: { allocations: true }
+  });
+}
+
+/**
+ * Money collected in a time range, one row per payment. Legacy orders
+ * (paidAmount without payments) are included on the day they were created.
+ * @param {Object} range
+ * @param {Date} range.start - From (UTC, inclusive); omit for everything before `end`
+ * @param {Date} range.end - To (UTC, inclusive)
+ * @param {Object} filters
+ * @param {Array<string>} filters.riderIds - Only money collected by these riders
+ * @param {string} filters.method - Only this payment method
+ * @returns {Promise<Array<Object>>} [{ paymentId, type, orderId, riderId, method, amount, orderType, legacy }]
+ */
+export async function listCollections({ start, end }, { riderIds, method } = {}) {
+  const timeRange = { ...(start ? { gte: start } : {}), lte: end };
+  const riderFilter = riderIds ? { riderId: { in: riderIds } } : {};
+
+  const payments = await prisma.payment.findMany({
+    where: {
+      receivedAt: timeRange,
+      ...riderFilter,
+      ...(method ? { method } : {})
+    },
+    select: {
+      id: true,
+      type: true,
+      orderId: true,
+      riderId: true,
+      method: true,
+      amount: true,
+      order: { select: { orderType: true } }
+    }
+  });
+
+  const legacyOrders = await prisma.order.findMany({
+    where: {
+      createdAt: timeRange,
+      status: { not: 'CANCELLED' },
+      paidAmount: { not: 0 },
+      payments: { none: {} },
+      ...riderFilter,
+      // Orders without a payment method were collected in cash
+      ...(method === 'CASH' ? { OR: [{ paymentMethod: 'CASH' }, { paymentMethod: null }] } : method ? { paymentMethod: method } : {})
+    },
+    select: { id: true, riderId: true, paymentMethod: true, paidAmount: true, orderType: true }
+  });
+
+  return [
+    ...payments.map(payment => ({
+      paymentId: payment.id,
+      type: payment.type,
+      orderId: payment.orderId,
+      riderId: payment.riderId,
+      method: payment.method,
+      amount: parseFloat(payment.amount),
+      orderType: payment.order?.orderType || null,
+      legacy: false
+    })),
+    ...legacyOrders.map(order => ({
+      paymentId: null,
+      type: 'PAYMENT',
+      orderId: order.id,
+      riderId: order.riderId,
+      method: order.paymentMethod || 'CASH',
+      amount: parseFloat(order.paidAmount),
+      orderType: order.orderType,
+      legacy: true
+    }))
+  ];
+}
+
+/**
+ * Format a payment for API responses
+ * @param {Object} payment - Payment with customer, order, rider, collectedBy and allocations (when loaded)
+ * @returns {Object} Payment with numbers instead of decimals
+ */
+export function formatPayment(payment) {
+  return {
+    id: payment.id,
+    customerId: payment.customerId,
+    customer: payment.customer?.name,
+    phone: payment.customer?.phone,
+    orderId: payment.orderId,
+    order: payment.order ? {
+      id: `#${payment.order.id.slice(-4)}`,
+      orderType: payment.order.orderType,
+      totalAmount: parseFloat(payment.order.totalAmount),
+      paymentStatus: payment.order.paymentStatus.toLowerCase()
+    } : null,
+    rider: payment.rider?.name || null,
+    collectedBy: payment.collectedBy ? { id: payment.collectedBy.id, email: payment.collectedBy.email } : null,
+    type: payment.type,
+    method: payment.method,
+    amount: parseFloat(payment.amount),
+    reference: payment.reference,
+    notes: payment.notes,
+    reversalOfId: payment.reversalOfId,
+    voidedAt: payment.voidedAt,
+    voidReason: payment.voidReason,
+    allocations: (payment.allocations || []).map(allocation => ({
+      orderId: allocation.orderId,
+      amount: parseFloat(allocation.amount)
+    })),
+    receivedAt: payment.receivedAt
+  };
+}
+
+// A legacy order listed like a payment
+const formatLegacyPayment = (order) => ({
+  id: order.id,
+  customerId: order.customerId,
+  customer: order.customer?.name,
+  phone: order.customer?.phone,
+  orderId: order.id,
+  order: {
+    id: `#${order.id.slice(-4)}`,
+    orderType: order.orderType,
+    totalAmount: parseFloat(order.totalAmount),
+    paymentStatus: order.paymentStatus.toLowerCase()
+  },
+  rider: order.rider?.name || null,
+  collectedBy: null,
+  type: 'PAYMENT',
+  method: order.paymentMethod || 'CASH',
+  amount: parseFloat(order.paidAmount),
+  reference: null,
+  notes: order.paymentNotes,
+  reversalOfId: null,
+  voidedAt: null,
+  voidReason: null,
+  allocations: [{ orderId: order.id, amount: parseFloat(order.paidAmount) }],
+  receivedAt: order.createdAt,
+  legacy: true
+});
+
+/**
+ * List payments, newest first, legacy order payments included
+ * @param {Object} filters
+ * @param {Date} filters.start - Received from (UTC)
+ * @param {Date} filters.end - Received until (UTC)
+ * @param {string} filters.method - PaymentMethod
+ * @param {string} filters.customerId - Customer ID
+ * @param {string} filters.riderId - Rider who collected
+ * @param {string} filters.paymentStatus - PaymentStatus of the order the payment was taken with
+ * @returns {Promise<Array<Object>>} Formatted payments
+ */
+export async function listPayments({ start, end, method, customerId, riderId, paymentStatus } = {}) {
+  const timeRange = start || end ? { ...(start ? { gte: start } : {}), ...(end ? { lte: end } : {}) } : undefined;
+  const common = {
+    ...(customerId ? { customerId } : {}),
+    ...(riderId ? { riderId } : {})
+  };
+
+  const payments = await prisma.payment.findMany({
+    where: {
+      ...common,
+      ...(timeRange ? { receivedAt: timeRange } : {}),
+      ...(method ? { method } : {}),
+      ...(paymentStatus ? { order: { paymentStatus } } : {})
+    },
+    include: {
+      customer: { select: { name: true, phone: true } },
+      order: { select: { id: true, orderType: true, totalAmount: true, paymentStatus: true } },
+      rider: { select: { name: true } },
+      collectedBy: { select: { id: true, email: true } },
+      allocations: true
+    },
+    orderBy: { receivedAt: 'desc' }
+  });
+
+  const legacyOrders = await prisma.order.findMany({
+    where: {
+      ...common,
+      ...(timeRange ? { createdAt: timeRange } : {}),
+      ...(method ? { paymentMethod: method } : {}),
+      ...(paymentStatus ? { paymentStatus } : {}),
+      status: { not: 'CANCELLED' },
+      paidAmount: { not: 0 },
+      payments: { none: {} }
+    },
+    include: {
+      customer: { select: { name: true, phone: true } },
+      rider: { select: { name: true } }
+    }
+  });
+
+  return [
+    ...payments.map(payment => ({ ...formatPayment(payment), legacy: false })),
+    ...legacyOrders.map(formatLegacyPayment)
+  ].sort((a, b) => b.receivedAt - a.receivedAt);
+}
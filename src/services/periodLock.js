@@ -0,0 +1,74 @@
+/**
+ * Period lock
+ * Once a day is closed its orders are frozen, so the saved DailyClosing keeps
+ * matching the orders behind it. An order belongs to the PKT day it was
+ * created on, the same day the closing counts it under. An admin can reopen
+ * a day to make corrections; it is locked again when it is re-closed.
+ * Order changes and closes of the same day are serialized with a
+ * transaction-scoped Postgres advisory lock keyed by the date: changes take
+ * it shared, closing and reopening take it exclusive.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { formatPktDate } from '../utils/timezone.js';
+
+const prisma = new PrismaClient();
+
+/**
+ * Get the PKT day an order is counted under in the daily closing
+ * @param {Object} order - Order with createdAt
+ * @returns {string} YYYY-MM-DD
+ */
+export function getOrderPeriodDate(order) {
+  return formatPktDate(order.createdAt);
+}
+
+/**
+ * Take a PKT day's lock until the transaction ends
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Object} options
+ * @param {boolean} options.exclusive - true when closing or reopening the day, false for order changes
+ */
+export async function lockPeriod(tx, dateStr, { exclusive = false } = {}) {
+  const key = `daily-closing:${dateStr}`;
+  if (exclusive) {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${key}))`;
+  } else {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock_shared(hashtext(${key}))`;
+  }
+}
+
+/**
+ * Throw PERIOD_CLOSED if a PKT day has been closed and not reopened
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {Object} client - Prisma client or transaction client
+ */
+export async function assertPeriodOpen(dateStr, client = prisma) {
+  const closing = await client.dailyClosing.findUnique({
+    where: { date: new Date(`${dateStr}T00:00:00Z`) },
+    select: { status: true, version: true, updatedAt: true }
+  });
+
+  if (closing?.status === 'CLOSED') {
+    throw new DomainError(`${dateStr} has been closed. Ask an admin to reopen the day before changing its orders.`, {
+      status: 409,
+      code: 'PERIOD_CLOSED',
+      details: { date: dateStr, version: closing.version, closedAt: closing.updatedAt }
+    });
+  }
+}
+
+/**
+ * Throw PERIOD_CLOSED if the day an order is counted under has been closed.
+ * Takes the day's lock shared first, so a close waits for this transaction
+ * and a close already running finishes before the check is made.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with createdAt
+ */
+export async function assertOrderPeriodOpen(tx, order) {
+  const periodDate = getOrderPeriodDate(order);
+  await lockPeriod(tx, periodDate);
+  await assertPeriodOpen(periodDate, tx);
+}
@@ -0,0 +1,107 @@
+/**
+ * Real-time events over Server-Sent Events
+ * Logged-in clients keep GET /api/events open and receive order events
+ * (ORDER_CREATED, ORDER_ASSIGNED, ORDER_REASSIGNED, ORDER_UPDATED,
+ * ORDER_DELIVERED, ORDER_CANCELLED) and their new notifications as they
+ * happen, instead of polling. Admins get every order event; a rider only gets
+ * events for orders that are, or just stopped being, theirs. Notifications go
+ * to the user they were created for.
+ * Connections live in this process's memory, so with several API instances a
+ * client only hears about changes made on the instance it is connected to.
+ */
+
+export const ORDER_EVENTS = [
+  'ORDER_CREATED',
+  'ORDER_ASSIGNED',
+  'ORDER_REASSIGNED',
+  'ORDER_UPDATED',
+  'ORDER_DELIVERED',
+  'ORDER_CANCELLED'
+];
+
+// Connection ID -> { userId, role, riderId, res }
+const clients = new Map();
+let nextClientId = 1;
+let nextEventId = 1;
+
+/**
+ * Write one event to an open stream
+ * @param {Object} res - Express response of the stream
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+export function writeEvent(res, event, data) {
+  res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Register an open stream for a user
+ * @param {Object} user - req.user ({ id, role, profile })
+ * @param {Object} res - Express response kept open for the stream
+ * @returns {Function} Call to unregister when the connection closes
+ */
+export function addClient(user, res) {
+  const id = nextClientId++;
+  clients.set(id, {
+    userId: user.id,
+    role: user.role,
+    riderId: user.role === 'RIDER' ? user.profile?.id || null : null,
+    res
+  });
+  return () => clients.delete(id);
+}
+
+/**
+ * Number of open streams (for health checks and logs)
+ * @returns {number}
+ */
+export function getClientCount() {
+  return clients.size;
+}
+
+const broadcast = (event, data, isFor) => {
+  clients.forEach(client => {
+    if (!isFor(client)) return;
+    try {
+      writeEvent(client.res, event, data);
+    } catch (error) {
+      console.error(`Failed to write ${event} to event stream:`, error);
+    }
+  });
+};
+
+/**
+ * Push an order event to admins and the order's rider(s)
+ * @param {string} type - One of ORDER_EVENTS
+ * @param {Object} order - Order (customer is used when included)
+ * @param {Object} options
+ * @param {string} options.previousRiderId - Rider the order was taken off, who also hears about it
+ */
+export function publishOrderEvent(type, order, { previousRiderId = null } = {}) {
+  const riderIds = new Set([order.riderId, previousRiderId].filter(Boolean));
+  const data = {
+    type,
+    orderId: order.id,
+    status: order.status,
+    orderType: order.orderType,
+    riderId: order.riderId,
+    previousRiderId,
+    customerId: order.customerId,
+    customerName: order.customer?.name || null,
+    priority: order.priority,
+    numberOfBottles: order.numberOfBottles,
+    totalAmount: order.totalAmount !== undefined ? parseFloat(order.totalAmount) : null,
+    at: new Date().toISOString()
+  };
+
+  broadcast('order', data, client => client.role === 'ADMIN' || riderIds.has(client.riderId));
+}
+
+/**
+ * Push a newly created notification to the user it belongs to
+ * @param {Object} notification - Notification row
+ */
+export function publishNotification(notification) {
+  if (!notification.userId) return;
+  broadcast('notification', notification, client => client.userId === notification.userId);
+}
@@ -0,0 +1,167 @@
+/**
+ * Refill due prediction
+ * Estimates when each customer will next need bottles from the gaps between
+ * their recent deliveries, falling back to Customer.avgDaysToRefill when
+ * there is not enough history yet.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { formatPktDate, getTodayPktDate } from '../utils/timezone.js';
+import { formatAddress } from '../utils/address.js';
+import { notifyAdmins } from './notificationService.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of recent deliveries looked at; at least MIN_INTERVALS gaps are needed to trust history
+const HISTORY_SIZE = 7;
+const MIN_INTERVALS = 2;
+
+const OPEN_STATUSES = ['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'CREATED'];
+
+const daysBetween = (fromDateStr, toDateStr) =>
+  Math.round((new Date(`${toDateStr}T00:00:00Z`) - new Date(`${fromDateStr}T00:00:00Z`)) / DAY_MS);
+
+const addDays = (dateStr, days) =>
+  new Date(new Date(`${dateStr}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Predict a customer's next refill date
+ * @param {Object} customer - Customer with avgDaysToRefill
+ * @param {Array<Object>} deliveries - Delivered orders, newest first ({ deliveredAt, createdAt })
+ * @returns {Object|null} { lastDeliveryDate, intervalDays, expectedRefillDate, basis } or null without any delivery
+ */
+export function predictNextRefill(customer, deliveries) {
+  if (deliveries.length === 0) return null;
+
+  // Several deliveries on one day count as one refill
+  const dates = [...new Set(deliveries.map(order => formatPktDate(order.deliveredAt || order.createdAt)))];
+  const intervals = dates.slice(1).map((date, index) => daysBetween(date, dates[index]));
+
+  let intervalDays;
+  let basis;
+  if (intervals.length >= MIN_INTERVALS) {
+    intervalDays = Math.round(median(intervals));
+    basis = 'HISTORY';
+  } else if (customer.avgDaysToRefill) {
+    intervalDays = customer.avgDaysToRefill;
+    basis = 'AVG_DAYS_TO_REFILL';
+  } else if (intervals.length > 0) {
+    intervalDays = intervals[0];
+    basis = 'HISTORY';
+  } else {
+    return null;
+  }
+
+  return {
+    lastDeliveryDate: dates[0],
+    intervalDays,
+    expectedRefillDate: addDays(dates[0], intervalDays),
+    basis
+  };
+}
+
+/**
+ * List customers due or overdue for a refill on a PKT date.
+ * Customers who already have an open order or an active delivery schedule
+ * are left out, since their next delivery is already on its way.
+ * @param {string} dateStr - Date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Array<Object>>} Due customers, most overdue first
+ */
+export async function getDueCustomers(dateStr = getTodayPktDate()) {
+  const customers = await prisma.customer.findMany({
+    where: {
+      isActive: true,
+      name: { not: 'Walk-in Customer' },
+      orders: {
+        none: { status: { in: OPEN_STATUSES } }
+      },
+      schedules: {
+        none: { status: 'ACTIVE' }
+      }
+    },
+    include: {
+      orders: {
+        where: {
+          status: { in: ['DELIVERED', 'COMPLETED'] },
+          numberOfBottles: { gt: 0 }
+        },
+        orderBy: [{ deliveredAt: { sort: 'desc', nulls: 'last' } }, { createdAt: 'desc' }],
+        take: HISTORY_SIZE,
+        select: {
+          id: true,
+          numberOfBottles: true,
+          currentOrderAmount: true,
+          deliveredAt: true,
+          createdAt: true
+        }
+      }
+    }
+  });
+
+  const due = [];
+  customers.forEach(customer => {
+    const prediction = predictNextRefill(customer, customer.orders);
+    if (!prediction || prediction.expectedRefillDate > dateStr) return;
+
+    const lastOrder = customer.orders[0];
+    due.push({
+      id: customer.id,
+      name: customer.name,
+      phone: customer.phone,
+      whatsapp: customer.whatsapp,
+      area: customer.area,
+      address: formatAddress(customer),
+      currentBalance: parseFloat(customer.currentBalance),
+      lastOrder: {
+        id: lastOrder.id,
+        orderId: `#${lastOrder.id.slice(-4)}`,
+        date: prediction.lastDeliveryDate,
+        bottles: lastOrder.numberOfBottles,
+        amount: parseFloat(lastOrder.currentOrderAmount)
+      },
+      intervalDays: prediction.intervalDays,
+      basis: prediction.basis,
+      expectedRefillDate: prediction.expectedRefillDate,
+      daysOverdue: daysBetween(prediction.expectedRefillDate, dateStr)
+    });
+  });
+
+  return due.sort((a, b) => b.daysOverdue - a.daysOverdue);
+}
+
+/**
+ * Send admins the morning summary of customers due for a refill
+ * @param {string} dateStr - Date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Object>} { date, due } (nothing is sent when no one is due)
+ */
+export async function sendDueCustomersSummary(dateStr = getTodayPktDate()) {
+  const due = await getDueCustomers(dateStr);
+  if (due.length === 0) return { date: dateStr, due: 0 };
+
+  const overdue = due.filter(customer => customer.daysOverdue > 0).length;
+  const names = due.slice(0, 5).map(customer => customer.name).join(', ');
+  const more = due.length > 5 ? ` + ${due.length - 5} aur` : '';
+
+  await notifyAdmins({
+    title: 'Aaj refill ke due customers',
+    message: `${due.length} customer(s) refill ke liye due hain (${overdue} overdue): ${names}${more}`,
+    type: 'SYSTEM_UPDATE',
+    data: {
+      date: dateStr,
+      dueCount: due.length,
+      overdueCount: overdue,
+      customerIds: due.map(customer => customer.id)
+    },
+    clickAction: `/admin/customers/due?date=${dateStr}`
+  });
+
+  return { date: dateStr, due: due.length };
+}
@@ -0,0 +1,355 @@
+/**
+ * Rider cash remittance
+ * Riders collect payments on their rounds and hand the money over to the
+ * office at the end of the day. Each handover is recorded as a
+ * RiderRemittance with one line per payment method. A rider's CASH collections
+ * minus the CASH handed over is what they still owe; shortfalls and excesses
+ * carry forward from day to day until settled. Cash collected before
+ * remittances were recorded was settled outside the system, so dues are only
+ * counted from a cutover day: REMITTANCE_START_DATE when set, otherwise the
+ * rider's first remittance.
+ * Remittance dates are PKT calendar dates stored as YYYY-MM-DDT00:00:00Z.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { getPktDateRangeUtc, getPktDayStartUtc, getTodayPktDate } from '../utils/timezone.js';
+import { PAYMENT_METHODS, listCollections } from './paymentService.js';
+
+const prisma = new PrismaClient();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const toRemittanceDate = (dateStr) => new Date(`${dateStr}T00:00:00Z`);
+
+const invalidRemittance = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_REMITTANCE', details });
+
+/**
+ * Validate a YYYY-MM-DD date that is not in the future
+ * @param {string} value - Date string, defaults to today (PKT)
+ * @returns {string} Date string
+ */
+export function parseRemittanceDate(value) {
+  const today = getTodayPktDate();
+  if (value === undefined || value === null || value === '') return today;
+
+  if (!DATE_PATTERN.test(String(value))) {
+    throw invalidRemittance('date must be in YYYY-MM-DD format', { date: value });
+  }
+  if (value > today) {
+    throw invalidRemittance('date cannot be in the future', { date: value });
+  }
+  return String(value);
+}
+
+const parsePayments = (payments) => {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw invalidRemittance('payments must list at least one { method, amount }');
+  }
+
+  return payments.map(payment => {
+    const method = String(payment?.method || '').toUpperCase();
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw invalidRemittance(`method must be one of ${PAYMENT_METHODS.join(', ')}`, { method: payment?.method });
+    }
+
+    const amount = parseFloat(payment.amount);
+    if (isNaN(amount) || amount <= 0) {
+      throw invalidRemittance('amount must be a positive number', { method, amount: payment.amount });
+    }
+
+    return {
+      paymentMethod: method,
+      amount: roundAmount(amount),
+      reference: payment.reference ? String(payment.reference).trim() : null
+    };
+  });
+};
+
+/**
+ * Day from which every rider owes the cash they collect (REMITTANCE_START_DATE)
+ * @returns {string|null} YYYY-MM-DD, or null when each rider starts at their first remittance
+ */
+export function getRemittanceStartDate() {
+  const value = process.env.REMITTANCE_START_DATE;
+  return value && DATE_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Day each rider's cash dues are counted from
+ * @param {Array<string>} riderIds - Rider IDs
+ * @returns {Promise<Map<string, string>>} riderId -> YYYY-MM-DD; riders with no cutover yet are left out
+ */
+export async function getDuesStartDates(riderIds) {
+  const configured = getRemittanceStartDate();
+  if (configured) {
+    return new Map(riderIds.map(id => [id, configured]));
+  }
+
+  const firstRemittances = await prisma.riderRemittance.groupBy({
+    by: ['riderId'],
+    where: { riderId: { in: riderIds } },
+    _min: { date: true }
+  });
+  return new Map(firstRemittances.map(first => [first.riderId, first._min.date.toISOString().slice(0, 10)]));
+}
+
+// Sum CASH collected per rider from their cutover day up to (but not including) a point in time
+const sumCashCollectedBefore = async (startDates, before) => {
+  // One query per cutover day; riders mostly share one
+  const ridersByStart = new Map();
+  startDates.forEach((startDate, riderId) => {
+    ridersByStart.set(startDate, [...(ridersByStart.get(startDate) || []), riderId]);
+  });
+
+  const totals = new Map();
+  for (const [startDate, riderIds] of ridersByStart) {
+    const start = getPktDayStartUtc(startDate);
+    if (start >= before) continue;
+
+    const payments = await listCollections({ start, end: new Date(before.getTime() - 1) }, { riderIds, method: 'CASH' });
+    payments.forEach(payment => {
+      totals.set(payment.riderId, (totals.get(payment.riderId) || 0) + payment.amount);
+    });
+  }
+  return totals;
+};
+
+// Sum CASH handed over per rider for remittance dates from their cutover day up to (but not including) a date
+const sumCashRemittedBefore = async (startDates, dateStr) => {
+  const remittances = await prisma.riderRemittance.findMany({
+    where: {
+      riderId: { in: Array.from(startDates.keys()) },
+      date: { lt: toRemittanceDate(dateStr) }
+    },
+    select: {
+      riderId: true,
+      date: true,
+      payments: {
+        where: { paymentMethod: 'CASH' },
+        select: { amount: true }
+      }
+    }
+  });
+
+  const totals = new Map();
+  remittances.forEach(remittance => {
+    if (remittance.date < toRemittanceDate(startDates.get(remittance.riderId))) return;
+    const cash = remittance.payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0);
+    totals.set(remittance.riderId, (totals.get(remittance.riderId) || 0) + cash);
+  });
+  return totals;
+};
+
+/**
+ * Reconcile what riders collected on a PKT date against what they handed over.
+ * Only CASH decides the shortfall/excess: wallet and bank payments go straight
+ * to the company's accounts, so their lines are shown for confirmation only.
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @param {Object} options
+ * @param {string} options.riderId - Limit to one rider
+ * @returns {Promise<Array<Object>>} One entry per rider with collections, remittances or dues
+ */
+export async function getRemittanceReconciliation(dateStr, { riderId } = {}) {
+  const { start, end } = getPktDateRangeUtc(dateStr);
+  const date = toRemittanceDate(dateStr);
+
+  const collections = (await listCollections({ start, end }, { riderIds: riderId ? [riderId] : undefined }))
+    .filter(payment => payment.riderId);
+
+  const remittances = await prisma.riderRemittance.findMany({
+    where: {
+      date,
+      ...(riderId ? { riderId } : {})
+    },
+    include: {
+      payments: true,
+      receivedBy: { select: { id: true, email: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  // Riders who owed (or were owed) something before the day count too
+  const riders = await prisma.riderProfile.findMany({
+    where: riderId ? { id: riderId } : {},
+    select: { id: true, name: true, isActive: true }
+  });
+  const startDates = await getDuesStartDates(riders.map(rider => rider.id));
+  const collectedBefore = await sumCashCollectedBefore(startDates, start);
+  const remittedBefore = await sumCashRemittedBefore(startDates, dateStr);
+
+  const entries = new Map(riders.map(rider => [rider.id, {
+    riderId: rider.id,
+    riderName: rider.name,
+    collected: new Map(),
+    remitted: new Map(),
+    orders: new Set(),
+    remittances: []
+  }]));
+
+  collections.forEach(payment => {
+    const entry = entries.get(payment.riderId);
+    if (!entry) return;
+    entry.collected.set(payment.method, (entry.collected.get(payment.method) || 0) + payment.amount);
+    entry.orders.add(payment.orderId || payment.paymentId);
+  });
+
+  remittances.forEach(remittance => {
+    const entry = entries.get(remittance.riderId);
+    if (!entry) return;
+    remittance.payments.forEach(payment => {
+      entry.remitted.set(payment.paymentMethod, (entry.remitted.get(payment.paymentMethod) || 0) + parseFloat(payment.amount));
+    });
+    entry.remittances.push(formatRemittance(remittance));
+  });
+
+  const result = [];
+  entries.forEach(entry => {
+    const openingDues = roundAmount((collectedBefore.get(entry.riderId) || 0) - (remittedBefore.get(entry.riderId) || 0));
+    const cashCollected = roundAmount(entry.collected.get('CASH') || 0);
+    const cashRemitted = roundAmount(entry.remitted.get('CASH') || 0);
+    const closingDues = roundAmount(openingDues + cashCollected - cashRemitted);
+
+    const hasActivity = entry.collected.size > 0 || entry.remittances.length > 0;
+    if (!riderId && !hasActivity && openingDues === 0) return;
+
+    const methods = new Set([...entry.collected.keys(), ...entry.remitted.keys()]);
+    const paymentMethods = [...methods].map(method => {
+      const collected = roundAmount(entry.collected.get(method) || 0);
+      const remitted = roundAmount(entry.remitted.get(method) || 0);
+      return { method, collected, remitted, variance: roundAmount(remitted - collected) };
+    });
+
+    // Nothing owed at the end of the day means the rider is square
+    let status = 'RECONCILED';
+    if (closingDues !== 0) {
+      if (entry.remittances.length === 0) status = 'NOT_REMITTED';
+      else status = closingDues > 0 ? 'SHORT' : 'EXCESS';
+    }
+
+    result.push({
+      riderId: entry.riderId,
+      riderName: entry.riderName,
+      date: dateStr,
+      ordersCount: entry.orders.size,
+      paymentMethods,
+      openingDues,
+      cashCollected,
+      cashRemitted,
+      // Negative is a shortfall for the day, positive an excess
+      cashVariance: roundAmount(cashRemitted - cashCollected),
+      closingDues,
+      status,
+      remittances: entry.remittances
+    });
+  });
+
+  return result.sort((a, b) => a.riderName.localeCompare(b.riderName));
+}
+
+/**
+ * Get the cash a rider still owes the office, carried forward across days.
+ * Before the rider's cutover day only today's collections count.
+ * @param {string} riderId - Rider ID
+ * @returns {Promise<Object>} { outstanding, since, lastRemittanceAt }
+ */
+export async function getRiderCashDues(riderId) {
+  const startDates = await getDuesStartDates([riderId]);
+  const since = startDates.get(riderId) || getTodayPktDate();
+
+  const collected = await sumCashCollectedBefore(new Map([[riderId, since]]), new Date());
+
+  const remittances = await prisma.riderRemittancePayment.aggregate({
+    where: {
+      paymentMethod: 'CASH',
+      remittance: { riderId, date: { gte: toRemittanceDate(since) } }
+    },
+    _sum: { amount: true }
+  });
+  const lastRemittance = await prisma.riderRemittance.findFirst({
+    where: { riderId },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+
+  return {
+    outstanding: roundAmount((collected.get(riderId) || 0) - parseFloat(remittances._sum.amount || 0)),
+    since,
+    lastRemittanceAt: lastRemittance?.createdAt || null
+  };
+}
+
+/**
+ * Format a remittance for API responses
+ * @param {Object} remittance - RiderRemittance with payments (and receivedBy, rider when loaded)
+ * @returns {Object} Remittance with numbers instead of decimals
+ */
+export function formatRemittance(remittance) {
+  return {
+    id: remittance.id,
+    riderId: remittance.riderId,
+    ...(remittance.rider ? { riderName: remittance.rider.name } : {}),
+    date: remittance.date.toISOString().slice(0, 10),
+    totalAmount: parseFloat(remittance.totalAmount),
+    payments: remittance.payments.map(payment => ({
+      method: payment.paymentMethod,
+      amount: parseFloat(payment.amount),
+      reference: payment.reference
+    })),
+    notes: remittance.notes,
+    receivedBy: remittance.receivedBy || null,
+    createdAt: remittance.createdAt
+  };
+}
+
+/**
+ * Record money a rider handed over
+ * @param {Object} remittance
+ * @param {string} remittance.riderId - Rider handing over
+ * @param {string} remittance.date - Day the handover is for (YYYY-MM-DD), defaults to today
+ * @param {Array<Object>} remittance.payments - [{ method, amount, reference }]
+ * @param {string} remittance.notes - Free text
+ * @param {Object} options
+ * @param {Object} options.actor - Admin receiving the money
+ * @returns {Promise<Object>} { remittance, reconciliation } for the rider and date
+ */
+export async function recordRemittance({ riderId, date, payments, notes }, { actor } = {}) {
+  const dateStr = parseRemittanceDate(date);
+  const lines = parsePayments(payments);
+
+  const rider = await prisma.riderProfile.findUnique({
+    where: { id: riderId || '' },
+    select: { id: true }
+  });
+  if (!rider) {
+    throw new DomainError('Rider not found', { status: 404, code: 'RIDER_NOT_FOUND' });
+  }
+
+  const remittance = await prisma.riderRemittance.create({
+    data: {
+      riderId: rider.id,
+      date: toRemittanceDate(dateStr),
+      totalAmount: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+      notes: notes || null,
+      receivedById: actor?.id,
+      payments: {
+        create: lines
+      }
+    },
+    include: {
+      payments: true,
+      rider: { select: { name: true } },
+      receivedBy: { select: { id: true, email: true } }
+    }
+  });
+
+  const [reconciliation] = await getRemittanceReconciliation(dateStr, { riderId: rider.id });
+
+  return {
+    remittance: formatRemittance(remittance),
+    reconciliation
+  };
+}
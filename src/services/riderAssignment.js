@@ -0,0 +1,117 @@
+/**
+ * Rider assignment by area
+ * Riders cover one or more of the areas in company_setups.areasOperated.
+ * In auto-assign mode a new DELIVERY order goes to the active rider covering
+ * the customer's area who has the fewest open (ASSIGNED/IN_PROGRESS) orders.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+
+const prisma = new PrismaClient();
+
+const OPEN_STATUSES = ['ASSIGNED', 'IN_PROGRESS'];
+
+/**
+ * Normalize an area name for comparison ("  Gulberg III " → "gulberg iii")
+ * @param {string} area - Area name
+ * @returns {string} Trimmed, lower-cased name with single spaces
+ */
+export function normalizeArea(area) {
+  return String(area || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Check whether new orders should be auto-assigned when no rider is picked
+ * @returns {Promise<boolean>} company_setups.autoAssignRiders
+ */
+export async function isAutoAssignEnabled() {
+  const setup = await prisma.company_setups.findFirst({
+    select: { autoAssignRiders: true }
+  });
+  return !!setup?.autoAssignRiders;
+}
+
+/**
+ * Validate the areas a rider covers against the areas the company operates in.
+ * Names are matched case-insensitively and stored with the company's spelling.
+ * @param {Array<string>} areas - Areas from the request body
+ * @returns {Promise<Array<string>>} Areas to store on the rider
+ */
+export async function parseRiderAreas(areas) {
+  if (!Array.isArray(areas) || areas.some(area => typeof area !== 'string' || !area.trim())) {
+    throw new DomainError('areas must be a list of area names', { status: 400, code: 'INVALID_RIDER_AREAS' });
+  }
+
+  const setup = await prisma.company_setups.findFirst({
+    select: { areasOperated: true }
+  });
+  const operated = Array.isArray(setup?.areasOperated) ? setup.areasOperated.map(String) : [];
+  const operatedByKey = new Map(operated.map(area => [normalizeArea(area), area]));
+
+  const result = new Map();
+  const unknown = [];
+  areas.forEach(area => {
+    const key = normalizeArea(area);
+    // Without a company setup there is nothing to check against
+    if (operated.length > 0 && !operatedByKey.has(key)) {
+      unknown.push(area);
+      return;
+    }
+    result.set(key, operatedByKey.get(key) || area.trim());
+  });
+
+  if (unknown.length > 0) {
+    throw new DomainError(`Areas not operated by the company: ${unknown.join(', ')}`, {
+      status: 400,
+      code: 'INVALID_RIDER_AREAS',
+      details: { unknown, areasOperated: operated }
+    });
+  }
+
+  return [...result.values()];
+}
+
+/**
+ * Pick the rider for a customer's area: the active rider covering the area
+ * with the fewest open orders, the longest-serving rider winning ties.
+ * @param {string} area - Customer's area
+ * @returns {Promise<Object|null>} { id, name, userId, openOrders } or null when no rider covers the area
+ */
+export async function pickRiderForArea(area) {
+  const key = normalizeArea(area);
+  if (!key) return null;
+
+  const riders = await prisma.riderProfile.findMany({
+    where: {
+      isActive: true,
+      user: { isActive: true }
+    },
+    select: { id: true, name: true, userId: true, areas: true, createdAt: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const candidates = riders.filter(rider => rider.areas.some(riderArea => normalizeArea(riderArea) === key));
+  if (candidates.length === 0) return null;
+
+  const openCounts = await prisma.order.groupBy({
+    by: ['riderId'],
+    where: {
+      riderId: { in: candidates.map(rider => rider.id) },
+      status: { in: OPEN_STATUSES }
+    },
+    _count: { _all: true }
+  });
+  const openByRider = new Map(openCounts.map(row => [row.riderId, row._count._all]));
+
+  // Candidates are oldest first, so the first rider with the lowest count wins ties
+  let picked = null;
+  candidates.forEach(rider => {
+    const openOrders = openByRider.get(rider.id) || 0;
+    if (!picked || openOrders < picked.openOrders) {
+      picked = { id: rider.id, name: rider.name, userId: rider.userId, openOrders };
+    }
+  });
+
+  return picked;
+}
@@ -0,0 +1,242 @@
+/**
+ * Rider location tracking
+ * Rider devices post GPS pings while on duty, one at a time or in batches
+ * when they were offline. Admins see each active rider's last known position
+ * (and how old it is) and the breadcrumb trail a rider left on a day. Pings
+ * are kept for RIDER_LOCATION_RETENTION_DAYS (default 30) and purged by a
+ * daily job.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { getPktDayStartUtc, getPktDayEndUtc, getTodayPktDate } from '../utils/timezone.js';
+import { parseCoordinate, distanceKm } from '../utils/geo.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PINGS_PER_REQUEST = 500;
+// Device clocks run a little ahead; anything further in the future is taken as now
+const CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+const invalidLocation = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_LOCATION', details });
+
+/**
+ * Days pings are kept for
+ * @returns {number}
+ */
+export function getLocationRetentionDays() {
+  return parseInt(process.env.RIDER_LOCATION_RETENTION_DAYS, 10) || 30;
+}
+
+/**
+ * Minutes after which a last known position is reported as stale
+ * @returns {number}
+ */
+export function getLocationStaleMinutes() {
+  return parseInt(process.env.RIDER_LOCATION_STALE_MINUTES, 10) || 10;
+}
+
+// Optional non-negative reading (accuracy, speed, heading, battery)
+const parseReading = (value, field, index) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw invalidLocation(`${field} must be a positive number`, { index, field, value });
+  }
+  return number;
+};
+
+const parsePing = (ping, index, now) => {
+  if (!ping || typeof ping !== 'object') {
+    throw invalidLocation('Each ping must be an object with latitude and longitude', { index });
+  }
+
+  const latitude = parseCoordinate(ping.latitude, 90);
+  const longitude = parseCoordinate(ping.longitude, 180);
+  if (latitude === null || longitude === null) {
+    throw invalidLocation('latitude and longitude are required and must be valid coordinates', {
+      index,
+      latitude: ping.latitude,
+      longitude: ping.longitude
+    });
+  }
+
+  let recordedAt = now;
+  if (ping.recordedAt) {
+    recordedAt = new Date(ping.recordedAt);
+    if (isNaN(recordedAt.getTime())) {
+      throw invalidLocation('recordedAt must be a date-time', { index, recordedAt: ping.recordedAt });
+    }
+    if (recordedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) recordedAt = now;
+  }
+
+  return {
+    latitude,
+    longitude,
+    accuracy: parseReading(ping.accuracy, 'accuracy', index),
+    speed: parseReading(ping.speed, 'speed', index),
+    heading: parseReading(ping.heading, 'heading', index),
+    battery: parseReading(ping.battery, 'battery', index),
+    recordedAt
+  };
+};
+
+/**
+ * Validate the pings a rider device sent
+ * @param {Object} body - { pings: [{ latitude, longitude, accuracy, speed, heading, battery, recordedAt }] } or a single ping
+ * @returns {Array<Object>} Parsed pings, oldest first
+ */
+export function parseLocationPings(body = {}) {
+  const pings = Array.isArray(body.pings) ? body.pings : [body];
+  if (pings.length === 0) {
+    throw invalidLocation('pings must contain at least one location');
+  }
+  if (pings.length > MAX_PINGS_PER_REQUEST) {
+    throw invalidLocation(`At most ${MAX_PINGS_PER_REQUEST} pings can be sent at once`, { count: pings.length });
+  }
+
+  const now = new Date();
+  return pings
+    .map((ping, index) => parsePing(ping, index, now))
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+}
+
+/**
+ * Store a rider's location pings. Pings older than the retention window are dropped.
+ * @param {string} riderId - Rider profile ID
+ * @param {Array<Object>} pings - Result of parseLocationPings
+ * @returns {Promise<Object>} { recorded, skipped, lastRecordedAt }
+ */
+export async function recordLocationPings(riderId, pings) {
+  const cutoff = new Date(Date.now() - getLocationRetentionDays() * DAY_MS);
+  const kept = pings.filter(ping => ping.recordedAt >= cutoff);
+
+  if (kept.length > 0) {
+    await prisma.riderLocation.createMany({
+      data: kept.map(ping => ({ riderId, ...ping }))
+    });
+  }
+
+  return {
+    recorded: kept.length,
+    skipped: pings.length - kept.length,
+    lastRecordedAt: kept.length > 0 ? kept[kept.length - 1].recordedAt : null
+  };
+}
+
+const formatPing = (ping) => ({
+  latitude: ping.latitude,
+  longitude: ping.longitude,
+  accuracy: ping.accuracy,
+  speed: ping.speed,
+  heading: ping.heading,
+  battery: ping.battery,
+  recordedAt: ping.recordedAt
+});
+
+/**
+ * Get a rider's most recent ping
+ * @param {string} riderId - Rider profile ID
+ * @returns {Promise<Object|null>} RiderLocation row
+ */
+export async function getLastLocation(riderId) {
+  return prisma.riderLocation.findFirst({
+    where: { riderId },
+    orderBy: { recordedAt: 'desc' }
+  });
+}
+
+/**
+ * Get every active rider's last known position
+ * @returns {Promise<Object>} { staleAfterMinutes, riders: [{ riderId, name, phone, location, ageSeconds, isStale }] }
+ */
+export async function getRiderLocations() {
+  const riders = await prisma.riderProfile.findMany({
+    where: { isActive: true },
+    select: { id: true, name: true, phone: true },
+    orderBy: { name: 'asc' }
+  });
+
+  // One indexed lookup per rider rather than scanning every ping
+  const lastPings = await Promise.all(riders.map(rider => getLastLocation(rider.id)));
+
+  const now = Date.now();
+  const staleAfterMinutes = getLocationStaleMinutes();
+  return {
+    staleAfterMinutes,
+    riders: riders.map((rider, index) => {
+      const ping = lastPings[index];
+      const ageSeconds = ping ? Math.max(Math.round((now - ping.recordedAt.getTime()) / 1000), 0) : null;
+      return {
+        riderId: rider.id,
+        name: rider.name,
+        phone: rider.phone,
+        location: ping ? formatPing(ping) : null,
+        ageSeconds,
+        // No position at all counts as stale
+        isStale: ageSeconds === null || ageSeconds > staleAfterMinutes * 60
+      };
+    })
+  };
+}
+
+/**
+ * Get the trail a rider left on a day
+ * @param {string} riderId - Rider profile ID
+ * @param {string} date - PKT date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Object>} { rider, date, points, summary: { pings, distanceKm, firstAt, lastAt } }
+ */
+export async function getRiderTrack(riderId, date) {
+  const dateStr = date || getTodayPktDate();
+  if (!DATE_PATTERN.test(String(dateStr))) {
+    throw new DomainError('date must be in YYYY-MM-DD format', { status: 400, code: 'INVALID_DATE', details: { date } });
+  }
+
+  const rider = await prisma.riderProfile.findUnique({
+    where: { id: riderId },
+    select: { id: true, name: true, phone: true, isActive: true }
+  });
+  if (!rider) {
+    throw new DomainError('Rider not found', { status: 404, code: 'RIDER_NOT_FOUND' });
+  }
+
+  const pings = await prisma.riderLocation.findMany({
+    where: {
+      riderId,
+      recordedAt: { gte: getPktDayStartUtc(dateStr), lte: getPktDayEndUtc(dateStr) }
+    },
+    orderBy: { recordedAt: 'asc' }
+  });
+
+  let distance = 0;
+  for (let i = 1; i < pings.length; i += 1) {
+    distance += distanceKm(pings[i - 1], pings[i]);
+  }
+
+  return {
+    rider,
+    date: dateStr,
+    points: pings.map(formatPing),
+    summary: {
+      pings: pings.length,
+      distanceKm: Math.round(distance * 100) / 100,
+      firstAt: pings[0]?.recordedAt || null,
+      lastAt: pings[pings.length - 1]?.recordedAt || null
+    }
+  };
+}
+
+/**
+ * Delete pings older than the retention window
+ * @returns {Promise<Object>} { deleted, before }
+ */
+export async function purgeOldLocations() {
+  const before = new Date(Date.now() - getLocationRetentionDays() * DAY_MS);
+  const { count } = await prisma.riderLocation.deleteMany({
+    where: { recordedAt: { lt: before } }
+  });
+  return { deleted: count, before };
+}
@@ -0,0 +1,198 @@
+/**
+ * Delivery route suggestions
+ * Orders a rider's open deliveries into a visiting sequence without any
+ * external maps service: a nearest-neighbour tour from the starting point,
+ * tightened with 2-opt, on straight-line distances between customer
+ * coordinates. URGENT orders are visited before everything else. Orders whose
+ * customer has no coordinates cannot be placed and are listed after the
+ * located ones, earliest delivery first.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { distanceKm } from '../utils/geo.js';
+import { formatAddress } from '../utils/address.js';
+import { getDeliveryDate, formatDeliveryWindow, compareByDelivery } from '../utils/deliveryWindow.js';
+import { getLastLocation, getLocationStaleMinutes } from './riderLocationService.js';
+
+const prisma = new PrismaClient();
+
+export const ROUTE_STARTS = ['AUTO', 'LAST_PING', 'AGENCY'];
+
+const MAX_TWO_OPT_PASSES = 50;
+
+const roundKm = (value) => Math.round(value * 100) / 100;
+
+const isLocated = (stop) => stop.latitude !== null && stop.latitude !== undefined &&
+  stop.longitude !== null && stop.longitude !== undefined;
+
+// Greedy tour: always go to the closest stop not yet visited
+const nearestNeighbour = (origin, stops) => {
+  const remaining = [...stops];
+  const tour = [];
+  let current = origin;
+
+  while (remaining.length > 0) {
+    let bestIndex = 0;
+    if (current) {
+      let bestDistance = Infinity;
+      remaining.forEach((stop, index) => {
+        const distance = distanceKm(current, stop);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          bestIndex = index;
+        }
+      });
+    }
+    current = remaining.splice(bestIndex, 1)[0];
+    tour.push(current);
+  }
+
+  return tour;
+};
+
+// Reverse stretches of the tour while that shortens it. The tour is open: it
+// starts at the origin (or at its first stop when there is none) and may end anywhere.
+const twoOpt = (origin, tour) => {
+  const path = origin ? [origin, ...tour] : [...tour];
+  const leg = (i, j) => (path[j] ? distanceKm(path[i], path[j]) : 0);
+
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass += 1) {
+    let improved = false;
+    for (let i = 1; i < path.length - 1; i += 1) {
+      for (let k = i + 1; k < path.length; k += 1) {
+        const delta = distanceKm(path[i - 1], path[k]) + leg(i, k + 1) - distanceKm(path[i - 1], path[i]) - leg(k, k + 1);
+        if (delta < -1e-9) {
+          const reversed = path.slice(i, k + 1).reverse();
+          path.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+
+  return origin ? path.slice(1) : path;
+};
+
+/**
+ * Put stops into a visiting sequence
+ * @param {Object|null} origin - { latitude, longitude } to start from, or null to start at the first URGENT/earliest stop
+ * @param {Array<Object>} stops - Stops with latitude, longitude (null when unknown) and priority, in delivery order
+ * @returns {Array<Object>} Stops in visiting order, each with legKm and cumulativeKm (null for unlocated stops)
+ */
+export function sequenceStops(origin, stops) {
+  const tiers = [
+    stops.filter(stop => stop.priority === 'URGENT'),
+    stops.filter(stop => stop.priority !== 'URGENT')
+  ];
+
+  const sequence = [];
+  let position = origin;
+  let cumulative = 0;
+
+  tiers.forEach(tier => {
+    const located = tier.filter(isLocated);
+    const tour = twoOpt(position, nearestNeighbour(position, located));
+
+    tour.forEach(stop => {
+      const legKm = position ? distanceKm(position, stop) : 0;
+      cumulative += legKm;
+      sequence.push({ ...stop, legKm: roundKm(legKm), cumulativeKm: roundKm(cumulative) });
+      position = stop;
+    });
+
+    tier.filter(stop => !isLocated(stop)).forEach(stop => {
+      sequence.push({ ...stop, legKm: null, cumulativeKm: null });
+    });
+  });
+
+  return sequence;
+}
+
+// Where the route starts: the rider's last ping while it is fresh, otherwise the agency
+const resolveStart = async (riderId, startFrom) => {
+  const agency = async () => {
+    const setup = await prisma.company_setups.findFirst({
+      select: { agencyAddress: true, agencyLatitude: true, agencyLongitude: true }
+    });
+    if (setup?.agencyLatitude == null || setup?.agencyLongitude == null) return null;
+    return { source: 'AGENCY', latitude: setup.agencyLatitude, longitude: setup.agencyLongitude, address: setup.agencyAddress };
+  };
+  const lastPing = async () => {
+    const ping = await getLastLocation(riderId);
+    if (!ping) return null;
+    return { source: 'LAST_PING', latitude: ping.latitude, longitude: ping.longitude, recordedAt: ping.recordedAt };
+  };
+
+  if (startFrom === 'AGENCY') return agency();
+  if (startFrom === 'LAST_PING') return lastPing();
+
+  const ping = await lastPing();
+  const fresh = ping && Date.now() - ping.recordedAt.getTime() <= getLocationStaleMinutes() * 60 * 1000;
+  return fresh ? ping : (await agency()) || ping;
+};
+
+/**
+ * Suggest the order a rider should visit their ASSIGNED/IN_PROGRESS deliveries in
+ * @param {string} riderId - Rider profile ID
+ * @param {Object} options
+ * @param {string} options.deliveryDate - Only orders due on this PKT date (YYYY-MM-DD)
+ * @param {string} options.startFrom - AUTO (default), LAST_PING or AGENCY
+ * @returns {Promise<Object>} { riderId, start, stops, totalKm, unlocated }
+ */
+export async function planDeliveryRoute(riderId, { deliveryDate, startFrom = 'AUTO' } = {}) {
+  const start = String(startFrom || 'AUTO').toUpperCase();
+  if (!ROUTE_STARTS.includes(start)) {
+    throw new DomainError(`startFrom must be one of ${ROUTE_STARTS.join(', ')}`, {
+      status: 400,
+      code: 'INVALID_ROUTE_START',
+      details: { startFrom }
+    });
+  }
+
+  const rider = await prisma.riderProfile.findUnique({ where: { id: riderId }, select: { id: true } });
+  if (!rider) {
+    throw new DomainError('Rider not found', { status: 404, code: 'RIDER_NOT_FOUND' });
+  }
+
+  const orders = await prisma.order.findMany({
+    where: { riderId, status: { in: ['ASSIGNED', 'IN_PROGRESS'] } },
+    include: {
+      customer: {
+        select: { name: true, phone: true, houseNo: true, streetNo: true, area: true, city: true, latitude: true, longitude: true }
+      }
+    }
+  });
+
+  const stops = orders
+    .filter(order => !deliveryDate || getDeliveryDate(order) === deliveryDate)
+    .sort(compareByDelivery)
+    .map(order => ({
+      orderId: order.id,
+      id: `#${order.id.slice(-4)}`,
+      status: order.status,
+      priority: order.priority,
+      customerId: order.customerId,
+      customer: order.customer.name,
+      phone: order.customer.phone,
+      address: formatAddress(order.customer),
+      latitude: order.customer.latitude,
+      longitude: order.customer.longitude,
+      bottles: order.numberOfBottles,
+      amount: parseFloat(order.totalAmount),
+      ...formatDeliveryWindow(order)
+    }));
+
+  const origin = await resolveStart(riderId, start);
+  const sequence = sequenceStops(origin, stops);
+  const located = sequence.filter(stop => stop.cumulativeKm !== null);
+
+  return {
+    riderId,
+    start: origin,
+    stops: sequence.map((stop, index) => ({ sequence: index + 1, ...stop })),
+    totalKm: located.length > 0 ? located[located.length - 1].cumulativeKm : 0,
+    unlocated: sequence.length - located.length
+  };
+}
@@ -0,0 +1,293 @@
+/**
+ * Recurring delivery schedules
+ * A schedule repeats a customer's order every N days, on given weekdays or on
+ * a fixed day of the month. Each morning the scheduler places that day's
+ * orders through placeOrder, the same path as the createOrder endpoint.
+ * Schedule dates are PKT calendar dates stored as YYYY-MM-DDT00:00:00Z.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { DomainError } from '../utils/errors.js';
+import { getTodayPktDate } from '../utils/timezone.js';
+import { placeOrder } from './orderService.js';
+import { isAutoAssignEnabled } from './riderAssignment.js';
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['EVERY_N_DAYS', 'WEEKDAYS', 'DAY_OF_MONTH'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const invalidSchedule = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_SCHEDULE', details });
+
+/**
+ * Convert a PKT calendar date (YYYY-MM-DD) to its stored form
+ * @param {string} dateStr - Date string
+ * @returns {Date} Date at 00:00 UTC
+ */
+export function toScheduleDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+/**
+ * Convert a stored schedule date back to YYYY-MM-DD
+ * @param {Date} date - Stored date
+ * @returns {string|null} Date string, or null when not set
+ */
+export function fromScheduleDate(date) {
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+const parseDateInput = (value, field) => {
+  if (!DATE_PATTERN.test(String(value))) {
+    throw invalidSchedule(`${field} must be a date in YYYY-MM-DD format`, { [field]: value });
+  }
+  return String(value);
+};
+
+const addDays = (dateStr, days) => fromScheduleDate(new Date(toScheduleDate(dateStr).getTime() + days * DAY_MS));
+
+const lastDayOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+
+// Whether the repeat rule alone (ignoring status, pauses and skips) falls on the date
+const matchesRule = (schedule, dateStr) => {
+  const date = toScheduleDate(dateStr);
+
+  switch (schedule.frequency) {
+    case 'EVERY_N_DAYS': {
+      const days = Math.round((date.getTime() - schedule.startDate.getTime()) / DAY_MS);
+      return days % schedule.intervalDays === 0;
+    }
+    case 'WEEKDAYS':
+      return schedule.weekdays.includes(date.getUTCDay());
+    case 'DAY_OF_MONTH': {
+      // Short months deliver on their last day
+      const day = Math.min(schedule.dayOfMonth, lastDayOfMonth(date));
+      return date.getUTCDate() === day;
+    }
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a schedule should produce an order on a PKT date
+ * @param {Object} schedule - DeliverySchedule
+ * @param {string} dateStr - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export function isDueOn(schedule, dateStr) {
+  if (schedule.status === 'ENDED') return false;
+  if (schedule.status === 'PAUSED') {
+    // An open-ended pause lasts until resumed; a dated one until pausedUntil (inclusive)
+    if (!schedule.pausedUntil || dateStr <= fromScheduleDate(schedule.pausedUntil)) return false;
+  }
+
+  if (dateStr < fromScheduleDate(schedule.startDate)) return false;
+  if (schedule.endDate && dateStr > fromScheduleDate(schedule.endDate)) return false;
+  if (schedule.skipDates.some(skipped => fromScheduleDate(skipped) === dateStr)) return false;
+
+  return matchesRule(schedule, dateStr);
+}
+
+/**
+ * Find the next date on or after a date when a schedule will deliver
+ * @param {Object} schedule - DeliverySchedule
+ * @param {string} fromDateStr - First date to consider (YYYY-MM-DD), defaults to today
+ * @returns {string|null} Next delivery date, or null if there is none within a year
+ */
+export function getNextOccurrence(schedule, fromDateStr = getTodayPktDate()) {
+  for (let offset = 0; offset <= 366; offset++) {
+    const dateStr = addDays(fromDateStr, offset);
+    if (schedule.endDate && dateStr > fromScheduleDate(schedule.endDate)) return null;
+    if (isDueOn(schedule, dateStr)) return dateStr;
+  }
+  return null;
+}
+
+/**
+ * Validate schedule input and turn it into DeliverySchedule fields
+ * @param {Object} input - Request body
+ * @param {Object} options
+ * @param {Object} options.existing - Schedule being updated (its values fill gaps)
+ * @returns {Promise<Object>} Fields for prisma.deliverySchedule.create/update
+ */
+export async function buildScheduleData(input, { existing } = {}) {
+  const merged = {
+    customerId: existing?.customerId,
+    frequency: existing?.frequency,
+    intervalDays: existing?.intervalDays,
+    weekdays: existing?.weekdays,
+    dayOfMonth: existing?.dayOfMonth,
+    numberOfBottles: existing?.numberOfBottles ?? 1,
+    bottleCategoryId: existing?.bottleCategoryId,
+    riderId: existing?.riderId,
+    priority: existing?.priority ?? 'NORMAL',
+    notes: existing?.notes,
+    startDate: fromScheduleDate(existing?.startDate) || getTodayPktDate(),
+    endDate: fromScheduleDate(existing?.endDate),
+    ...Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined))
+  };
+
+  const customer = await prisma.customer.findUnique({
+    where: { id: merged.customerId || '' },
+    select: { id: true, avgDaysToRefill: true }
+  });
+  if (!customer) {
+    throw new DomainError('Customer not found', { status: 404, code: 'CUSTOMER_NOT_FOUND' });
+  }
+
+  const frequency = String(merged.frequency || '').toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw invalidSchedule(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const data = {
+    customerId: customer.id,
+    frequency,
+    intervalDays: null,
+    weekdays: [],
+    dayOfMonth: null
+  };
+
+  if (frequency === 'EVERY_N_DAYS') {
+    // Fall back to the customer's usual refill interval
+    const interval = Number(merged.intervalDays ?? customer.avgDaysToRefill);
+    if (!Number.isInteger(interval) || interval < 1) {
+      throw invalidSchedule('intervalDays must be a whole number of 1 or more');
+    }
+    data.intervalDays = interval;
+  } else if (frequency === 'WEEKDAYS') {
+    const weekdays = Array.isArray(merged.weekdays) ? merged.weekdays.map(Number) : [];
+    if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw invalidSchedule('weekdays must list days from 0 (Sunday) to 6 (Saturday)');
+    }
+    data.weekdays = [...new Set(weekdays)].sort();
+  } else {
+    const dayOfMonth = Number(merged.dayOfMonth);
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      throw invalidSchedule('dayOfMonth must be between 1 and 31');
+    }
+    data.dayOfMonth = dayOfMonth;
+  }
+
+  const numberOfBottles = Number(merged.numberOfBottles);
+  if (!Number.isInteger(numberOfBottles) || numberOfBottles < 1) {
+    throw invalidSchedule('numberOfBottles must be a whole number of 1 or more');
+  }
+  data.numberOfBottles = numberOfBottles;
+
+  if (merged.bottleCategoryId) {
+    const category = await prisma.bottle_categories.findUnique({ where: { id: merged.bottleCategoryId } });
+    if (!category) {
+      throw invalidSchedule('Bottle category not found', { bottleCategoryId: merged.bottleCategoryId });
+    }
+    data.bottleCategoryId = category.id;
+  } else {
+    // Orders are priced per category, so the schedule has to name one. With a single
+    // category it is stored explicitly, so adding a second one later does not break the schedule.
+    const categories = await prisma.bottle_categories.findMany({ select: { id: true }, take: 2 });
+    if (categories.length !== 1) {
+      throw invalidSchedule(categories.length === 0
+        ? 'No bottle categories are configured'
+        : 'bottleCategoryId is required when there is more than one bottle category');
+    }
+    data.bottleCategoryId = categories[0].id;
+  }
+
+  if (merged.riderId) {
+    const rider = await prisma.riderProfile.findFirst({ where: { id: merged.riderId, isActive: true } });
+    if (!rider) {
+      throw invalidSchedule('Rider not found or inactive', { riderId: merged.riderId });
+    }
+  }
+  data.riderId = merged.riderId || null;
+
+  data.priority = String(merged.priority).toUpperCase();
+  data.notes = merged.notes || null;
+
+  const startDate = parseDateInput(merged.startDate, 'startDate');
+  const endDate = merged.endDate ? parseDateInput(merged.endDate, 'endDate') : null;
+  if (endDate && endDate < startDate) {
+    throw invalidSchedule('endDate cannot be before startDate');
+  }
+  data.startDate = toScheduleDate(startDate);
+  data.endDate = endDate ? toScheduleDate(endDate) : null;
+
+  return data;
+}
+
+/**
+ * Place the orders every active schedule is due for on a PKT date.
+ * Safe to run more than once a day: an order already placed for a schedule
+ * and date is not placed again.
+ * @param {string} dateStr - Date (YYYY-MM-DD), defaults to today
+ * @returns {Promise<Object>} { date, created, alreadyCreated, failed: [{ scheduleId, error }] }
+ */
+export async function runSchedulesForDate(dateStr = getTodayPktDate()) {
+  const scheduledFor = toScheduleDate(dateStr);
+  const result = { date: dateStr, created: 0, alreadyCreated: 0, failed: [] };
+
+  const schedules = await prisma.deliverySchedule.findMany({
+    where: { status: { in: ['ACTIVE', 'PAUSED'] } },
+    include: {
+      customer: { select: { isActive: true } },
+      rider: { select: { isActive: true } }
+    }
+  });
+  const autoAssign = await isAutoAssignEnabled();
+
+  for (const schedule of schedules) {
+    // Dated pauses end by themselves
+    if (schedule.status === 'PAUSED' && schedule.pausedUntil && fromScheduleDate(schedule.pausedUntil) < dateStr) {
+      await prisma.deliverySchedule.update({
+        where: { id: schedule.id },
+        data: { status: 'ACTIVE', pausedUntil: null }
+      });
+      schedule.status = 'ACTIVE';
+    }
+
+    if (!schedule.customer.isActive || !isDueOn(schedule, dateStr)) continue;
+
+    try {
+      await placeOrder({
+        customerId: schedule.customerId,
+        numberOfBottles: schedule.numberOfBottles,
+        bottleCategoryId: schedule.bottleCategoryId,
+        // Without an active preferred rider the order is auto-assigned by area when
+        // that mode is on, and otherwise left PENDING for an admin to assign
+        riderId: schedule.rider?.isActive ? schedule.riderId : null,
+        autoAssign,
+        orderType: 'DELIVERY',
+        priority: schedule.priority,
+        notes: schedule.notes,
+        data: {
+          scheduleId: schedule.id,
+          scheduledFor,
+          requestedDeliveryDate: scheduledFor
+        }
+      });
+      result.created += 1;
+    } catch (error) {
+      if (error.code === 'P2002') {
+        result.alreadyCreated += 1;
+      } else {
+        console.error(`Failed to place scheduled order for schedule ${schedule.id}:`, error);
+        result.failed.push({ scheduleId: schedule.id, error: error.message });
+        continue;
+      }
+    }
+
+    const finished = schedule.endDate && dateStr >= fromScheduleDate(schedule.endDate);
+    await prisma.deliverySchedule.update({
+      where: { id: schedule.id },
+      data: {
+        lastRunDate: scheduledFor,
+        ...(finished ? { status: 'ENDED' } : {})
+      }
+    });
+  }
+
+  return result;
+}
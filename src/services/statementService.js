@@ -0,0 +1,302 @@
+/**
+ * Customer account statements
+ * Builds a statement for a PKT date range from the customer's ledger (opening
+ * balance, one line per balance change with the payments behind it, closing
+ * balance) and renders it as CSV or PDF. Its balances are the ledger's, so the
+ * closing balance is the next period's opening balance.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import PDFDocument from 'pdfkit';
+import { getPktDayStartUtc, getPktDayEndUtc, formatPktDate, getTodayPktDate } from '../utils/timezone.js';
+import { formatAddress } from '../utils/address.js';
+import { toCsv } from '../utils/csv.js';
+import { getBalanceAt } from './ledgerService.js';
+import { getDepositHoldings, summarizeDeposits } from './depositService.js';
+
+const prisma = new PrismaClient();
+
+// Statement wording for each LedgerSource
+const SOURCE_LABELS = {
+  OPENING_BALANCE: 'Opening balance',
+  ORDER: 'Order',
+  ORDER_AMENDED: 'Order amended',
+  ORDER_CANCELLED: 'Order cancelled',
+  PAYMENT: 'Payment',
+  PAYMENT_VOIDED: 'Payment voided',
+  REFUND: 'Refund'
+};
+
+const joinUnique = (values) => [...new Set(values.filter(Boolean))].join(', ');
+
+/**
+ * Build a customer's statement for a PKT date range
+ * @param {string} customerId - Customer ID
+ * @param {Object} range
+ * @param {string} range.from - Start date (YYYY-MM-DD, PKT), defaults to the 1st of this month
+ * @param {string} range.to - End date (YYYY-MM-DD, PKT), defaults to today
+ * @returns {Promise<Object|null>} Statement, or null if the customer does not exist
+ */
+export async function buildCustomerStatement(customerId, { from, to } = {}) {
+  const today = getTodayPktDate();
+  const fromDate = from || `${today.slice(0, 8)}01`;
+  const toDate = to || today;
+  const start = getPktDayStartUtc(fromDate);
+  const end = getPktDayEndUtc(toDate);
+
+  const customer = await prisma.customer.findUnique({
+    where: { id: customerId }
+  });
+
+  if (!customer) return null;
+
+  const company = await prisma.company_setups.findFirst({
+    select: {
+      agencyName: true,
+      agencyAddress: true,
+      agencyPhoneNumber: true,
+      agencyLogo: true
+    }
+  });
+
+  const openingBalance = await getBalanceAt(customerId, start);
+
+  const entries = await prisma.customerLedgerEntry.findMany({
+    where: {
+      customerId,
+      createdAt: {
+        gte: start,
+        lte: end
+      }
+    },
+    orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+    include: {
+      order: {
+        select: { id: true, orderType: true, numberOfBottles: true }
+      },
+      payments: {
+        select: { method: true, reference: true },
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  // Deposits are listed on their own and never enter the balance
+  const depositTotals = await summarizeDeposits({ start, end, customerId });
+  const depositsHeld = await getDepositHoldings(customerId, { at: end });
+
+  const lines = entries.map(entry => {
+    const amount = parseFloat(entry.amount);
+
+    return {
+      date: formatPktDate(entry.createdAt),
+      orderId: entry.order ? `#${entry.order.id.slice(-4)}` : '',
+      orderType: entry.order?.orderType || '',
+      details: SOURCE_LABELS[entry.source] || entry.source,
+      description: entry.description || '',
+      // Bottles are counted once, on the line that billed the order
+      bottles: entry.source === 'ORDER' ? entry.order?.numberOfBottles || 0 : 0,
+      debit: entry.entryType === 'DEBIT' ? amount : 0,
+      credit: entry.entryType === 'CREDIT' ? amount : 0,
+      paymentMethod: joinUnique(entry.payments.map(payment => payment.method)),
+      reference: joinUnique(entry.payments.map(payment => payment.reference)),
+      balance: parseFloat(entry.balanceAfter)
+    };
+  });
+
+  const totals = {
+    bottles: lines.reduce((sum, line) => sum + line.bottles, 0),
+    debit: lines.reduce((sum, line) => sum + line.debit, 0),
+    credit: lines.reduce((sum, line) => sum + line.credit, 0)
+  };
+
+  return {
+    company,
+    customer: {
+      id: customer.id,
+      name: customer.name,
+      phone: customer.phone,
+      address: formatAddress(customer)
+    },
+    period: { from: fromDate, to: toDate },
+    openingBalance,
+    lines,
+    totals,
+    closingBalance: lines.length > 0 ? lines[lines.length - 1].balance : openingBalance,
+    deposits: {
+      taken: depositTotals.taken,
+      refunded: depositTotals.refunded,
+      held: depositsHeld.totalHeld,
+      categories: depositsHeld.categories
+    },
+    generatedAt: new Date()
+  };
+}
+
+const STATEMENT_COLUMNS = [
+  { key: 'date', label: 'Date' },
+  { key: 'orderId', label: 'Order' },
+  { key: 'details', label: 'Details' },
+  { key: 'bottles', label: 'Bottles' },
+  { key: 'debit', label: 'Debit' },
+  { key: 'credit', label: 'Credit' },
+  { key: 'paymentMethod', label: 'Method' },
+  { key: 'balance', label: 'Balance' }
+];
+
+/**
+ * Render a statement as CSV
+ * @param {Object} statement - Result of buildCustomerStatement
+ * @returns {string} CSV text
+ */
+export function renderStatementCsv(statement) {
+  const rows = [
+    { date: statement.period.from, details: 'Opening balance', balance: statement.openingBalance },
+    ...statement.lines,
+    {
+      date: statement.period.to,
+      details: 'Closing balance',
+      bottles: statement.totals.bottles,
+      debit: statement.totals.debit,
+      credit: statement.totals.credit,
+      balance: statement.closingBalance
+    },
+    // Deposits are not part of the balance: money taken is a credit, money paid back a debit
+    { date: statement.period.to, details: 'Deposits taken', credit: statement.deposits.taken },
+    { date: statement.period.to, details: 'Deposits refunded', debit: statement.deposits.refunded },
+    { date: statement.period.to, details: 'Deposits held', balance: statement.deposits.held }
+  ];
+
+  return toCsv(rows, STATEMENT_COLUMNS);
+}
+
+// Load the agency logo from a data URI or URL; statements render without it on failure
+const loadLogo = async (agencyLogo) => {
+  if (!agencyLogo) return null;
+
+  try {
+    if (agencyLogo.startsWith('data:')) {
+      return Buffer.from(agencyLogo.split(',')[1] || '', 'base64');
+    }
+    if (/^https?:\/\//.test(agencyLogo)) {
+      const response = await fetch(agencyLogo);
+      if (!response.ok) return null;
+      return Buffer.from(await response.arrayBuffer());
+    }
+  } catch (error) {
+    console.error('Failed to load agency logo:', error);
+  }
+
+  return null;
+};
+
+const formatAmount = (value) => (Number(value) || 0).toFixed(2);
+
+/**
+ * Render a statement as PDF
+ * @param {Object} statement - Result of buildCustomerStatement
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export async function renderStatementPdf(statement) {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => doc.on('end', () => resolve(Buffer.concat(chunks))));
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  // Header: logo + agency details
+  const logo = await loadLogo(statement.company?.agencyLogo);
+  let headerX = left;
+  if (logo) {
+    try {
+      doc.image(logo, left, 40, { fit: [60, 60] });
+      headerX = left + 70;
+    } catch (error) {
+      console.error('Agency logo could not be drawn:', error.message);
+    }
+  }
+
+  doc.fontSize(16).font('Helvetica-Bold')
+    .text(statement.company?.agencyName || 'Account Statement', headerX, 40);
+  doc.fontSize(9).font('Helvetica');
+  if (statement.company?.agencyAddress) doc.text(statement.company.agencyAddress, headerX);
+  if (statement.company?.agencyPhoneNumber) doc.text(statement.company.agencyPhoneNumber, headerX);
+
+  // Customer and period
+  doc.moveDown(2);
+  doc.x = left;
+  doc.y = Math.max(doc.y, 110);
+  doc.fontSize(13).font('Helvetica-Bold').text('Customer Statement', left);
+  doc.fontSize(10).font('Helvetica')
+    .text(`${statement.customer.name} (${statement.customer.phone})`, left)
+    .text(statement.customer.address, left)
+    .text(`Period: ${statement.period.from} to ${statement.period.to}`, left)
+    .text(`Opening balance: Rs ${formatAmount(statement.openingBalance)}`, left);
+
+  // Ledger lines
+  const columnX = [left, left + 65, left + 110, left + 185, left + 235, left + 300, left + 365, left + 445];
+  const drawRow = (values, bold = false) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+    }
+    const y = doc.y;
+    doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    values.forEach((value, index) => {
+      doc.text(String(value ?? ''), columnX[index], y, { width: (columnX[index + 1] || right) - columnX[index] - 4, lineBreak: false });
+    });
+    doc.y = y + 14;
+  };
+
+  doc.moveDown();
+  drawRow(STATEMENT_COLUMNS.map(col => col.label), true);
+  doc.moveTo(left, doc.y - 2).lineTo(right, doc.y - 2).stroke();
+
+  statement.lines.forEach(line => {
+    drawRow([
+      line.date,
+      line.orderId,
+      line.details,
+      line.bottles || '',
+      line.debit ? formatAmount(line.debit) : '',
+      line.credit ? formatAmount(line.credit) : '',
+      line.paymentMethod,
+      formatAmount(line.balance)
+    ]);
+  });
+
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 4;
+  drawRow([
+    'Total',
+    '',
+    '',
+    statement.totals.bottles,
+    formatAmount(statement.totals.debit),
+    formatAmount(statement.totals.credit),
+    '',
+    ''
+  ], true);
+
+  doc.moveDown();
+  doc.fontSize(11).font('Helvetica-Bold')
+    .text(`Closing balance: Rs ${formatAmount(statement.closingBalance)}`, left);
+
+  // Deposits are shown apart from the balance
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica-Bold').text('Bottle security deposits (not part of balance)', left);
+  doc.fontSize(9).font('Helvetica')
+    .text(`Taken in period: Rs ${formatAmount(statement.deposits.taken)}`, left)
+    .text(`Refunded in period: Rs ${formatAmount(statement.deposits.refunded)}`, left);
+  statement.deposits.categories.forEach(holding => {
+    doc.text(`${holding.categoryName}: ${holding.bottlesHeld} bottle(s), Rs ${formatAmount(holding.amountHeld)} held`, left);
+  });
+  doc.font('Helvetica-Bold').text(`Total deposit held: Rs ${formatAmount(statement.deposits.held)}`, left);
+  doc.moveDown(0.5);
+  doc.fontSize(8).font('Helvetica')
+    .text(`Generated on ${formatPktDate(statement.generatedAt)}`, left);
+
+  doc.end();
+  return finished;
+}
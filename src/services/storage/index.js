@@ -0,0 +1,78 @@
+/**
+ * File storage
+ * Stores uploaded files (delivery proof photos, signatures) through a
+ * pluggable adapter picked by STORAGE_PROVIDER:
+ *   local    - (default outside production) writes under UPLOADS_DIR and
+ *              serves them from /uploads through signed URLs; for dev/test
+ *   supabase - (default in production) uploads to the SUPABASE_STORAGE_BUCKET
+ *              bucket and hands out signed URLs
+ * An adapter exports save({ key, buffer, contentType }), getUrl(key) and
+ * remove(key). Files are referred to by key, never by URL, so the URL can
+ * change (or expire) without touching stored rows.
+ */
+
+import * as localAdapter from './localAdapter.js';
+import * as supabaseAdapter from './supabaseAdapter.js';
+
+const ADAPTERS = {
+  local: localAdapter,
+  supabase: supabaseAdapter
+};
+
+/**
+ * Get the configured storage provider name
+ * @returns {string} local or supabase
+ */
+export function getStorageProvider() {
+  return process.env.STORAGE_PROVIDER || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+}
+
+const getAdapter = () => {
+  const provider = getStorageProvider();
+  const adapter = ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown STORAGE_PROVIDER "${provider}"`);
+  }
+  return adapter;
+};
+
+/**
+ * Store a file
+ * @param {Object} file
+ * @param {string} file.key - Path of the file inside the store (e.g. delivery-proofs/<orderId>/photo.jpg)
+ * @param {Buffer} file.buffer - File contents
+ * @param {string} file.contentType - MIME type
+ * @returns {Promise<string>} Key the file was stored under
+ */
+export async function saveFile({ key, buffer, contentType }) {
+  await getAdapter().save({ key, buffer, contentType });
+  return key;
+}
+
+/**
+ * Get a URL the frontend can load a stored file from
+ * @param {string} key - Key the file was stored under
+ * @returns {Promise<string|null>} URL, or null when there is no file or it cannot be reached
+ */
+export async function getFileUrl(key) {
+  if (!key) return null;
+  try {
+    return await getAdapter().getUrl(key);
+  } catch (error) {
+    console.error(`Failed to get URL for ${key}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Delete a stored file. Never throws: a file left behind is only logged.
+ * @param {string} key - Key the file was stored under
+ */
+export async function deleteFile(key) {
+  if (!key) return;
+  try {
+    await getAdapter().remove(key);
+  } catch (error) {
+    console.error(`Failed to delete ${key}:`, error);
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Local filesystem storage adapter: files live under UPLOADS_DIR (default
+ * ./uploads) and are served by the API at /uploads through signed URLs that
+ * expire after STORAGE_URL_EXPIRES_IN seconds (default one hour), like the
+ * Supabase adapter's
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const UPLOADS_ROUTE = '/uploads';
+
+export const getUploadsDir = () => path.resolve(process.env.UPLOADS_DIR || 'uploads');
+
+const getUrlSecret = () => process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET || 'smart-supply-secret-key-2024';
+
+const sign = (key, expires) =>
+  crypto.createHmac('sha256', getUrlSecret()).update(`${key}:${expires}`).digest('base64url');
+
+// Keep keys inside the uploads directory
+const resolveKey = (key) => {
+  const root = getUploadsDir();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+export async function save({ key, buffer }) {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+}
+
+export async function getUrl(key) {
+  resolveKey(key);
+  const expiresIn = parseInt(process.env.STORAGE_URL_EXPIRES_IN, 10) || 60 * 60;
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return `${UPLOADS_ROUTE}/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+}
+
+export async function remove(key) {
+  await fs.rm(resolveKey(key), { force: true });
+}
+
+/**
+ * Express handler for UPLOADS_ROUTE: sends a file only for a URL from getUrl that has not expired
+ * @param {Object} req - Express request (path is the key)
+ * @param {Object} res - Express response
+ */
+export function serveSignedFile(req, res) {
+  const key = decodeURIComponent(req.path.replace(/^\//, ''));
+  const expires = parseInt(req.query.expires, 10);
+  const signature = String(req.query.signature || '');
+
+  const expected = Number.isFinite(expires) ? sign(key, expires) : '';
+  const valid = expected.length > 0 &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (!valid || expires * 1000 < Date.now()) {
+    return res.status(403).json({ success: false, message: 'File link is invalid or has expired' });
+  }
+
+  let filePath;
+  try {
+    filePath = resolveKey(key);
+  } catch (error) {
+    return res.status(404).json({ success: false, message: 'File not found' });
+  }
+
+  return res.sendFile(filePath, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ success: false, message: 'File not found' });
+    }
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * Supabase storage adapter: files go to the private SUPABASE_STORAGE_BUCKET
+ * bucket (default delivery-proofs) and are read through signed URLs that
+ * expire after STORAGE_URL_EXPIRES_IN seconds (default one hour)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+
+let client = null;
+
+const getBucket = () => {
+  if (!client) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set for Supabase storage');
+    }
+    client = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+      auth: { persistSession: false }
+    });
+  }
+  return client.storage.from(process.env.SUPABASE_STORAGE_BUCKET || 'delivery-proofs');
+};
+
+export async function save({ key, buffer, contentType }) {
+  const { error } = await getBucket().upload(key, buffer, { contentType, upsert: false });
+  if (error) {
+    throw new Error(`Supabase upload failed: ${error.message}`);
+  }
+}
+
+export async function getUrl(key) {
+  const expiresIn = parseInt(process.env.STORAGE_URL_EXPIRES_IN, 10) || 60 * 60;
+  const { data, error } = await getBucket().createSignedUrl(key, expiresIn);
+  if (error) {
+    throw new Error(`Supabase signed URL failed: ${error.message}`);
+  }
+  return data.signedUrl;
+}
+
+export async function remove(key) {
+  const { error } = await getBucket().remove([key]);
+  if (error) {
+    throw new Error(`Supabase delete failed: ${error.message}`);
+  }
+}
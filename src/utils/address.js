@@ -0,0 +1,10 @@
+// Format a customer's address parts into a single display line
+export const formatAddress = (customer) => {
+  const parts = [
+    customer.houseNo,
+    customer.streetNo,
+    customer.area,
+    customer.city
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : 'No address';
+};
@@ -0,0 +1,43 @@
+/**
+ * CSV helpers for downloadable reports
+ */
+
+/**
+ * Escape a single value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Build a CSV document from rows
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - [{ key, label }] in output order
+ * @returns {string} CSV text with a header line
+ */
+export function toCsv(rows, columns) {
+  const header = columns.map(col => escapeCsvValue(col.label)).join(',');
+  const lines = rows.map(row =>
+    columns.map(col => escapeCsvValue(row[col.key])).join(',')
+  );
+  return [header, ...lines].join('\r\n');
+}
+
+/**
+ * Send CSV text as a file download
+ * @param {Object} res - Express response
+ * @param {string} filename - Suggested file name
+ * @param {string} csv - CSV text
+ */
+export function sendCsv(res, filename, csv) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csv);
+}
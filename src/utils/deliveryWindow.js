@@ -0,0 +1,138 @@
+/**
+ * Requested delivery date and time window on orders
+ * The requested date is a PKT calendar date stored as YYYY-MM-DDT00:00:00Z;
+ * the window is a pair of PKT times (HH:MM). An order without a requested
+ * date is due on the day it was created.
+ */
+
+import { DomainError } from './errors.js';
+import { formatPktDate, getTodayPktDate, getPktDayStartUtc, getPktDayEndUtc } from './timezone.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const invalidWindow = (message, details = {}) =>
+  new DomainError(message, { status: 400, code: 'INVALID_DELIVERY_WINDOW', details });
+
+/**
+ * Convert a PKT calendar date (YYYY-MM-DD) to its stored form
+ * @param {string} dateStr - Date string
+ * @returns {Date} Date at 00:00 UTC
+ */
+export function toDeliveryDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00Z`);
+}
+
+/**
+ * Validate a requested delivery date and window from a request body
+ * @param {Object} input
+ * @param {string} input.requestedDeliveryDate - YYYY-MM-DD (PKT), today or later
+ * @param {string} input.deliveryWindowStart - HH:MM (PKT)
+ * @param {string} input.deliveryWindowEnd - HH:MM (PKT), after the start
+ * @returns {Object} Order fields (empty when nothing was requested)
+ */
+export function parseDeliveryWindow({ requestedDeliveryDate, deliveryWindowStart, deliveryWindowEnd }) {
+  const fields = {};
+
+  if (requestedDeliveryDate) {
+    if (!DATE_PATTERN.test(requestedDeliveryDate)) {
+      throw invalidWindow('requestedDeliveryDate must be in YYYY-MM-DD format', { requestedDeliveryDate });
+    }
+    const parsed = toDeliveryDate(requestedDeliveryDate);
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== requestedDeliveryDate) {
+      throw invalidWindow('requestedDeliveryDate is not a valid calendar date', { requestedDeliveryDate });
+    }
+    if (requestedDeliveryDate < getTodayPktDate()) {
+      throw invalidWindow('requestedDeliveryDate cannot be in the past', { requestedDeliveryDate });
+    }
+    fields.requestedDeliveryDate = parsed;
+  }
+
+  if (deliveryWindowStart || deliveryWindowEnd) {
+    if (!TIME_PATTERN.test(deliveryWindowStart || '') || !TIME_PATTERN.test(deliveryWindowEnd || '')) {
+      throw invalidWindow('deliveryWindowStart and deliveryWindowEnd must both be HH:MM', { deliveryWindowStart, deliveryWindowEnd });
+    }
+    if (deliveryWindowStart >= deliveryWindowEnd) {
+      throw invalidWindow('deliveryWindowEnd must be after deliveryWindowStart', { deliveryWindowStart, deliveryWindowEnd });
+    }
+    fields.deliveryWindowStart = deliveryWindowStart;
+    fields.deliveryWindowEnd = deliveryWindowEnd;
+  }
+
+  return fields;
+}
+
+/**
+ * The PKT date an order is due for delivery
+ * @param {Object} order - Order with requestedDeliveryDate and createdAt
+ * @returns {string} YYYY-MM-DD
+ */
+export function getDeliveryDate(order) {
+  return order.requestedDeliveryDate
+    ? order.requestedDeliveryDate.toISOString().slice(0, 10)
+    : formatPktDate(order.createdAt);
+}
+
+/**
+ * Delivery date and window fields for API responses
+ * @param {Object} order - Order
+ * @returns {Object} { deliveryDate, requestedDeliveryDate, deliveryWindow }
+ */
+export function formatDeliveryWindow(order) {
+  return {
+    deliveryDate: getDeliveryDate(order),
+    requestedDeliveryDate: order.requestedDeliveryDate ? order.requestedDeliveryDate.toISOString().slice(0, 10) : null,
+    deliveryWindow: order.deliveryWindowStart
+      ? { start: order.deliveryWindowStart, end: order.deliveryWindowEnd }
+      : null
+  };
+}
+
+/**
+ * Prisma where clause for orders due for delivery on a PKT date
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Object} Where clause
+ */
+export function deliveryDateWhere(dateStr) {
+  return {
+    OR: [
+      { requestedDeliveryDate: toDeliveryDate(dateStr) },
+      {
+        requestedDeliveryDate: null,
+        createdAt: {
+          gte: getPktDayStartUtc(dateStr),
+          lte: getPktDayEndUtc(dateStr)
+        }
+      }
+    ]
+  };
+}
+
+/**
+ * Prisma where clause for orders due on or before a PKT date
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {Object} Where clause
+ */
+export function dueByDateWhere(dateStr) {
+  return {
+    OR: [
+      { requestedDeliveryDate: { lte: toDeliveryDate(dateStr) } },
+      {
+        requestedDeliveryDate: null,
+        createdAt: { lte: getPktDayEndUtc(dateStr) }
+      }
+    ]
+  };
+}
+
+/**
+ * Sort comparator: earliest delivery date first, then earliest window start
+ * @param {Object} a - Order
+ * @param {Object} b - Order
+ * @returns {number}
+ */
+export function compareByDelivery(a, b) {
+  const byDate = getDeliveryDate(a).localeCompare(getDeliveryDate(b));
+  if (byDate !== 0) return byDate;
+  return (a.deliveryWindowStart || '99:99').localeCompare(b.deliveryWindowStart || '99:99');
+}
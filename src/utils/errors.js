@@ -0,0 +1,21 @@
+/**
+ * Domain errors raised by services when a business rule is violated.
+ * Controllers translate them into HTTP responses with sendDomainError.
+ */
+
+export class DomainError extends Error {
+  /**
+   * @param {string} message - Human readable message returned to the client
+   * @param {Object} options
+   * @param {number} options.status - HTTP status code to respond with
+   * @param {string} options.code - Machine readable error code
+   * @param {Object} options.details - Extra context for the client
+   */
+  constructor(message, { status = 400, code = 'DOMAIN_ERROR', details = {} } = {}) {
+    super(message);
+    this.name = 'DomainError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * GPS coordinate helpers
+ */
+
+import { DomainError } from './errors.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Read a latitude or longitude sent by a client
+ * @param {*} value - Number or numeric string
+ * @param {number} limit - 90 for latitude, 180 for longitude
+ * @returns {number|null} Coordinate, or null when missing or out of range
+ */
+export function parseCoordinate(value, limit) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || Math.abs(number) > limit) return null;
+  return number;
+}
+
+/**
+ * Read an optional latitude/longitude pair (a customer's or the agency's location)
+ * @param {*} latitude - Latitude, or null/'' to clear
+ * @param {*} longitude - Longitude, or null/'' to clear
+ * @returns {Object|undefined} { latitude, longitude } (both null when cleared), or undefined when neither was sent
+ */
+export function parseLocation(latitude, longitude) {
+  if (latitude === undefined && longitude === undefined) return undefined;
+
+  const cleared = (value) => value === undefined || value === null || value === '';
+  if (cleared(latitude) && cleared(longitude)) return { latitude: null, longitude: null };
+
+  const location = { latitude: parseCoordinate(latitude, 90), longitude: parseCoordinate(longitude, 180) };
+  if (location.latitude === null || location.longitude === null) {
+    throw new DomainError('latitude (-90 to 90) and longitude (-180 to 180) must be sent together', {
+      status: 400,
+      code: 'INVALID_LOCATION',
+      details: { latitude, longitude }
+    });
+  }
+  return location;
+}
+
+/**
+ * Straight-line (great-circle) distance between two points
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in kilometres
+ */
+export function distanceKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
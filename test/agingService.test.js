@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allocateBalance, getAgingBucket } from '../src/services/agingService.js';
+
+// 10:00 PKT on the given day
+const pkt = (dateStr) => new Date(`${dateStr}T05:00:00Z`);
+
+const order = (id, dateStr, currentOrderAmount, paidAmount = 0) => ({
+  id, riderId: `rider-${id}`, createdAt: pkt(dateStr), currentOrderAmount: String(currentOrderAmount), paidAmount: String(paidAmount)
+});
+
+test('allocateBalance matches the balance against the newest unpaid orders first', () => {
+  const orders = [order('o3', '2026-03-28', 300), order('o2', '2026-03-10', 500, 200), order('o1', '2026-02-01', 400)];
+
+  const portions = allocateBalance(700, orders, { asOf: '2026-03-31', fallbackDate: pkt('2025-12-01') });
+
+  assert.deepEqual(portions, [
+    { orderId: 'o3', riderId: 'rider-o3', date: '2026-03-28', days: 3, amount: 300 },
+    { orderId: 'o2', riderId: 'rider-o2', date: '2026-03-10', days: 21, amount: 300 },
+    { orderId: 'o1', riderId: 'rider-o1', date: '2026-02-01', days: 58, amount: 100 }
+  ]);
+});
+
+test('allocateBalance ages what the orders do not cover from the fallback date', () => {
+  const orders = [order('o1', '2026-03-30', 200)];
+
+  const portions = allocateBalance(450.5, orders, { asOf: '2026-03-31', fallbackDate: pkt('2026-01-01') });
+
+  assert.equal(portions.length, 2);
+  assert.deepEqual(portions[1], { orderId: null, riderId: null, date: '2026-01-01', days: 89, amount: 250.5 });
+});
+
+test('allocateBalance skips fully paid and overpaid orders', () => {
+  const orders = [order('o2', '2026-03-30', 200, 200), order('o1', '2026-03-20', 150, -50)];
+
+  const portions = allocateBalance(100, orders, { asOf: '2026-03-31', fallbackDate: pkt('2026-01-01') });
+
+  // A negative paidAmount counts as nothing paid
+  assert.deepEqual(portions.map(portion => [portion.orderId, portion.amount]), [['o1', 100]]);
+});
+
+test('allocateBalance never ages the leftover before the as-of date', () => {
+  const portions = allocateBalance(50, [], { asOf: '2026-03-31', fallbackDate: pkt('2026-04-02') });
+
+  assert.equal(portions[0].days, 0);
+});
+
+test('getAgingBucket puts boundary days in the lower bucket', () => {
+  assert.equal(getAgingBucket(0), 'days0to7');
+  assert.equal(getAgingBucket(7), 'days0to7');
+  assert.equal(getAgingBucket(8), 'days8to30');
+  assert.equal(getAgingBucket(90), 'days61to90');
+  assert.equal(getAgingBucket(91), 'days90plus');
+});
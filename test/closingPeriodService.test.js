@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePeriod } from '../src/services/closingPeriodService.js';
+
+const invalidPeriod = (pattern) => (error) => {
+  assert.equal(error.code, 'INVALID_PERIOD');
+  assert.equal(error.status, 400);
+  assert.match(error.message, pattern);
+  return true;
+};
+
+test('resolvePeriod runs a week from Monday to Sunday', () => {
+  // 2026-03-18 is a Wednesday
+  assert.deepEqual(resolvePeriod({ period: 'weekly', date: '2026-03-18' }), { type: 'weekly', from: '2026-03-16', to: '2026-03-22' });
+  // A Sunday belongs to the week that started six days earlier
+  assert.deepEqual(resolvePeriod({ period: 'weekly', date: '2026-03-22' }), { type: 'weekly', from: '2026-03-16', to: '2026-03-22' });
+  assert.deepEqual(resolvePeriod({ period: 'weekly', date: '2026-03-16' }), { type: 'weekly', from: '2026-03-16', to: '2026-03-22' });
+});
+
+test('resolvePeriod weeks can span a month or year end', () => {
+  assert.deepEqual(resolvePeriod({ period: 'WEEKLY', date: '2026-01-01' }), { type: 'weekly', from: '2025-12-29', to: '2026-01-04' });
+});
+
+test('resolvePeriod covers every day of the month', () => {
+  assert.deepEqual(resolvePeriod({ period: 'monthly', month: '2026-04' }), { type: 'monthly', from: '2026-04-01', to: '2026-04-30' });
+  assert.deepEqual(resolvePeriod({ month: '2028-02' }), { type: 'monthly', from: '2028-02-01', to: '2028-02-29' });
+  assert.deepEqual(resolvePeriod({ month: '2027-02' }), { type: 'monthly', from: '2027-02-01', to: '2027-02-28' });
+});
+
+test('resolvePeriod accepts a custom range of up to 366 days', () => {
+  assert.deepEqual(resolvePeriod({ period: 'custom', from: '2026-03-05', to: '2026-03-05' }), { type: 'custom', from: '2026-03-05', to: '2026-03-05' });
+  assert.deepEqual(resolvePeriod({ period: 'custom', from: '2028-01-01', to: '2028-12-31' }), { type: 'custom', from: '2028-01-01', to: '2028-12-31' });
+});
+
+test('resolvePeriod rejects invalid periods with INVALID_PERIOD', () => {
+  assert.throws(() => resolvePeriod({ period: 'custom', from: '2026-03-10', to: '2026-03-01' }), invalidPeriod(/cannot be before/));
+  assert.throws(() => resolvePeriod({ period: 'custom', from: '2026-01-01', to: '2027-01-02' }), invalidPeriod(/at most 366 days/));
+  assert.throws(() => resolvePeriod({ period: 'custom', from: '2026-03-01' }), invalidPeriod(/to must be a date/));
+  assert.throws(() => resolvePeriod({ period: 'weekly', date: '18-03-2026' }), invalidPeriod(/date must be a date/));
+  assert.throws(() => resolvePeriod({ period: 'monthly', month: '2026-4' }), invalidPeriod(/YYYY-MM/));
+  assert.throws(() => resolvePeriod({ period: 'yearly' }), invalidPeriod(/weekly, monthly or custom/));
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPaymentRows } from '../src/services/dailyClosingService.js';
+
+const counts = (entries) => new Map(entries.map(([method, countedAmount, reason = null]) => [method, { countedAmount, reason }]));
+
+test('buildPaymentRows expects collections plus net deposits per method', () => {
+  const rows = buildPaymentRows(
+    [{ method: 'CASH', amount: 5000, ordersCount: 4 }],
+    [{ method: 'CASH', net: 700 }],
+    counts([['CASH', 5700]]),
+    { requireReasons: true }
+  );
+
+  assert.deepEqual(rows, [{
+    paymentMethod: 'CASH',
+    amount: 5000,
+    depositAmount: 700,
+    ordersCount: 4,
+    countedAmount: 5700,
+    variance: 0,
+    varianceReason: null
+  }]);
+});
+
+test('buildPaymentRows subtracts refunds beyond deposits taken', () => {
+  const [row] = buildPaymentRows(
+    [{ method: 'CASH', amount: 1000, ordersCount: 1 }],
+    [{ method: 'CASH', net: -400 }],
+    counts([['CASH', 600]]),
+    { requireReasons: true }
+  );
+
+  assert.equal(row.depositAmount, -400);
+  assert.equal(row.variance, 0);
+});
+
+test('buildPaymentRows adds rows for deposit-only and counted-only methods', () => {
+  const rows = buildPaymentRows(
+    [{ method: 'CASH', amount: 1000, ordersCount: 1 }],
+    [{ method: 'BANK_TRANSFER', net: 500 }, { method: 'CARD', net: 0 }],
+    counts([['JAZZCASH', 200, 'Found in drawer']]),
+    { requireReasons: true }
+  );
+
+  assert.deepEqual(rows.map(row => [row.paymentMethod, row.depositAmount, row.countedAmount, row.variance]), [
+    ['CASH', 0, null, 0],
+    ['BANK_TRANSFER', 500, null, 0],
+    ['JAZZCASH', 0, 200, 200]
+  ]);
+  assert.equal(rows[2].varianceReason, 'Found in drawer');
+});
+
+test('buildPaymentRows requires a reason for a variance only when asked to', () => {
+  const args = [[{ method: 'CASH', amount: 1000.5, ordersCount: 2 }], [], counts([['CASH', 990]])];
+
+  assert.throws(() => buildPaymentRows(...args, { requireReasons: true }), (error) => {
+    assert.equal(error.code, 'VARIANCE_REASON_REQUIRED');
+    assert.deepEqual(error.details, { method: 'CASH', expected: 1000.5, counted: 990, variance: -10.5 });
+    return true;
+  });
+
+  const [row] = buildPaymentRows(...args, { requireReasons: false });
+  assert.equal(row.variance, -10.5);
+  assert.equal(row.varianceReason, null);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeliveryWindow } from '../src/utils/deliveryWindow.js';
+import { getTodayPktDate } from '../src/utils/timezone.js';
+
+const invalidWindow = (pattern) => (error) => {
+  assert.equal(error.code, 'INVALID_DELIVERY_WINDOW');
+  assert.equal(error.status, 400);
+  assert.match(error.message, pattern);
+  return true;
+};
+
+const FUTURE = '2099-06-15';
+
+test('parseDeliveryWindow returns nothing when nothing was requested', () => {
+  assert.deepEqual(parseDeliveryWindow({}), {});
+});
+
+test('parseDeliveryWindow stores the requested date at 00:00 UTC', () => {
+  const fields = parseDeliveryWindow({ requestedDeliveryDate: FUTURE, deliveryWindowStart: '09:00', deliveryWindowEnd: '12:30' });
+
+  assert.deepEqual(fields, {
+    requestedDeliveryDate: new Date(`${FUTURE}T00:00:00Z`),
+    deliveryWindowStart: '09:00',
+    deliveryWindowEnd: '12:30'
+  });
+});
+
+test('parseDeliveryWindow accepts today and leap days', () => {
+  const today = getTodayPktDate();
+
+  assert.equal(parseDeliveryWindow({ requestedDeliveryDate: today }).requestedDeliveryDate.toISOString().slice(0, 10), today);
+  assert.ok(parseDeliveryWindow({ requestedDeliveryDate: '2096-02-29' }).requestedDeliveryDate);
+});
+
+test('parseDeliveryWindow rejects dates that are not real calendar dates', () => {
+  for (const requestedDeliveryDate of ['2099-13-45', '2099-02-30', '2099-04-31', '2097-02-29', '2099-00-10']) {
+    assert.throws(() => parseDeliveryWindow({ requestedDeliveryDate }), invalidWindow(/not a valid calendar date/), requestedDeliveryDate);
+  }
+});
+
+test('parseDeliveryWindow rejects badly formatted and past dates', () => {
+  assert.throws(() => parseDeliveryWindow({ requestedDeliveryDate: '15/06/2099' }), invalidWindow(/YYYY-MM-DD/));
+  assert.throws(() => parseDeliveryWindow({ requestedDeliveryDate: '2020-01-01' }), invalidWindow(/past/));
+});
+
+test('parseDeliveryWindow needs both ends of the window, start before end', () => {
+  assert.throws(() => parseDeliveryWindow({ deliveryWindowStart: '09:00' }), invalidWindow(/both be HH:MM/));
+  assert.throws(() => parseDeliveryWindow({ deliveryWindowStart: '9:00', deliveryWindowEnd: '12:00' }), invalidWindow(/both be HH:MM/));
+  assert.throws(() => parseDeliveryWindow({ deliveryWindowStart: '24:00', deliveryWindowEnd: '12:00' }), invalidWindow(/both be HH:MM/));
+  assert.throws(() => parseDeliveryWindow({ deliveryWindowStart: '12:00', deliveryWindowEnd: '12:00' }), invalidWindow(/after deliveryWindowStart/));
+  assert.throws(() => parseDeliveryWindow({ deliveryWindowStart: '15:00', deliveryWindowEnd: '11:00' }), invalidWindow(/after deliveryWindowStart/));
+});
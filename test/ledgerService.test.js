@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { postLedgerEntry, getBalancesAt } from '../src/services/ledgerService.js';
+
+// In-memory stand-in for the parts of a Prisma transaction the ledger uses
+const createTx = (customers) => {
+  const entries = [];
+  const tx = {
+    entries,
+    $queryRaw: async () => [],
+    customer: {
+      findUnique: async ({ where }) => customers.find(customer => customer.id === where.id) || null,
+      update: async ({ where, data }) => Object.assign(customers.find(customer => customer.id === where.id), data)
+    },
+    customerLedgerEntry: {
+      findFirst: async ({ where }) => entries.find(entry => entry.customerId === where.customerId) || null,
+      create: async ({ data }) => {
+        const entry = { id: `entry-${entries.length + 1}`, ...data };
+        entries.push(entry);
+        return entry;
+      }
+    }
+  };
+  return tx;
+};
+
+test('postLedgerEntry appends a DEBIT and moves currentBalance', async () => {
+  const tx = createTx([{ id: 'c1', currentBalance: '0' }]);
+
+  const result = await postLedgerEntry(tx, { customerId: 'c1', change: 500, source: 'ORDER', orderId: 'o1' });
+
+  assert.equal(result.balanceBefore, 0);
+  assert.equal(result.balanceAfter, 500);
+  assert.equal(result.entry.entryType, 'DEBIT');
+  assert.equal(result.entry.amount, 500);
+  assert.equal(result.entry.orderId, 'o1');
+  assert.equal(tx.entries.length, 1);
+  assert.equal((await tx.customer.findUnique({ where: { id: 'c1' } })).currentBalance, 500);
+});
+
+test('postLedgerEntry writes a CREDIT with a positive amount for a negative change', async () => {
+  const tx = createTx([{ id: 'c1', currentBalance: '0' }]);
+  await postLedgerEntry(tx, { customerId: 'c1', change: 300, source: 'ORDER' });
+
+  const result = await postLedgerEntry(tx, { customerId: 'c1', change: -120, source: 'PAYMENT' });
+
+  assert.equal(result.entry.entryType, 'CREDIT');
+  assert.equal(result.entry.amount, 120);
+  assert.equal(result.balanceAfter, 180);
+});
+
+test('postLedgerEntry carries a pre-ledger balance over as an opening entry first', async () => {
+  const tx = createTx([{ id: 'c1', currentBalance: '250' }]);
+
+  const result = await postLedgerEntry(tx, { customerId: 'c1', change: 100, source: 'ORDER' });
+
+  assert.equal(tx.entries.length, 2);
+  assert.equal(tx.entries[0].source, 'OPENING_BALANCE');
+  assert.equal(tx.entries[0].amount, 250);
+  assert.equal(tx.entries[0].balanceAfter, 250);
+  assert.equal(result.balanceAfter, 350);
+});
+
+test('postLedgerEntry writes nothing for a zero change', async () => {
+  const tx = createTx([{ id: 'c1', currentBalance: '0' }]);
+
+  const result = await postLedgerEntry(tx, { customerId: 'c1', change: 0, source: 'ORDER' });
+
+  assert.deepEqual(result, { entry: null, balanceBefore: 0, balanceAfter: 0 });
+  assert.equal(tx.entries.length, 0);
+});
+
+test('postLedgerEntry rejects an unknown customer', async () => {
+  const tx = createTx([]);
+
+  await assert.rejects(
+    postLedgerEntry(tx, { customerId: 'missing', change: 10, source: 'ORDER' }),
+    /Customer missing not found/
+  );
+});
+
+test('getBalancesAt uses the last entry before the point in time', async () => {
+  const client = {
+    $queryRaw: async () => [
+      { customerId: 'c1', currentBalance: '900', balanceAfter: '400', hasEntries: true },
+      { customerId: 'c2', currentBalance: '700', balanceAfter: null, hasEntries: true },
+      { customerId: 'c3', currentBalance: '150', balanceAfter: null, hasEntries: false }
+    ]
+  };
+
+  const balances = await getBalancesAt(new Date('2026-01-01T00:00:00Z'), client);
+
+  assert.deepEqual(balances, [
+    // Entry before `at`
+    { customerId: 'c1', balance: 400 },
+    // Ledger only starts after `at`
+    { customerId: 'c2', balance: 0 },
+    // Never posted to: still on its pre-ledger balance
+    { customerId: 'c3', balance: 150 }
+  ]);
+});
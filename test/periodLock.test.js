@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOrderPeriodDate } from '../src/services/periodLock.js';
+
+test('getOrderPeriodDate uses the PKT day the order was created on', () => {
+  assert.equal(getOrderPeriodDate({ createdAt: new Date('2026-03-10T10:00:00Z') }), '2026-03-10');
+});
+
+test('getOrderPeriodDate moves late UTC evenings to the next PKT day', () => {
+  // 19:00 UTC is midnight PKT
+  assert.equal(getOrderPeriodDate({ createdAt: new Date('2026-03-10T18:59:59Z') }), '2026-03-10');
+  assert.equal(getOrderPeriodDate({ createdAt: new Date('2026-03-10T19:00:00Z') }), '2026-03-11');
+  assert.equal(getOrderPeriodDate({ createdAt: new Date('2026-12-31T20:00:00Z') }), '2027-01-01');
+});
+
+test('getOrderPeriodDate ignores the requested delivery date', () => {
+  const order = {
+    createdAt: new Date('2026-03-10T06:00:00Z'),
+    requestedDeliveryDate: new Date('2026-03-14T00:00:00Z')
+  };
+
+  assert.equal(getOrderPeriodDate(order), '2026-03-10');
+});
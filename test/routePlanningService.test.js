@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sequenceStops } from '../src/services/routePlanningService.js';
+import { distanceKm } from '../src/utils/geo.js';
+
+// Stops along a north-south line; one unit is 0.01 degrees of latitude (about 1.1 km)
+const ORIGIN = { latitude: 31.5, longitude: 74.3 };
+const stop = (orderId, units, priority = 'NORMAL') => ({
+  orderId,
+  priority,
+  latitude: units === null ? null : ORIGIN.latitude + units * 0.01,
+  longitude: units === null ? null : ORIGIN.longitude
+});
+
+const ids = (sequence) => sequence.map(item => item.orderId);
+
+test('sequenceStops visits the nearest stop first', () => {
+  const sequence = sequenceStops(ORIGIN, [stop('far', 3), stop('near', 1), stop('middle', 2)]);
+
+  assert.deepEqual(ids(sequence), ['near', 'middle', 'far']);
+});
+
+test('sequenceStops shortens a greedy tour with 2-opt', () => {
+  // Units east and north of the origin. Greedy goes A, B, C and only then
+  // doubles back to D south of the origin; starting at D avoids the long leg back.
+  const at = (orderId, east, north) => ({
+    orderId, priority: 'NORMAL', latitude: ORIGIN.latitude + north * 0.01, longitude: ORIGIN.longitude + east * 0.01
+  });
+  const stops = [at('C', 0, 2), at('A', 1, 0), at('B', 2, 1), at('D', 0, -1)];
+
+  const sequence = sequenceStops(ORIGIN, stops);
+
+  assert.deepEqual(ids(sequence), ['D', 'A', 'B', 'C']);
+  const greedy = [ORIGIN, stops[1], stops[2], stops[0], stops[3]]
+    .reduce((total, point, index, path) => (index === 0 ? 0 : total + distanceKm(path[index - 1], point)), 0);
+  assert.ok(sequence[3].cumulativeKm < greedy);
+});
+
+test('sequenceStops visits URGENT stops before the rest', () => {
+  const sequence = sequenceStops(ORIGIN, [stop('near', 1), stop('urgent', 5, 'URGENT')]);
+
+  assert.deepEqual(ids(sequence), ['urgent', 'near']);
+  // The second tier carries on from the last urgent stop
+  assert.ok(Math.abs(sequence[1].legKm - distanceKm(stop('', 5), stop('', 1))) < 0.01);
+});
+
+test('sequenceStops lists stops without coordinates after the located ones in their tier', () => {
+  const sequence = sequenceStops(ORIGIN, [
+    stop('unknown', null),
+    stop('located', 2),
+    stop('urgent-unknown', null, 'URGENT')
+  ]);
+
+  assert.deepEqual(ids(sequence), ['urgent-unknown', 'located', 'unknown']);
+  assert.equal(sequence[0].legKm, null);
+  assert.equal(sequence[0].cumulativeKm, null);
+  assert.equal(sequence[2].cumulativeKm, null);
+});
+
+test('sequenceStops starts at the first stop when there is no origin', () => {
+  const sequence = sequenceStops(null, [stop('a', 0), stop('b', 2), stop('c', 1)]);
+
+  assert.equal(sequence[0].orderId, 'a');
+  assert.equal(sequence[0].legKm, 0);
+  assert.deepEqual(ids(sequence), ['a', 'c', 'b']);
+});
+
+test('sequenceStops keeps a running total of leg distances', () => {
+  const sequence = sequenceStops(ORIGIN, [stop('a', 1), stop('b', 2), stop('c', 4)]);
+
+  sequence.reduce((total, item) => {
+    assert.ok(Math.abs(item.cumulativeKm - (total + item.legKm)) <= 0.01);
+    return item.cumulativeKm;
+  }, 0);
+});